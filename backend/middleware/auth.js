@@ -93,6 +93,22 @@ const isUser = async (req, res, next) => {
   }
 };
 
+// Sets req.user when a valid token comes along, but lets anonymous requests through
+const optionalUser = async (req, res, next) => {
+  const token = getTokenFromHeader(req);
+  req.user = null;
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      req.user = await User.findById(decoded.userId).select('-password').lean();
+    } catch (error) {
+      // An expired or bad token is treated as no token at all
+    }
+  }
+  next();
+};
+
 // Resource ownership check middleware
 const isOwner = (paramName = 'userId') => {
   return async (req, res, next) => {
@@ -129,5 +145,6 @@ module.exports = {
   verifyToken,
   isAdmin,
   isUser,
+  optionalUser,
   isOwner
 };
\ No newline at end of file
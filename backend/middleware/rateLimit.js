@@ -0,0 +1,35 @@
+// middleware/rateLimit.js
+
+// Fixed-window limiter kept in memory, per client IP. Enough for a single
+// server process; counts start over when the server restarts.
+const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+
+    // Forget clients whose window is over so the map does not grow forever
+    if (hits.size > 10000) {
+      for (const [client, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(client);
+      }
+    }
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ message, code: 'RATE_LIMITED' });
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
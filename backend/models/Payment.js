@@ -1,4 +1,68 @@
 const mongoose = require('mongoose');
+const { METHOD_TYPES, PROOFLESS_TYPES } = require('../utils/paymentMethods');
+
+// Money returned to a buyer after their raffle was cancelled
+const refundSchema = new mongoose.Schema({
+  reason: { type: String, default: '' },
+  requestedAt: { type: Date, default: Date.now },
+  proofOfRefund: { type: String, default: null },
+  reference: { type: String, trim: true, default: null },
+  note: { type: String, trim: true, default: '' },
+  refundedAt: { type: Date, default: null },
+  refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: false });
+
+// Someone the tickets were bought for as a gift
+const beneficiarySchema = new mongoose.Schema({
+  fullName: { type: String, required: true, trim: true },
+  idNumber: { type: String, required: true, trim: true }
+}, { _id: false });
+
+// Downloadable proof of purchase, issued when the payment is confirmed
+const receiptSchema = new mongoose.Schema({
+  // Signed token behind the receipt's QR code; see utils/receiptToken
+  token: { type: String, required: true },
+  pdf: { type: String, required: true },
+  png: { type: String, required: true },
+  issuedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Buyer's own details of the transfer; which fields are set depends on the
+// method, see utils/paymentReferences
+const paymentReferenceSchema = new mongoose.Schema({
+  // Bank reference, confirmation code, order ID or transaction hash, normalized;
+  // cash payments have none
+  reference: { type: String, trim: true, default: null },
+  originBank: { type: String, trim: true, default: null },
+  senderPhone: { type: String, trim: true, default: null },
+  senderName: { type: String, trim: true, default: null },
+  senderEmail: { type: String, trim: true, default: null },
+  // USDT network the transaction was sent on
+  network: { type: String, default: null },
+  // Seller who took a cash payment
+  collectedBy: { type: String, trim: true, default: null },
+  paidAt: { type: Date, required: true }
+}, { _id: false });
+
+// Earlier payment whose proof image looks like this one's
+const similarProofSchema = new mongoose.Schema({
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+  // Bits of the perceptual hashes that differ, 0 for the same picture
+  distance: { type: Number, required: true }
+}, { _id: false });
+
+// Rate and bolívar amount locked in at checkout, so verifiers can check a
+// bolívar transfer against what the buyer was asked to pay
+const exchangeRateSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  currency: { type: String, required: true },
+  // Local currency per dollar
+  rate: { type: Number, required: true, min: 0 },
+  amount: { type: Number, required: true, min: 0 },
+  quotedAt: { type: Date, required: true },
+  // Past this the buyer should have asked for a new quote
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
   user: { 
@@ -44,29 +108,83 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     immutable: true // Ensures selectedNumbers cannot be modified after creation
   }],
+  beneficiary: {
+    type: beneficiarySchema,
+    default: null
+  },
+  // Name of the method at the time of payment, kept if the method is renamed
   method: { 
     type: String, 
-    required: true, 
-    enum: ['Binance Pay', 'Pagomovil', 'Zelle'] 
+    required: true
+  },
+  paymentMethod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentMethod',
+    default: null
+  },
+  methodType: {
+    type: String,
+    enum: METHOD_TYPES
   },
   totalAmountUSD: { 
     type: Number, 
     required: true, 
     min: 0 
   },
+  exchangeRate: {
+    type: exchangeRateSchema,
+    default: null
+  },
+  // Optional for payments handed to a seller in person
   proofOfPayment: { 
     type: String, 
-    required: true 
+    required: function() {
+      return !PROOFLESS_TYPES.includes(this.methodType);
+    },
+    default: null
+  },
+  // Perceptual hashes of the proof, see services/proofHashes
+  proofHashes: {
+    type: [String],
+    default: []
+  },
+  similarProofs: {
+    type: [similarProofSchema],
+    default: []
+  },
+  paymentReference: {
+    type: paymentReferenceSchema,
+    default: null
+  },
+  // Copy of paymentReference.reference while the payment is not rejected. The
+  // unique index on it is what stops two payments spending the same transfer.
+  claimedReference: {
+    type: String,
+    default: undefined
   },
+  // Earlier payments that used the same reference; set when all of them had
+  // been rejected, so the admin can decide whether it is a retry or fraud
+  duplicateReferenceOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
   status: {
     type: String,
-    enum: ['Pending', 'Confirmed', 'Rejected'],
+    enum: ['Pending', 'Confirmed', 'Rejected', 'RefundPending', 'Refunded'],
     default: 'Pending'
   },
   rejectionReason: {
     type: String,
     default: null
   },
+  refund: {
+    type: refundSchema,
+    default: null
+  },
+  receipt: {
+    type: receiptSchema,
+    default: null
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -77,8 +195,15 @@ const paymentSchema = new mongoose.Schema({
 
 // Add indexes for performance
 paymentSchema.index({ status: 1, createdAt: -1 });
+// Proof comparisons only look at recent payments, see services/proofHashes
+paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ raffle: 1, status: 1 });
+paymentSchema.index({ 'paymentReference.reference': 1 });
+paymentSchema.index(
+  { claimedReference: 1 },
+  { unique: true, partialFilterExpression: { claimedReference: { $type: 'string' } } }
+);
 
 // Pre-save middleware to validate status changes
 paymentSchema.pre('save', async function(next) {
@@ -88,6 +213,12 @@ paymentSchema.pre('save', async function(next) {
       next(new Error('Raffle reference is required'));
     }
   }
+
+  // A rejected payment gives its reference back for an honest retry
+  if (this.isNew || this.isModified('status') || this.isModified('paymentReference')) {
+    const reference = this.paymentReference?.reference;
+    this.claimedReference = this.status !== 'Rejected' && reference ? reference : undefined;
+  }
   next();
 });
 
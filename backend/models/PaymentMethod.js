@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { METHOD_TYPES, USDT_NETWORKS, CURRENCIES } = require('../utils/paymentMethods');
+const { toImageUrl } = require('../utils/imageUrl');
+
+// One line of the account details buyers pay to, e.g. "Phone: 04121234567"
+const accountFieldSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true },
+  value: { type: String, required: true, trim: true },
+  // Shown with a copy button on the checkout page
+  copyable: { type: Boolean, default: true }
+}, { _id: false });
+
+// USDT address buyers send to; its QR code is generated from the address
+const walletSchema = new mongoose.Schema({
+  network: { type: String, enum: Object.keys(USDT_NETWORKS), required: true },
+  address: { type: String, required: true, trim: true }
+}, { _id: false });
+
+// A way to pay set up by the admin; each raffle offers some of them
+const paymentMethodSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  type: { type: String, enum: METHOD_TYPES, required: true },
+  currency: { type: String, enum: CURRENCIES, required: true },
+  accountFields: { type: [accountFieldSchema], default: [] },
+  qrImage: { type: String, default: null, get: toImageUrl },
+  instructions: { type: String, trim: true, default: '' },
+  // usdt methods: one wallet per network buyers can choose
+  wallets: { type: [walletSchema], default: [] },
+  // cash methods: the people who collect the money
+  sellers: { type: [String], default: [] },
+  enabled: { type: Boolean, default: true },
+  // Lower comes first on the checkout page
+  sortOrder: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+paymentMethodSchema.index({ enabled: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
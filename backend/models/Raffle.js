@@ -1,27 +1,259 @@
 const mongoose = require('mongoose');
+const { generateServerSeed, hashServerSeed } = require('../utils/fairDraw');
+const { FALLBACKS } = require('../utils/lotteryDraw');
+const { STATUSES, canTransition } = require('../utils/raffleStatus');
+const { THRESHOLD_ACTIONS, FINAL_ACTIONS, THRESHOLD_DECISIONS } = require('../utils/salesThreshold');
+const { toImageUrl, storedImages } = require('../utils/imageUrl');
+const { DEFAULT_NUMBERING } = require('../utils/ticketNumbering');
+
+const lotteryAttemptSchema = new mongoose.Schema({
+  result: { type: String, required: true },
+  ticketNumber: { type: Number, required: true },
+  sold: { type: Boolean, required: true }
+}, { _id: false });
+
+const drawResultSchema = new mongoose.Schema({
+  method: { type: String, enum: ['provably-fair', 'lottery', 'adjacent'], required: true },
+  // Null when a lottery draw falls back to the house or a consolation number was not sold
+  ticketNumber: { type: Number, default: null },
+  // Winning numbers of earlier tiers, left out of this tier's pool
+  excludedNumbers: { type: [Number], default: undefined },
+  // Provably-fair draw
+  serverSeed: { type: String },
+  poolHash: { type: String },
+  externalSeed: { type: String },
+  clientSeed: { type: String },
+  nonce: { type: Number },
+  poolSize: { type: Number },
+  index: { type: Number },
+  // Official lottery draw
+  lotteryName: { type: String },
+  digits: { type: Number, min: 1, max: 9 },
+  fallback: { type: String, enum: FALLBACKS },
+  fallbackApplied: { type: String, enum: [...FALLBACKS, null], default: null },
+  attempts: { type: [lotteryAttemptSchema], default: undefined },
+  // Consolation prize
+  anchorNumber: { type: Number },
+  houseWins: { type: Boolean, default: false },
+  drawnAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Published once sales close and every payment is settled, before the public
+// value it names exists; see utils/fairDraw
+const drawCommitmentSchema = new mongoose.Schema({
+  poolHash: { type: String, required: true },
+  poolSize: { type: Number, required: true },
+  // Which public value will be the external seed, e.g. "hash of Bitcoin block 870000"
+  entropySource: { type: String, required: true, trim: true },
+  // Filled in at the first draw and reused by every later tier
+  externalSeed: { type: String, default: null },
+  committedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const prizeSchema = new mongoose.Schema({
+  // 1 = first prize; consolation prizes rank after every drawn tier
+  rank: { type: Number, required: true, min: 1 },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  image: { type: String, default: null, get: toImageUrl },
+  // 'draw' tiers are drawn one by one, 'adjacent' tiers go to the number
+  // at `offset` from the first prize's winning number
+  type: { type: String, enum: ['draw', 'adjacent'], default: 'draw' },
+  offset: { type: Number, default: null },
+  winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Who the prize is announced for; a gifted ticket's beneficiary rather than its buyer
+  winnerName: { type: String, default: null },
+  drawResult: { type: drawResultSchema, default: null }
+});
+
+const drawConfigSchema = new mongoose.Schema({
+  lotteryName: { type: String, trim: true, default: null },
+  // Last N digits of the official result; defaults to what totalTickets needs
+  digits: { type: Number, min: 1, max: 9, default: null },
+  // What to do when the result points to a number that was not sold
+  fallback: { type: String, enum: FALLBACKS, default: 'redraw' }
+}, { _id: false });
+
+// How ticket numbers are generated and shown; see utils/ticketNumbering
+const numberingSchema = new mongoose.Schema({
+  start: { type: Number, min: 0, default: DEFAULT_NUMBERING.start },
+  padding: { type: Number, min: 0, max: 9, default: DEFAULT_NUMBERING.padding },
+  prefix: { type: String, trim: true, default: DEFAULT_NUMBERING.prefix }
+}, { _id: false });
+
+// Minimum share of tickets that must be sold by the draw date, and what to
+// do when it is not; minSoldPercent 0 turns the rule off
+const salesThresholdSchema = new mongoose.Schema({
+  minSoldPercent: { type: Number, min: 0, max: 100, default: 0 },
+  action: { type: String, enum: THRESHOLD_ACTIONS, default: 'extend' },
+  extendDays: { type: Number, min: 1, default: 7 },
+  maxExtensions: { type: Number, min: 1, default: 1 },
+  // Applied when the threshold is still not met after the last extension
+  fallbackAction: { type: String, enum: FINAL_ACTIONS, default: 'cancel' },
+  extensions: { type: Number, default: 0 }
+}, { _id: false });
+
+// One automated decision taken when the draw date arrived
+const thresholdDecisionSchema = new mongoose.Schema({
+  decision: { type: String, enum: THRESHOLD_DECISIONS, required: true },
+  soldTickets: { type: Number, required: true },
+  soldPercent: { type: Number, required: true },
+  minSoldPercent: { type: Number, required: true },
+  drawDate: { type: Date, default: null },
+  // Only set when the draw date was extended
+  newDrawDate: { type: Date, default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: STATUSES, required: true },
+  to: { type: String, enum: STATUSES, required: true },
+  // Null when the scheduler made the change
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reason: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Never expose the unrevealed server seed (the revealed copy lives in drawResult)
+const hideServerSeed = (doc, ret) => {
+  if (!doc.$isSubdocument) {
+    delete ret.serverSeed;
+  }
+  return ret;
+};
 
 const raffleSchema = new mongoose.Schema({
   productName: { type: String, required: true },
   description: { type: String, required: true },
-  productImage: { 
-    type: String, 
+  // The cover image; always one of `images`
+  productImage: {
+    type: String,
     required: true,
-    get: (imagePath) => {
-      // Full URL for the image path
-      return `${process.env.SERVER_URL || 'http://localhost:5000'}${imagePath}`;
-    }
+    get: toImageUrl
   },
+  // Ordered gallery, cover included
+  images: { type: [{ type: String, get: toImageUrl }], default: [] },
   price: { type: Number, required: true },
   totalTickets: { type: Number, required: true },
+  numbering: { type: numberingSchema, default: () => ({}) },
   soldTickets: { type: Number, default: 0 },
   reservedTickets: { type: Number, default: 0 },
-  active: { type: Boolean, default: true },
+  // Methods buyers can pay this raffle with; see models/PaymentMethod
+  paymentMethods: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PaymentMethod' }],
+  status: { type: String, enum: STATUSES, default: 'draft', index: true },
+  statusHistory: { type: [statusChangeSchema], default: [] },
+  // A scheduled raffle opens at startDate; an open raffle closes at drawDate
+  startDate: { type: Date, default: null },
+  drawDate: { type: Date, default: null },
   winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
-  drawDate: { type: Date },
+  drawnAt: { type: Date, default: null },
+  // Commit-reveal seed: the hash is public from the moment the raffle opens,
+  // the seed itself is only revealed in drawResult once the draw happens
+  serverSeed: { type: String, select: false },
+  serverSeedHash: { type: String, default: null },
+  drawCommitment: { type: drawCommitmentSchema, default: null },
+  // Mirrors the first prize's result
+  drawResult: { type: drawResultSchema, default: null },
+  prizes: { type: [prizeSchema], default: [] },
+  drawConfig: { type: drawConfigSchema, default: () => ({}) },
+  salesThreshold: { type: salesThresholdSchema, default: () => ({}) },
+  thresholdLog: { type: [thresholdDecisionSchema], default: [] },
   createdAt: { type: Date, default: Date.now }
 }, {
-  toObject: { getters: true }, // Ensure getters are used when converting to objects
-  toJSON: { getters: true }    // Ensure getters are used when converting to JSON
+  toObject: { getters: true, transform: hideServerSeed }, // Ensure getters are used when converting to objects
+  toJSON: { getters: true, transform: hideServerSeed }    // Ensure getters are used when converting to JSON
+});
+
+// The reusable setup of a raffle, as kept by duplicates and templates. Image
+// paths are left without the server URL so the files can be copied.
+raffleSchema.methods.toTemplate = function() {
+  const salesThreshold = this.salesThreshold ? this.salesThreshold.toObject() : {};
+  delete salesThreshold.extensions;
+
+  return {
+    productName: this.productName,
+    description: this.description,
+    productImage: this.get('productImage', null, { getters: false }),
+    images: storedImages(this),
+    price: this.price,
+    totalTickets: this.totalTickets,
+    numbering: this.numbering ? this.numbering.toObject() : {},
+    paymentMethods: [...this.paymentMethods],
+    drawConfig: this.drawConfig ? this.drawConfig.toObject() : {},
+    salesThreshold,
+    prizes: this.prizes.map(prize => ({
+      name: prize.name,
+      description: prize.description,
+      type: prize.type,
+      offset: prize.offset,
+      image: prize.get('image', null, { getters: false })
+    }))
+  };
+};
+
+// Raffles without explicit tiers have a single first prize: the product itself
+raffleSchema.methods.ensurePrizes = function() {
+  if (this.prizes.length === 0) {
+    this.prizes.push({
+      rank: 1,
+      name: this.productName,
+      description: this.description,
+      image: this.get('productImage', null, { getters: false })
+    });
+  }
+  return this.prizes;
+};
+
+raffleSchema.pre('validate', function(next) {
+  this.ensurePrizes();
+  next();
+});
+
+// Tiers still waiting for a draw, lowest rank first
+raffleSchema.methods.pendingDrawTiers = function() {
+  return this.prizes
+    .filter(prize => prize.type === 'draw' && !prize.drawResult)
+    .sort((a, b) => a.rank - b.rank);
+};
+
+// Winning numbers of the tiers drawn so far, ascending; a ticket can only win
+// one drawn tier, so these leave the pool for the rest
+raffleSchema.methods.drawnWinningNumbers = function() {
+  return this.prizes
+    .filter(prize => prize.type === 'draw' && prize.drawResult && prize.drawResult.ticketNumber !== null)
+    .map(prize => prize.drawResult.ticketNumber)
+    .sort((a, b) => a - b);
+};
+
+// Move to another status, refusing anything the lifecycle does not allow
+raffleSchema.methods.transitionTo = function(status, { by = null, reason = '' } = {}) {
+  if (!canTransition(this.status, status)) {
+    const error = new Error(`Cannot move raffle from ${this.status} to ${status}`);
+    error.code = 'INVALID_STATUS_TRANSITION';
+    throw error;
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, by, reason });
+  this.status = status;
+  return this;
+};
+
+// Raffles from before the gallery only have their cover
+raffleSchema.methods.ensureCoverInGallery = function() {
+  const cover = this.get('productImage', null, { getters: false });
+  if (cover && !storedImages(this).includes(cover)) {
+    this.images.unshift(cover);
+  }
+};
+
+// Commit to a server seed as soon as the raffle is open
+raffleSchema.pre('save', function(next) {
+  this.ensureCoverInGallery();
+  if (this.status === 'open' && !this.serverSeedHash) {
+    this.serverSeed = generateServerSeed();
+    this.serverSeedHash = hashServerSeed(this.serverSeed);
+  }
+  next();
 });
 
 module.exports = mongoose.model('Raffle', raffleSchema);
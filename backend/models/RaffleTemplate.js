@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { toImageUrl } = require('../utils/imageUrl');
+
+const templatePrizeSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  image: { type: String, default: null, get: toImageUrl },
+  type: { type: String, enum: ['draw', 'adjacent'], default: 'draw' },
+  offset: { type: Number, default: null }
+}, { _id: false, toObject: { getters: true }, toJSON: { getters: true } });
+
+// A named, reusable raffle setup the admin can start new raffles from
+const raffleTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  productName: { type: String, required: true },
+  description: { type: String, required: true },
+  productImage: { type: String, required: true, get: toImageUrl },
+  images: { type: [{ type: String, get: toImageUrl }], default: [] },
+  price: { type: Number, required: true },
+  totalTickets: { type: Number, required: true },
+  paymentMethods: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PaymentMethod' }],
+  // Same shape as on the raffle; checked again when a raffle is created from it
+  numbering: { type: Object, default: () => ({}) },
+  drawConfig: { type: Object, default: () => ({}) },
+  salesThreshold: { type: Object, default: () => ({}) },
+  prizes: { type: [templatePrizeSchema], default: [] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+module.exports = mongoose.model('RaffleTemplate', raffleTemplateSchema);
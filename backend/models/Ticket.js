@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Person a ticket was bought for; they are the one announced if it wins
+const beneficiarySchema = new mongoose.Schema({
+  fullName: { type: String, required: true, trim: true },
+  idNumber: { type: String, required: true, trim: true }
+}, { _id: false });
+
+// Only held, reserved and sold numbers are stored; a number without a document
+// is available (see utils/ticketAvailability). Releasing a ticket deletes it.
+// A hold is a buyer's short lock while they go through checkout.
 const TicketSchema = new mongoose.Schema({
   ticketNumber: {
     type: Number,
@@ -12,8 +21,27 @@ const TicketSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['available', 'reserved', 'sold'],
-    default: 'available',
+    enum: ['held', 'reserved', 'sold'],
+    default: 'reserved',
+  },
+  // Shared by every number of one buyer's hold
+  holdToken: {
+    type: String,
+    default: null,
+  },
+  heldUntil: {
+    type: Date,
+    default: null,
+  },
+  // IP the hold came from, so one client cannot hold a whole raffle under many tokens
+  heldBy: {
+    type: String,
+    default: null,
+  },
+  // Times the hold was renewed; capped so a script cannot keep numbers forever
+  holdExtensions: {
+    type: Number,
+    default: 0,
   },
   reservedAt: {
     type: Date,
@@ -23,15 +51,15 @@ const TicketSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null,
+  },
+  beneficiary: {
+    type: beneficiarySchema,
+    default: null,
   }
 });
 
-// Drop any existing indexes
-mongoose.model('Ticket', TicketSchema).collection.dropIndexes().catch(err => {
-  console.log('No indexes to drop');
-});
-
-// Create compound index
+// One document per number and raffle; checkouts rely on it to stop two buyers
+// getting the same number. scripts/migrateTicketStorage.js builds it on old data.
 TicketSchema.index({ raffleId: 1, ticketNumber: 1 }, { unique: true });
 
 module.exports = mongoose.model('Ticket', TicketSchema);
\ No newline at end of file
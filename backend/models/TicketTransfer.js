@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const TRANSFER_STATUSES = ['pending', 'accepted', 'declined', 'cancelled'];
+
+// An owner handing sold tickets to another user. The tickets only change
+// hands once the recipient accepts; until then the owner can cancel.
+const ticketTransferSchema = new mongoose.Schema({
+  raffle: { type: mongoose.Schema.Types.ObjectId, ref: 'Raffle', required: true },
+  ticketNumbers: { type: [Number], required: true },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  message: { type: String, trim: true, default: '' },
+  status: { type: String, enum: TRANSFER_STATUSES, default: 'pending' },
+  respondedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ticketTransferSchema.index({ raffle: 1, status: 1 });
+ticketTransferSchema.index({ to: 1, status: 1 });
+ticketTransferSchema.index({ from: 1, status: 1 });
+
+const TicketTransfer = mongoose.model('TicketTransfer', ticketTransferSchema);
+
+module.exports = TicketTransfer;
+module.exports.TRANSFER_STATUSES = TRANSFER_STATUSES;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A buyer waiting for a taken number, or any number of a sold-out raffle, to
+// be released. Each watch fires once and is then switched off.
+const ticketWatchSchema = new mongoose.Schema({
+  raffle: { type: mongoose.Schema.Types.ObjectId, ref: 'Raffle', required: true },
+  // Null watches the whole raffle
+  ticketNumber: { type: Number, default: null },
+  // Channels: a socket event to the user, an email and a WhatsApp message
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  email: { type: String, trim: true, lowercase: true, default: null },
+  phoneNumber: { type: String, trim: true, default: null },
+  active: { type: Boolean, default: true },
+  notifiedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ticketWatchSchema.index({ raffle: 1, active: 1, ticketNumber: 1 });
+
+module.exports = mongoose.model('TicketWatch', ticketWatchSchema);
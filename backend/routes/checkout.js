@@ -0,0 +1,375 @@
+// routes/checkout.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const Raffle = require('../models/Raffle');
+const PaymentMethod = require('../models/PaymentMethod');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const fs = require('fs');
+const auth = require('../middleware/auth');
+const { isTicketNumber } = require('../utils/ticketNumbering');
+const { parsePaymentReference } = require('../utils/paymentReferences');
+const { PROOFLESS_TYPES } = require('../utils/paymentMethods');
+const { isHoldToken } = require('../utils/ticketHolds');
+const { announceRelease } = require('../services/ticketWatches');
+const { hashProof, findSimilarProofs } = require('../services/proofHashes');
+const { getCurrentRate, toLocalAmount } = require('../services/exchangeRates');
+const { signRateQuote, readRateQuote } = require('../utils/rateQuote');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// A reference on any of these payments is spent and cannot be used again
+const SPENT_REFERENCE_STATUSES = ['Pending', 'Confirmed', 'RefundPending', 'Refunded'];
+
+const REFERENCE_USED_MESSAGE = 'This payment reference has already been used. Contact us if you think this is a mistake.';
+
+// Today's rate as a signed quote, or null when no rate source answers
+const currentQuote = async () => {
+  try {
+    return signRateQuote({ ...await getCurrentRate(), quotedAt: new Date() });
+  } catch (error) {
+    console.error('Error fetching exchange rate for checkout:', error);
+    return null;
+  }
+};
+
+// Mounted under /api/raffle/:raffleId/payments
+module.exports = (upload, io) => {
+  // Every route is scoped to the raffle in the URL
+  router.use((req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.raffleId)) {
+      return res.status(404).json({ success: false, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+    }
+    next();
+  });
+
+  // Get the raffle's payments (admin only)
+  router.get('/', auth.isAdmin, async (req, res) => {
+    try {
+      const filter = { raffle: req.params.raffleId };
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+
+      const payments = await Payment.find(filter)
+        .populate('user', 'fullName email')
+        .sort('-createdAt');
+      res.json(payments);
+    } catch (error) {
+      console.error('Error fetching raffle payments:', error);
+      res.status(500).json({ message: 'Error fetching payments' });
+    }
+  });
+
+  // Create payment and user account
+  router.post(
+    '/create-and-pay',
+    upload.single('proofOfPayment'),
+    [
+      body('fullName').notEmpty().withMessage('Full Name is required'),
+      body('email').isEmail().withMessage('Valid email is required'),
+      body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+      body('idNumber').notEmpty().withMessage('ID Number is required'),
+      body('phoneNumber').notEmpty().withMessage('Phone Number is required'),
+      body('selectedNumbers').notEmpty().withMessage('Selected ticket numbers are required'),
+      body('paymentMethodId').isMongoId().withMessage('Payment method is required'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // The rate the buyer was quoted, or today's when the quote is missing or forged
+      let quote;
+      try {
+        quote = req.body.rateQuote ? readRateQuote(req.body.rateQuote) : null;
+      } catch (error) {
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+        // A fresh quote lets the page show the new amount without another request
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          rateQuote: await currentQuote()
+        });
+      }
+      if (!quote) {
+        quote = await currentQuote();
+      }
+
+      // The same screenshot sent for another purchase is left for the verifier to judge.
+      // Hashing and comparing are slow, so they happen before the transaction starts.
+      let proofHashes = [];
+      let similarProofs = [];
+      if (req.file) {
+        try {
+          proofHashes = await hashProof(req.file.path);
+          similarProofs = await findSimilarProofs(proofHashes);
+        } catch (error) {
+          console.error('Error hashing proof of payment:', error);
+        }
+      }
+
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const {
+          fullName,
+          idNumber,
+          phoneNumber,
+          email,
+          password,
+          selectedNumbers,
+          paymentMethodId,
+          holdToken,
+          isGift,
+          beneficiaryName,
+          beneficiaryIdNumber,
+        } = req.body;
+
+        // Form fields in bracket notation arrive as objects; only a real token may reach a query
+        if (holdToken && !isHoldToken(holdToken)) {
+          throw new Error('Invalid hold token');
+        }
+
+        // A gift records who the tickets are for; the buyer still owns and pays for them
+        let beneficiary = null;
+        if (isGift === 'true' || isGift === true) {
+          if (!beneficiaryName?.trim() || !beneficiaryIdNumber?.trim()) {
+            throw new Error('Enter the name and ID number of the person the gift is for');
+          }
+          beneficiary = { fullName: beneficiaryName.trim(), idNumber: beneficiaryIdNumber.trim() };
+        }
+
+        const paymentMethod = await PaymentMethod.findById(paymentMethodId).session(session);
+        if (!paymentMethod || !paymentMethod.enabled) {
+          throw new Error('This payment method is not available');
+        }
+
+        if (!req.file && !PROOFLESS_TYPES.includes(paymentMethod.type)) {
+          throw new Error('Proof of payment is required');
+        }
+
+        const paymentReference = parsePaymentReference(paymentMethod, req.body);
+
+        // Check if user exists
+        let user = await User.findOne({ email }).session(session);
+        if (user) {
+          throw new Error('User with this email already exists');
+        }
+
+        // Tickets can only be bought while the raffle is open
+        const raffle = await Raffle.findById(req.params.raffleId).session(session);
+        if (!raffle) {
+          throw new Error('Raffle not found');
+        }
+        if (raffle.status !== 'open') {
+          throw new Error('Ticket sales are not open for this raffle');
+        }
+        if (!raffle.paymentMethods.some(id => id.equals(paymentMethod._id))) {
+          throw new Error(`${paymentMethod.name} is not accepted for this raffle`);
+        }
+
+        // Reused references are the usual sign of a recycled screenshot, whichever
+        // method they were sent with. One that was only on rejected payments may be
+        // an honest retry, so it is flagged instead. The unique index on
+        // Payment.claimedReference settles two checkouts racing past this check.
+        const sameReference = paymentReference.reference
+          ? await Payment.find({ 'paymentReference.reference': paymentReference.reference })
+            .select('status')
+            .session(session)
+          : [];
+        if (sameReference.some(other => SPENT_REFERENCE_STATUSES.includes(other.status))) {
+          throw new Error(REFERENCE_USED_MESSAGE);
+        }
+
+        // Hash password and create user
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+        user = new User({
+          fullName,
+          email,
+          password: hashedPassword,
+          idNumber,
+          phoneNumber,
+        });
+        await user.save({ session });
+
+        // Parse and validate selected numbers
+        let tickets = [];
+        try {
+          tickets = JSON.parse(selectedNumbers);
+          if (!Array.isArray(tickets)) throw new Error();
+        } catch (err) {
+          throw new Error('Invalid selectedNumbers format');
+        }
+
+        const invalidTickets = tickets.filter(ticketNumber => !isTicketNumber(raffle, ticketNumber));
+        if (invalidTickets.length > 0) {
+          throw new Error(`Tickets do not exist: ${invalidTickets.join(', ')}`);
+        }
+        if (new Set(tickets).size !== tickets.length) {
+          throw new Error('Each ticket number can only be selected once');
+        }
+
+        // Reserve tickets: a number is taken as soon as it has a ticket document,
+        // except the ones the buyer held on the way here
+        const takenTickets = await Ticket.find({
+          raffleId: raffle._id,
+          ticketNumber: { $in: tickets }
+        }).select('ticketNumber status holdToken').session(session);
+
+        const isOwnHold = ticket => holdToken && ticket.status === 'held' && ticket.holdToken === holdToken;
+        const unavailableTickets = takenTickets.filter(ticket => !isOwnHold(ticket));
+        if (unavailableTickets.length > 0) {
+          throw new Error(`Tickets not available: ${unavailableTickets.map(ticket => ticket.ticketNumber).join(', ')}`);
+        }
+
+        const reservedAt = new Date();
+        const heldNumbers = takenTickets.map(ticket => ticket.ticketNumber);
+        if (heldNumbers.length > 0) {
+          const converted = await Ticket.updateMany(
+            { raffleId: raffle._id, ticketNumber: { $in: heldNumbers }, status: 'held', holdToken },
+            {
+              $set: { status: 'reserved', reservedAt, userId: user._id, beneficiary },
+              $unset: { holdToken: 1, heldUntil: 1, heldBy: 1, holdExtensions: 1 }
+            },
+            { session }
+          );
+          // The release job may have freed them since the check above
+          if (converted.modifiedCount !== heldNumbers.length) {
+            throw new Error('Your hold on the selected tickets expired, please pick them again');
+          }
+        }
+
+        try {
+          await Ticket.insertMany(tickets.filter(ticketNumber => !heldNumbers.includes(ticketNumber)).map(ticketNumber => ({
+            raffleId: raffle._id,
+            ticketNumber,
+            status: 'reserved',
+            reservedAt,
+            userId: user._id,
+            beneficiary
+          })), { session });
+        } catch (error) {
+          // The unique raffle/number index stops a buyer who was beaten to a number
+          if (error.code === 11000) {
+            throw new Error('Some of the selected tickets were just taken, please pick others');
+          }
+          throw error;
+        }
+
+        // Each raffle has its own ticket price, so the total is never taken from the client
+        const totalAmountUSD = raffle.price * tickets.length;
+
+        // Create payment record
+        const payment = new Payment({
+          user: user._id,
+          raffle: raffle._id,
+          fullName,
+          idNumber,
+          phoneNumber,
+          email,
+          selectedNumbers: tickets,
+          beneficiary,
+          method: paymentMethod.name,
+          paymentMethod: paymentMethod._id,
+          methodType: paymentMethod.type,
+          totalAmountUSD,
+          exchangeRate: quote && {
+            source: quote.source,
+            currency: quote.currency,
+            rate: quote.rate,
+            amount: toLocalAmount(totalAmountUSD, quote.rate),
+            quotedAt: quote.quotedAt,
+            expiresAt: quote.expiresAt
+          },
+          proofOfPayment: req.file ? `/uploads/proofs/${req.file.filename}` : null,
+          proofHashes,
+          similarProofs,
+          paymentReference,
+          duplicateReferenceOf: sameReference.map(other => other._id),
+          status: 'Pending',
+        });
+        try {
+          await payment.save({ session });
+        } catch (error) {
+          if (error.code === 11000 && error.keyPattern?.claimedReference) {
+            throw new Error(REFERENCE_USED_MESSAGE);
+          }
+          throw error;
+        }
+
+        // Update raffle statistics
+        raffle.reservedTickets += tickets.length;
+        await raffle.save({ session });
+
+        await session.commitTransaction();
+
+        // Numbers the buyer held but did not buy go back on sale
+        if (holdToken) {
+          const leftovers = await Ticket.find({ raffleId: raffle._id, holdToken, status: 'held' })
+            .select('ticketNumber')
+            .lean();
+          if (leftovers.length > 0) {
+            await Ticket.deleteMany({ _id: { $in: leftovers.map(ticket => ticket._id) } });
+            announceRelease(io, raffle._id, leftovers.map(ticket => ticket.ticketNumber));
+          }
+        }
+
+        // Emit socket events
+        io.emit('ticketsReserved', { 
+          tickets,
+          raffleId: raffle._id
+        });
+        // The payment carries the buyer's contact, reference and gift details: admins only
+        io.to('admin-room').emit('payment_created', payment);
+
+        // Generate token
+        const token = jwt.sign(
+          { userId: user._id, isAdmin: user.isAdmin },
+          JWT_SECRET,
+          { expiresIn: '24h' }
+        );
+
+        res.status(201).json({
+          success: true,
+          message: 'Account created and payment submitted successfully',
+          token,
+          paymentId: payment._id,
+          isAdmin: user.isAdmin,
+        });
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+
+        console.error('Error in create-and-pay:', error);
+        res.status(400).json({ 
+          success: false,
+          message: error.message || 'Server error'
+        });
+      } finally {
+        session.endSession();
+      }
+    }
+  );
+
+  return router;
+};
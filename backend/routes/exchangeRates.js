@@ -1,30 +1,18 @@
 // backend/routes/exchangeRates.js
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const { getCurrentRate } = require('../services/exchangeRates');
+const { signRateQuote } = require('../utils/rateQuote');
 
 router.get('/exchange-rate', async (req, res) => {
   try {
-    const response = await axios.get('https://pydolarve.org/api/v1/dollar?monitor=enparalelovzla');
-    
-    if (response.data && response.data.data) {
-      // Extract the rate from the API response
-      const rate = parseFloat(response.data.data.price);
-      
-      res.json({
-        success: true,
-        rate: rate,
-        source: 'pydolarve.org',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      console.error('Invalid response format from pydolarve:', response.data);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Invalid response from exchange rate service',
-        error: 'DATA_FORMAT_ERROR'
-      });
-    }
+    const { rate, source, quotedAt } = await getCurrentRate();
+    res.json({
+      success: true,
+      rate: rate,
+      source,
+      timestamp: quotedAt.toISOString()
+    });
   } catch (error) {
     console.error('Error fetching exchange rate:', error);
     res.status(500).json({ 
@@ -35,4 +23,22 @@ router.get('/exchange-rate', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/exchange-rates/quote
+// @desc    Current rate with a signed token; checkout sends the token back so the
+//          payment records the rate and bolívar amount the buyer was shown
+// @access  Public
+router.get('/quote', async (req, res) => {
+  try {
+    const quote = signRateQuote({ ...await getCurrentRate(), quotedAt: new Date() });
+    res.json({ success: true, ...quote });
+  } catch (error) {
+    console.error('Error quoting exchange rate:', error);
+    res.status(503).json({
+      success: false,
+      message: 'Exchange rate is not available right now',
+      code: 'RATE_UNAVAILABLE'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,354 @@
+// routes/paymentMethods.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const QRCode = require('qrcode');
+const PaymentMethod = require('../models/PaymentMethod');
+const Raffle = require('../models/Raffle');
+const RaffleTemplate = require('../models/RaffleTemplate');
+const auth = require('../middleware/auth');
+const { METHOD_TYPES, USDT_NETWORKS, CURRENCIES } = require('../utils/paymentMethods');
+
+const QR_IMAGES_DIR = path.join(__dirname, '..', 'uploads', 'payment-methods');
+const QR_IMAGES_PATH = '/uploads/payment-methods/';
+
+// Configure multer for QR code uploads
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(QR_IMAGES_DIR)) {
+      fs.mkdirSync(QR_IMAGES_DIR, { recursive: true });
+    }
+    cb(null, QR_IMAGES_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'qr-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+const badRequest = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const deleteQrImage = (qrImage) => {
+  if (!qrImage || !qrImage.startsWith(QR_IMAGES_PATH)) return;
+  fs.unlink(path.join(QR_IMAGES_DIR, path.basename(qrImage)), (error) => {
+    if (error && error.code !== 'ENOENT') {
+      console.error('Error deleting QR image:', error);
+    }
+  });
+};
+
+// Lists arrive JSON-encoded in the multipart form
+const parseJsonArray = (raw, message, code) => {
+  let values;
+  try {
+    values = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    throw badRequest(message, code);
+  }
+
+  if (!Array.isArray(values)) {
+    throw badRequest(message, code);
+  }
+  return values;
+};
+
+// Account details come as a JSON array of { label, value, copyable }
+const parseAccountFields = (rawFields) => {
+  const fields = parseJsonArray(rawFields, 'Invalid account fields format', 'INVALID_ACCOUNT_FIELDS');
+
+  return fields.map(field => {
+    const label = String(field?.label || '').trim();
+    const value = String(field?.value || '').trim();
+    if (!label || !value) {
+      throw badRequest('Every account field needs a label and a value', 'INVALID_ACCOUNT_FIELDS');
+    }
+    return { label, value, copyable: field.copyable !== false && field.copyable !== 'false' };
+  });
+};
+
+// USDT wallets come as a JSON array of { network, address }, at most one per network
+const parseWallets = (rawWallets) => {
+  const wallets = parseJsonArray(rawWallets, 'Invalid wallets format', 'INVALID_WALLETS').map(wallet => {
+    const network = String(wallet?.network || '');
+    const address = String(wallet?.address || '').trim();
+    if (!USDT_NETWORKS[network]) {
+      throw badRequest(`Network must be one of: ${Object.keys(USDT_NETWORKS).join(', ')}`, 'INVALID_WALLETS');
+    }
+    if (!USDT_NETWORKS[network].test(address)) {
+      throw badRequest(`${address || 'The address'} is not a valid ${network} address`, 'INVALID_WALLETS');
+    }
+    return { network, address };
+  });
+
+  if (new Set(wallets.map(wallet => wallet.network)).size !== wallets.length) {
+    throw badRequest('Each network can only have one wallet', 'INVALID_WALLETS');
+  }
+  return wallets;
+};
+
+// Cash sellers come as a JSON array of names
+const parseSellers = (rawSellers) => {
+  const sellers = parseJsonArray(rawSellers, 'Invalid sellers format', 'INVALID_SELLERS')
+    .map(seller => String(seller || '').trim())
+    .filter(Boolean);
+  return [...new Set(sellers)];
+};
+
+// What buyers of each kind need to find on the checkout page
+const checkMethodSetup = (method) => {
+  if (method.type === 'usdt' && method.wallets.length === 0) {
+    throw badRequest('USDT methods need at least one wallet', 'WALLET_REQUIRED');
+  }
+  if (method.type === 'cash' && method.sellers.length === 0) {
+    throw badRequest('Cash methods need at least one seller', 'SELLER_REQUIRED');
+  }
+};
+
+// Fields of a payment method from a create or update request; absent fields are left out
+const parseMethodFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    fields.name = String(body.name).trim();
+    if (!fields.name) {
+      throw badRequest('Name is required', 'NAME_REQUIRED');
+    }
+  }
+  if (body.type !== undefined) {
+    if (!METHOD_TYPES.includes(body.type)) {
+      throw badRequest(`Type must be one of: ${METHOD_TYPES.join(', ')}`, 'INVALID_METHOD_TYPE');
+    }
+    fields.type = body.type;
+  }
+  if (body.currency !== undefined) {
+    if (!CURRENCIES.includes(body.currency)) {
+      throw badRequest(`Currency must be one of: ${CURRENCIES.join(', ')}`, 'INVALID_CURRENCY');
+    }
+    fields.currency = body.currency;
+  }
+  if (body.accountFields !== undefined) {
+    fields.accountFields = parseAccountFields(body.accountFields);
+  }
+  if (body.wallets !== undefined) {
+    fields.wallets = parseWallets(body.wallets);
+  }
+  if (body.sellers !== undefined) {
+    fields.sellers = parseSellers(body.sellers);
+  }
+  if (body.instructions !== undefined) {
+    fields.instructions = String(body.instructions);
+  }
+  if (body.enabled !== undefined) {
+    fields.enabled = body.enabled === true || body.enabled === 'true';
+  }
+  if (body.sortOrder !== undefined) {
+    fields.sortOrder = Number(body.sortOrder) || 0;
+  }
+
+  return fields;
+};
+
+// Answer a failed create or update and drop the QR image it uploaded
+const handleSaveError = (req, res, error, action) => {
+  if (req.file) {
+    deleteQrImage(QR_IMAGES_PATH + req.file.filename);
+  }
+
+  console.error(`Error ${action} payment method:`, error);
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A payment method with this name already exists', code: 'NAME_TAKEN' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message, code: 'INVALID_PAYMENT_METHOD' });
+  }
+  if (error.code) {
+    return res.status(400).json({ message: error.message, code: error.code });
+  }
+  res.status(500).json({ message: `Error ${action} payment method` });
+};
+
+// @route   GET /api/payment-methods
+// @desc    Enabled payment methods; with ?raffleId= only the ones that raffle offers
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const filter = { enabled: true };
+
+    if (req.query.raffleId) {
+      const raffle = mongoose.Types.ObjectId.isValid(req.query.raffleId)
+        ? await Raffle.findById(req.query.raffleId).select('paymentMethods').lean()
+        : null;
+      if (!raffle) {
+        return res.status(404).json({ message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+      }
+      filter._id = { $in: raffle.paymentMethods };
+    }
+
+    const methods = await PaymentMethod.find(filter)
+      .sort({ sortOrder: 1, name: 1 })
+      .select('-__v');
+    res.json(methods);
+  } catch (error) {
+    console.error('Error fetching payment methods:', error);
+    res.status(500).json({ message: 'Error fetching payment methods' });
+  }
+});
+
+// @route   GET /api/payment-methods/all
+// @desc    Every payment method, disabled ones included
+// @access  Admin
+router.get('/all', auth.isAdmin, async (req, res) => {
+  try {
+    const methods = await PaymentMethod.find()
+      .sort({ sortOrder: 1, name: 1 })
+      .select('-__v');
+    res.json(methods);
+  } catch (error) {
+    console.error('Error fetching payment methods:', error);
+    res.status(500).json({ message: 'Error fetching payment methods' });
+  }
+});
+
+// @route   GET /api/payment-methods/:id/wallets/:network/qr
+// @desc    QR code of a USDT wallet address, as a PNG
+// @access  Public
+router.get('/:id/wallets/:network/qr', async (req, res) => {
+  try {
+    const method = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PaymentMethod.findOne({ _id: req.params.id, enabled: true }).select('wallets').lean()
+      : null;
+    const wallet = method?.wallets.find(item => item.network === req.params.network);
+    if (!wallet) {
+      return res.status(404).json({ message: 'Wallet not found', code: 'WALLET_NOT_FOUND' });
+    }
+
+    const png = await QRCode.toBuffer(wallet.address, { margin: 1, width: 300 });
+    res.type('png').send(png);
+  } catch (error) {
+    console.error('Error generating wallet QR code:', error);
+    res.status(500).json({ message: 'Error generating wallet QR code' });
+  }
+});
+
+// @route   POST /api/payment-methods
+// @desc    Set up a new payment method, with an optional QR code image
+// @access  Admin
+router.post('/', auth.isAdmin, upload.single('qrImage'), async (req, res) => {
+  try {
+    const fields = parseMethodFields(req.body);
+    for (const required of ['name', 'type', 'currency']) {
+      if (fields[required] === undefined) {
+        throw badRequest(`${required} is required`, 'INVALID_PAYMENT_METHOD');
+      }
+    }
+
+    const method = new PaymentMethod({
+      ...fields,
+      qrImage: req.file ? QR_IMAGES_PATH + req.file.filename : null
+    });
+    checkMethodSetup(method);
+    await method.save();
+
+    res.status(201).json({
+      message: 'Payment method created successfully',
+      paymentMethod: method
+    });
+  } catch (error) {
+    handleSaveError(req, res, error, 'creating');
+  }
+});
+
+// @route   PUT /api/payment-methods/:id
+// @desc    Update a payment method; a new qrImage replaces the old one and
+//          removeQrImage=true drops it
+// @access  Admin
+router.put('/:id', auth.isAdmin, upload.single('qrImage'), async (req, res) => {
+  try {
+    const method = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PaymentMethod.findById(req.params.id)
+      : null;
+    if (!method) {
+      if (req.file) deleteQrImage(QR_IMAGES_PATH + req.file.filename);
+      return res.status(404).json({ message: 'Payment method not found', code: 'PAYMENT_METHOD_NOT_FOUND' });
+    }
+
+    method.set(parseMethodFields(req.body));
+
+    const oldQrImage = method.get('qrImage', null, { getters: false });
+    if (req.file) {
+      method.qrImage = QR_IMAGES_PATH + req.file.filename;
+    } else if (req.body.removeQrImage === 'true' || req.body.removeQrImage === true) {
+      method.qrImage = null;
+    }
+
+    checkMethodSetup(method);
+    await method.save();
+
+    if (oldQrImage !== method.get('qrImage', null, { getters: false })) {
+      deleteQrImage(oldQrImage);
+    }
+
+    res.json({
+      message: 'Payment method updated successfully',
+      paymentMethod: method
+    });
+  } catch (error) {
+    handleSaveError(req, res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/payment-methods/:id
+// @desc    Delete a payment method no raffle or template offers; disable it otherwise
+// @access  Admin
+router.delete('/:id', auth.isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Payment method not found', code: 'PAYMENT_METHOD_NOT_FOUND' });
+    }
+
+    const inUse = await Raffle.exists({ paymentMethods: req.params.id })
+      || await RaffleTemplate.exists({ paymentMethods: req.params.id });
+    if (inUse) {
+      return res.status(409).json({
+        message: 'Raffles or templates offer this payment method; disable it instead',
+        code: 'PAYMENT_METHOD_IN_USE'
+      });
+    }
+
+    const method = await PaymentMethod.findByIdAndDelete(req.params.id);
+    if (!method) {
+      return res.status(404).json({ message: 'Payment method not found', code: 'PAYMENT_METHOD_NOT_FOUND' });
+    }
+
+    deleteQrImage(method.get('qrImage', null, { getters: false }));
+
+    res.json({
+      message: 'Payment method deleted successfully',
+      paymentMethodId: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting payment method:', error);
+    res.status(500).json({ message: 'Error deleting payment method' });
+  }
+});
+
+module.exports = router;
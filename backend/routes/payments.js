@@ -1,23 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const User = require('../models/User');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const Payment = require('../models/Payment');
 const Ticket = require('../models/Ticket');
 const Raffle = require('../models/Raffle');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const fs = require('fs');
 const auth = require('../middleware/auth');
+const { sendMail } = require('../services/mailer');
+const { createReceipt } = require('../services/receipts');
+const { announceRelease } = require('../services/ticketWatches');
+
+// Configure multer for refund proof uploads
+const refundStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadDir = path.join(__dirname, '..', 'uploads', 'refunds');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'refund-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const refundUpload = multer({
+  storage: refundStorage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed'));
+    }
+  }
+});
+
+// Optional ?raffleId= filter for the admin payment lists
+const raffleFilter = (req) => (
+  req.query.raffleId && mongoose.Types.ObjectId.isValid(req.query.raffleId)
+    ? { raffle: req.query.raffleId }
+    : {}
+);
+
+// Checkout lives in routes/checkout.js, scoped to a raffle
+module.exports = (io) => {
+  // Generate the receipt of a confirmed payment, then hand it to the buyer
+  // in the app and by email
+  const issueReceipt = async (payment, raffle) => {
+    payment.receipt = await createReceipt(payment, raffle);
+    await payment.save();
+
+    io.to(`user-${payment.user}`).emit('receipt_ready', {
+      paymentId: payment._id,
+      raffleId: raffle._id,
+      receipt: payment.receipt
+    });
+
+    sendMail({
+      to: payment.email,
+      subject: `Comprobante de compra: ${raffle.productName}`,
+      text: [
+        `Hola ${payment.fullName},`,
+        '',
+        `Confirmamos tu pago de $${payment.totalAmountUSD.toFixed(2)} para la rifa "${raffle.productName}".`,
+        'Adjuntamos tu comprobante; su código QR permite verificar que los números son tuyos.'
+      ].join('\n'),
+      attachments: ['pdf', 'png'].map(type => ({
+        filename: `comprobante-${payment._id}.${type}`,
+        path: path.join(__dirname, '..', payment.receipt[type])
+      }))
+    });
+  };
 
-const JWT_SECRET = process.env.JWT_SECRET;
-
-module.exports = (upload, io) => {
   // Get all payments (admin only)
   router.get('/all', auth.isAdmin, async (req, res) => {
     try {
-      const payments = await Payment.find()
+      const payments = await Payment.find(raffleFilter(req))
         .populate('user', 'fullName email')
         .sort('-createdAt');
       res.json(payments);
@@ -30,8 +92,11 @@ module.exports = (upload, io) => {
   // Get pending payments (admin only)
   router.get('/pending', auth.isAdmin, async (req, res) => {
     try {
-      const payments = await Payment.find({ status: 'Pending' })
+      const payments = await Payment.find({ status: 'Pending', ...raffleFilter(req) })
         .populate('user', 'fullName email')
+        .populate('raffle', 'productName numbering')
+        .populate('duplicateReferenceOf', 'fullName email status createdAt')
+        .populate('similarProofs.payment', 'fullName email status createdAt proofOfPayment')
         .sort('-createdAt');
       res.json(payments);
     } catch (error) {
@@ -52,167 +117,33 @@ module.exports = (upload, io) => {
     }
   });
 
-  // Create payment and user account
-  router.post(
-    '/create-and-pay',
-    upload.single('proofOfPayment'),
-    [
-      body('fullName').notEmpty().withMessage('Full Name is required'),
-      body('email').isEmail().withMessage('Valid email is required'),
-      body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-      body('idNumber').notEmpty().withMessage('ID Number is required'),
-      body('phoneNumber').notEmpty().withMessage('Phone Number is required'),
-      body('selectedNumbers').notEmpty().withMessage('Selected ticket numbers are required'),
-      body('method').notEmpty().withMessage('Payment method is required'),
-      body('totalAmountUSD').isFloat({ gt: 0 }).withMessage('Total Amount USD must be a positive number'),
-    ],
-    async (req, res) => {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        if (req.file) {
-          fs.unlinkSync(req.file.path);
-        }
-        return res.status(400).json({ errors: errors.array() });
+  // Status of a payment and, once confirmed, its receipt (buyer or admin)
+  router.get('/:id/status', auth.isUser, async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ message: 'Payment not found' });
       }
 
-      const session = await mongoose.startSession();
-      session.startTransaction();
-
-      try {
-        const {
-          fullName,
-          idNumber,
-          phoneNumber,
-          email,
-          password,
-          selectedNumbers,
-          method,
-          totalAmountUSD,
-        } = req.body;
-
-        // Check if user exists
-        let user = await User.findOne({ email }).session(session);
-        if (user) {
-          throw new Error('User with this email already exists');
-        }
-
-        // Get active raffle
-        const activeRaffle = await Raffle.findOne({ active: true }).session(session);
-        if (!activeRaffle) {
-          throw new Error('No active raffle found');
-        }
-
-        // Hash password and create user
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-        user = new User({
-          fullName,
-          email,
-          password: hashedPassword,
-          idNumber,
-          phoneNumber,
-        });
-        await user.save({ session });
-
-        // Parse and validate selected numbers
-        let tickets = [];
-        try {
-          tickets = JSON.parse(selectedNumbers);
-          if (!Array.isArray(tickets)) throw new Error();
-        } catch (err) {
-          throw new Error('Invalid selectedNumbers format');
-        }
-
-        // Reserve tickets
-        const unavailableTickets = [];
-        for (const ticketNumber of tickets) {
-          const ticket = await Ticket.findOneAndUpdate(
-            { 
-              ticketNumber,
-              status: 'available',
-              raffleId: activeRaffle._id
-            },
-            { 
-              $set: { 
-                status: 'reserved',
-                reservedAt: new Date(),
-                userId: user._id 
-              } 
-            },
-            { session, new: true }
-          );
-
-          if (!ticket) {
-            unavailableTickets.push(ticketNumber);
-          }
-        }
-
-        if (unavailableTickets.length > 0) {
-          throw new Error(`Tickets not available: ${unavailableTickets.join(', ')}`);
-        }
-
-        // Create payment record
-        const payment = new Payment({
-          user: user._id,
-          raffle: activeRaffle._id,
-          fullName,
-          idNumber,
-          phoneNumber,
-          email,
-          selectedNumbers: tickets,
-          method,
-          totalAmountUSD: parseFloat(totalAmountUSD),
-          proofOfPayment: req.file ? `/uploads/proofs/${req.file.filename}` : '',
-          status: 'Pending',
-        });
-        await payment.save({ session });
-
-        // Update raffle statistics
-        activeRaffle.reservedTickets += tickets.length;
-        await activeRaffle.save({ session });
-
-        await session.commitTransaction();
-
-        // Emit socket events
-        io.emit('ticketsReserved', { 
-          tickets,
-          raffleId: activeRaffle._id
-        });
-        io.emit('payment_created', payment);
-
-        // Generate token
-        const token = jwt.sign(
-          { userId: user._id, isAdmin: user.isAdmin },
-          JWT_SECRET,
-          { expiresIn: '24h' }
-        );
-
-        res.status(201).json({
-          success: true,
-          message: 'Account created and payment submitted successfully',
-          token,
-          paymentId: payment._id,
-          isAdmin: user.isAdmin,
-        });
-      } catch (error) {
-        if (session.inTransaction()) {
-          await session.abortTransaction();
-        }
-        
-        if (req.file) {
-          fs.unlinkSync(req.file.path);
-        }
+      const payment = await Payment.findById(req.params.id)
+        .select('user raffle status selectedNumbers receipt')
+        .populate('raffle', 'productName numbering');
 
-        console.error('Error in create-and-pay:', error);
-        res.status(400).json({ 
-          success: false,
-          message: error.message || 'Server error'
-        });
-      } finally {
-        session.endSession();
+      if (!payment || (!req.user.isAdmin && !payment.user.equals(req.user._id))) {
+        return res.status(404).json({ message: 'Payment not found' });
       }
+
+      res.json({
+        paymentId: payment._id,
+        status: payment.status,
+        raffle: payment.raffle,
+        selectedNumbers: payment.selectedNumbers,
+        receipt: payment.receipt
+      });
+    } catch (error) {
+      console.error('Error fetching payment status:', error);
+      res.status(500).json({ message: 'Error fetching payment status' });
     }
-  );
+  });
 
   // Confirm payment (admin only)
   router.post('/:id/confirm', auth.isAdmin, async (req, res) => {
@@ -231,6 +162,17 @@ module.exports = (upload, io) => {
         throw new Error('Payment is not in pending status');
       }
 
+      const drawnRaffle = await Raffle.exists({
+        _id: payment.raffle,
+        $or: [
+          { drawResult: { $ne: null } },
+          { prizes: { $elemMatch: { drawResult: { $ne: null } } } }
+        ]
+      }).session(session);
+      if (drawnRaffle) {
+        throw new Error('Raffle has already been drawn');
+      }
+
       // Update payment status
       payment.status = 'Confirmed';
       await payment.save({ session });
@@ -238,6 +180,7 @@ module.exports = (upload, io) => {
       // Update tickets status
       await Ticket.updateMany(
         { 
+          raffleId: payment.raffle,
           ticketNumber: { $in: payment.selectedNumbers },
           status: 'reserved'
         },
@@ -267,9 +210,19 @@ module.exports = (upload, io) => {
         raffleId: payment.raffle
       });
 
+      // The payment stays confirmed even if the receipt cannot be generated
+      if (raffle) {
+        try {
+          await issueReceipt(payment, raffle);
+        } catch (error) {
+          console.error('Error generating receipt:', error);
+        }
+      }
+
       res.json({
         success: true,
-        message: 'Payment confirmed successfully'
+        message: 'Payment confirmed successfully',
+        receipt: payment.receipt
       });
     } catch (error) {
       await session.abortTransaction();
@@ -308,19 +261,13 @@ module.exports = (upload, io) => {
       payment.status = 'Rejected';
       await payment.save({ session });
 
-      // Release tickets
-      await Ticket.updateMany(
+      // Release tickets; an available number has no ticket document
+      await Ticket.deleteMany(
         { 
+          raffleId: raffleId,
           ticketNumber: { $in: payment.selectedNumbers },
           status: 'reserved'
         },
-        { 
-          $set: { 
-            status: 'available',
-            userId: null,
-            reservedAt: null
-          } 
-        },
         { session }
       );
 
@@ -339,6 +286,7 @@ module.exports = (upload, io) => {
         tickets: payment.selectedNumbers,
         raffleId: payment.raffle
       });
+      announceRelease(io, raffleId, payment.selectedNumbers);
 
       // Send success response
       res.json({
@@ -365,6 +313,92 @@ module.exports = (upload, io) => {
     }
   });
 
+  // Get the refunds queue, pending refunds first (admin only)
+  router.get('/refunds', auth.isAdmin, async (req, res) => {
+    try {
+      const status = req.query.status === 'Refunded' ? 'Refunded' : 'RefundPending';
+      const payments = await Payment.find({ status, ...raffleFilter(req) })
+        .populate('user', 'fullName email')
+        .populate('raffle', 'productName numbering')
+        .sort(status === 'Refunded' ? '-refund.refundedAt' : 'refund.requestedAt');
+      res.json(payments);
+    } catch (error) {
+      console.error('Error fetching refunds:', error);
+      res.status(500).json({ message: 'Error fetching refunds' });
+    }
+  });
+
+  // Record the refund of a payment with its proof (admin only)
+  router.post('/:id/refund', auth.isAdmin, refundUpload.single('proofOfRefund'), async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id).populate('raffle', 'productName');
+
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.status !== 'RefundPending') {
+        throw new Error('Payment is not waiting for a refund');
+      }
+
+      if (!req.file) {
+        throw new Error('Proof of refund is required');
+      }
+
+      payment.status = 'Refunded';
+      payment.refund = {
+        ...payment.refund.toObject(),
+        proofOfRefund: `/uploads/refunds/${req.file.filename}`,
+        reference: req.body.reference || null,
+        note: req.body.note || '',
+        refundedAt: new Date(),
+        refundedBy: req.user._id
+      };
+      await payment.save();
+
+      // Emit socket events
+      io.to('admin-room').emit('payment_refunded', {
+        paymentId: payment._id,
+        raffleId: payment.raffle._id
+      });
+      io.to(`user-${payment.user}`).emit('refund_completed', {
+        paymentId: payment._id,
+        raffleId: payment.raffle._id,
+        productName: payment.raffle.productName,
+        amount: payment.totalAmountUSD
+      });
+
+      sendMail({
+        to: payment.email,
+        subject: `Reembolso realizado: ${payment.raffle.productName}`,
+        text: [
+          `Hola ${payment.fullName},`,
+          '',
+          `Te reembolsamos $${payment.totalAmountUSD.toFixed(2)} por la rifa cancelada "${payment.raffle.productName}".`,
+          payment.refund.reference ? `Referencia: ${payment.refund.reference}` : null
+        ].filter(line => line !== null).join('\n')
+      });
+
+      res.json({
+        success: true,
+        message: 'Refund recorded successfully',
+        payment
+      });
+    } catch (error) {
+      if (req.file) {
+        fs.unlink(req.file.path, (err) => {
+          if (err) console.error('Error deleting file:', err);
+        });
+      }
+
+      console.error('Error recording refund:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Error recording refund'
+      });
+    }
+  });
+
   // New Routes as per Developer Notes
 
   // Get payment statistics
@@ -408,7 +442,7 @@ module.exports = (upload, io) => {
   // Get confirmed payments
   router.get('/confirmed', auth.isAdmin, async (req, res) => {
     try {
-      const payments = await Payment.find({ status: 'Confirmed' })
+      const payments = await Payment.find({ status: 'Confirmed', ...raffleFilter(req) })
         .sort('-createdAt')
         .populate('user', 'fullName email')
         .limit(100);
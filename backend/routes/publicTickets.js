@@ -0,0 +1,223 @@
+// routes/publicTickets.js
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const TicketTransfer = require('../models/TicketTransfer');
+const rateLimit = require('../middleware/rateLimit');
+const { verifyReceiptToken, maskIdNumber, maskFullName } = require('../utils/receiptToken');
+const { digitsOnly, idNumberPattern } = require('../utils/idNumber');
+
+const RAFFLE_FIELDS = 'productName status drawDate numbering prizes.rank prizes.name prizes.drawResult.ticketNumber';
+
+// Lookups guess at other people's cédulas, so keep them few
+const lookupLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many lookups, please try again in a few minutes'
+});
+
+// Tokens cannot be guessed, this only keeps scanners from hammering the database
+const verifyLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: 'Too many verifications, please try again in a few minutes'
+});
+
+// @route   POST /api/tickets/lookup
+// @desc    A buyer's payments and the numbers they hold now, found by cédula plus
+//          phone or email. Only payments and accounts matching both are used.
+// @access  Public (rate limited)
+router.post('/lookup', lookupLimit, async (req, res) => {
+  const idNumber = digitsOnly(req.body.idNumber);
+  const phoneNumber = digitsOnly(req.body.phoneNumber);
+  const email = String(req.body.email || '').toLowerCase().trim();
+
+  if (!idNumber || (!phoneNumber && !email)) {
+    return res.status(400).json({
+      message: 'Enter your ID number plus your phone number or email',
+      code: 'LOOKUP_FIELDS_REQUIRED'
+    });
+  }
+
+  try {
+    const matchesBuyer = doc => (
+      digitsOnly(doc.idNumber) === idNumber &&
+      ((phoneNumber && digitsOnly(doc.phoneNumber) === phoneNumber) ||
+        (email && doc.email === email))
+    );
+
+    const candidates = await Payment.find({ idNumber: { $regex: idNumberPattern(idNumber) } })
+      .populate('raffle', RAFFLE_FIELDS)
+      .sort('-createdAt');
+    const payments = candidates.filter(matchesBuyer);
+
+    // Tickets change hands through transfers without touching the payments, so
+    // what the buyer holds now comes from the tickets of their accounts
+    const users = await User.find({ idNumber: { $regex: idNumberPattern(idNumber) } })
+      .select('idNumber phoneNumber email')
+      .lean();
+    const ownerIds = [
+      ...users.filter(matchesBuyer).map(user => user._id),
+      ...payments.map(payment => payment.user)
+    ];
+    const tickets = await Ticket.find({ userId: { $in: ownerIds }, status: { $in: ['reserved', 'sold'] } })
+      .populate('raffleId', RAFFLE_FIELDS)
+      .sort({ ticketNumber: 1 })
+      .lean();
+
+    // One entry per raffle, with nothing about the buyer beyond their own numbers
+    const byRaffle = new Map();
+    const entryFor = (raffle) => {
+      const raffleId = raffle._id.toString();
+      if (!byRaffle.has(raffleId)) {
+        byRaffle.set(raffleId, {
+          raffle: {
+            _id: raffle._id,
+            productName: raffle.productName,
+            status: raffle.status,
+            drawDate: raffle.drawDate,
+            numbering: raffle.numbering
+          },
+          payments: [],
+          tickets: [],
+          winningNumbers: []
+        });
+      }
+      return byRaffle.get(raffleId);
+    };
+
+    for (const payment of payments) {
+      if (!payment.raffle) continue;
+
+      entryFor(payment.raffle).payments.push({
+        _id: payment._id,
+        selectedNumbers: payment.selectedNumbers,
+        status: payment.status,
+        method: payment.method,
+        totalAmountUSD: payment.totalAmountUSD,
+        createdAt: payment.createdAt,
+        refundedAt: payment.refund?.refundedAt || null
+      });
+    }
+
+    for (const ticket of tickets) {
+      // A transfer can hand over numbers in raffles the buyer never paid for
+      const raffle = ticket.raffleId;
+      if (!raffle) continue;
+
+      const entry = entryFor(raffle);
+      const giftFor = ticket.beneficiary?.fullName || null;
+      entry.tickets.push({ ticketNumber: ticket.ticketNumber, status: ticket.status, giftFor });
+
+      // Prizes won with a paid ticket
+      if (ticket.status === 'sold') {
+        for (const prize of raffle.prizes) {
+          if (prize.drawResult && prize.drawResult.ticketNumber === ticket.ticketNumber) {
+            entry.winningNumbers.push({ rank: prize.rank, name: prize.name, ticketNumber: ticket.ticketNumber, giftFor });
+          }
+        }
+      }
+    }
+
+    res.json({ raffles: [...byRaffle.values()] });
+  } catch (error) {
+    console.error('Error looking up tickets:', error);
+    res.status(500).json({ message: 'Error looking up tickets' });
+  }
+});
+
+// @route   GET /api/tickets/verify/:token
+// @desc    Check a receipt's signed token: whether each of its numbers still
+//          belongs to that buyer in that raffle and is sold, reserved, transferred or released.
+//          ?number= narrows the answer to one number.
+// @access  Public (rate limited)
+router.get('/verify/:token', verifyLimit, async (req, res) => {
+  const claims = verifyReceiptToken(req.params.token);
+
+  if (!claims) {
+    return res.status(400).json({
+      valid: false,
+      message: 'This receipt was not issued by us or has been altered',
+      code: 'INVALID_RECEIPT'
+    });
+  }
+
+  try {
+    const payment = await Payment.findById(claims.paymentId)
+      .populate('raffle', 'productName status drawDate numbering');
+
+    // A genuine token always matches its payment; anything else is tampering
+    if (!payment || !payment.raffle ||
+        payment.raffle._id.toString() !== claims.raffleId ||
+        payment.user.toString() !== claims.buyerId) {
+      return res.status(404).json({
+        valid: false,
+        message: 'Receipt not found',
+        code: 'RECEIPT_NOT_FOUND'
+      });
+    }
+
+    let numbers = payment.selectedNumbers;
+    if (req.query.number !== undefined) {
+      const number = Number(req.query.number);
+      if (!numbers.includes(number)) {
+        return res.status(404).json({
+          valid: false,
+          message: 'That number is not on this receipt',
+          code: 'NUMBER_NOT_ON_RECEIPT'
+        });
+      }
+      numbers = [number];
+    }
+
+    // A number no longer held by this buyer counts as released, or as
+    // transferred when they handed it to someone else
+    const tickets = await Ticket.find({
+      raffleId: payment.raffle._id,
+      ticketNumber: { $in: numbers },
+      userId: payment.user,
+      status: { $in: ['reserved', 'sold'] }
+    }).select('ticketNumber status').lean();
+    const statusByNumber = new Map(tickets.map(ticket => [ticket.ticketNumber, ticket.status]));
+
+    const transfers = await TicketTransfer.find({
+      raffle: payment.raffle._id,
+      from: payment.user,
+      status: 'accepted',
+      ticketNumbers: { $in: numbers }
+    }).select('ticketNumbers').lean();
+    for (const number of transfers.flatMap(transfer => transfer.ticketNumbers)) {
+      if (numbers.includes(number) && !statusByNumber.has(number)) {
+        statusByNumber.set(number, 'transferred');
+      }
+    }
+
+    res.json({
+      valid: true,
+      issuedAt: claims.issuedAt,
+      raffle: {
+        _id: payment.raffle._id,
+        productName: payment.raffle.productName,
+        status: payment.raffle.status,
+        drawDate: payment.raffle.drawDate,
+        numbering: payment.raffle.numbering
+      },
+      buyer: {
+        fullName: maskFullName(payment.fullName),
+        idNumber: maskIdNumber(payment.idNumber)
+      },
+      paymentStatus: payment.status,
+      tickets: numbers.map(number => ({
+        ticketNumber: number,
+        status: statusByNumber.get(number) || 'released'
+      }))
+    });
+  } catch (error) {
+    console.error('Error verifying receipt:', error);
+    res.status(500).json({ message: 'Error verifying receipt' });
+  }
+});
+
+module.exports = router;
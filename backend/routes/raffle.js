@@ -6,7 +6,21 @@ const path = require('path');
 const fs = require('fs');
 const Raffle = require('../models/Raffle');
 const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const RaffleTemplate = require('../models/RaffleTemplate');
+const PaymentMethod = require('../models/PaymentMethod');
 const auth = require('../middleware/auth');
+const { ALGORITHM, hashServerSeed, hashTicketPool, deriveClientSeed, drawFromPool } = require('../utils/fairDraw');
+const { FALLBACKS, MAX_DIGITS, isLotteryDigits, wrapTicketNumber, resolveLotteryWinner } = require('../utils/lotteryDraw');
+const { PUBLIC_STATUSES, PENDING_STATUSES } = require('../utils/raffleStatus');
+const { THRESHOLD_ACTIONS, FINAL_ACTIONS } = require('../utils/salesThreshold');
+const { firstTicketNumber, lotteryDigits, validateNumbering } = require('../utils/ticketNumbering');
+const { storedImages } = require('../utils/imageUrl');
+const { cancelRaffle } = require('../services/raffleCancellation');
+const { copyRaffleImage, copyGallery, deleteRaffleImages } = require('../services/raffleImages');
+
+// Photos a raffle gallery can hold, cover included
+const MAX_RAFFLE_IMAGES = 10;
 
 // Configure multer for raffle image uploads
 const storage = multer.diskStorage({
@@ -35,6 +49,323 @@ const upload = multer({
   }
 });
 
+// Product image plus one optional image per prize tier
+const raffleUpload = upload.fields([
+  { name: 'productImage', maxCount: 1 },
+  { name: 'images', maxCount: MAX_RAFFLE_IMAGES },
+  { name: 'prizeImages', maxCount: 10 }
+]);
+
+// Every file multer stored for this request
+const getUploadedFiles = (req) => Object.values(req.files || {}).flat();
+
+// Stored path of a raffle image given as a path or a full image URL
+const toImagePath = (image) => (
+  typeof image === 'string' && image.includes('/uploads/raffles/')
+    ? image.slice(image.indexOf('/uploads/raffles/'))
+    : null
+);
+
+// Build prize tiers from the JSON `prizes` field. Each prize may point at an
+// uploaded file with `imageIndex` or keep an existing raffle image in `image`.
+// Drawn tiers are ranked in the order given, consolation tiers after them.
+const parsePrizes = (rawPrizes, prizeImages = []) => {
+  let prizes;
+  try {
+    prizes = typeof rawPrizes === 'string' ? JSON.parse(rawPrizes) : rawPrizes;
+  } catch (error) {
+    throw new Error('Invalid prizes format');
+  }
+
+  if (!Array.isArray(prizes)) {
+    throw new Error('Invalid prizes format');
+  }
+
+  const parsed = prizes.map(prize => {
+    if (!prize.name || !String(prize.name).trim()) {
+      throw new Error('Every prize needs a name');
+    }
+
+    const type = prize.type === 'adjacent' ? 'adjacent' : 'draw';
+    const offset = parseInt(prize.offset);
+    if (type === 'adjacent' && (isNaN(offset) || offset === 0)) {
+      throw new Error('Consolation prizes need a non-zero offset from the winning number');
+    }
+
+    const uploaded = Number.isInteger(prize.imageIndex) ? prizeImages[prize.imageIndex] : null;
+    const existingImage = toImagePath(prize.image);
+
+    return {
+      name: String(prize.name).trim(),
+      description: prize.description || '',
+      type,
+      offset: type === 'adjacent' ? offset : null,
+      image: uploaded ? `/uploads/raffles/${uploaded.filename}` : existingImage
+    };
+  });
+
+  const drawTiers = parsed.filter(prize => prize.type === 'draw');
+  const consolationTiers = parsed.filter(prize => prize.type === 'adjacent');
+
+  if (parsed.length > 0 && drawTiers.length === 0) {
+    throw new Error('At least one prize must be drawn');
+  }
+
+  return [...drawTiers, ...consolationTiers].map((prize, index) => ({ ...prize, rank: index + 1 }));
+};
+
+// Build the lottery draw settings from the form fields
+const parseDrawConfig = ({ lotteryName, lotteryDigits, lotteryFallback }) => {
+  const drawConfig = {};
+
+  if (lotteryName !== undefined) {
+    drawConfig.lotteryName = lotteryName || null;
+  }
+
+  if (lotteryDigits !== undefined && lotteryDigits !== '') {
+    const digits = parseInt(lotteryDigits);
+    if (!isLotteryDigits(digits)) {
+      throw new Error(`Lottery digits must be between 1 and ${MAX_DIGITS}`);
+    }
+    drawConfig.digits = digits;
+  }
+
+  if (lotteryFallback !== undefined && lotteryFallback !== '') {
+    if (!FALLBACKS.includes(lotteryFallback)) {
+      throw new Error(`Lottery fallback must be one of: ${FALLBACKS.join(', ')}`);
+    }
+    drawConfig.fallback = lotteryFallback;
+  }
+
+  return drawConfig;
+};
+
+// Error with a code the routes answer with a 400
+const badRequest = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Parse an optional date field; an empty value clears the date
+const parseDate = (value, field) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw badRequest(`Invalid ${field}`, 'INVALID_DATE');
+  }
+  return date;
+};
+
+// Check that a raffle has the dates its status needs
+const validateSchedule = ({ status, startDate, drawDate }) => {
+  const now = new Date();
+
+  if (status === 'scheduled' && (!startDate || startDate <= now)) {
+    throw badRequest('A scheduled raffle needs a start date in the future', 'INVALID_SCHEDULE');
+  }
+
+  if (status === 'open' && drawDate && drawDate <= now) {
+    throw badRequest('The draw date must be in the future to open ticket sales', 'INVALID_SCHEDULE');
+  }
+
+  if (startDate && drawDate && drawDate <= startDate) {
+    throw badRequest('The draw date must be after the start date', 'INVALID_SCHEDULE');
+  }
+};
+
+// Build the minimum-sales rule from the form fields
+const parseSalesThreshold = ({
+  minSoldPercent,
+  thresholdAction,
+  thresholdExtendDays,
+  thresholdMaxExtensions,
+  thresholdFallback
+}) => {
+  const salesThreshold = {};
+
+  if (minSoldPercent !== undefined && minSoldPercent !== '') {
+    const percent = parseFloat(minSoldPercent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      throw badRequest('Minimum sold percentage must be between 0 and 100', 'INVALID_SALES_THRESHOLD');
+    }
+    salesThreshold.minSoldPercent = percent;
+  }
+
+  if (thresholdAction !== undefined && thresholdAction !== '') {
+    if (!THRESHOLD_ACTIONS.includes(thresholdAction)) {
+      throw badRequest(`Threshold action must be one of: ${THRESHOLD_ACTIONS.join(', ')}`, 'INVALID_SALES_THRESHOLD');
+    }
+    salesThreshold.action = thresholdAction;
+  }
+
+  if (thresholdExtendDays !== undefined && thresholdExtendDays !== '') {
+    const days = parseInt(thresholdExtendDays);
+    if (isNaN(days) || days < 1) {
+      throw badRequest('Extension period must be at least one day', 'INVALID_SALES_THRESHOLD');
+    }
+    salesThreshold.extendDays = days;
+  }
+
+  if (thresholdMaxExtensions !== undefined && thresholdMaxExtensions !== '') {
+    const maxExtensions = parseInt(thresholdMaxExtensions);
+    if (isNaN(maxExtensions) || maxExtensions < 1) {
+      throw badRequest('Maximum extensions must be at least one', 'INVALID_SALES_THRESHOLD');
+    }
+    salesThreshold.maxExtensions = maxExtensions;
+  }
+
+  if (thresholdFallback !== undefined && thresholdFallback !== '') {
+    if (!FINAL_ACTIONS.includes(thresholdFallback)) {
+      throw badRequest(`Threshold fallback must be one of: ${FINAL_ACTIONS.join(', ')}`, 'INVALID_SALES_THRESHOLD');
+    }
+    salesThreshold.fallbackAction = thresholdFallback;
+  }
+
+  return salesThreshold;
+};
+
+// Parse the accepted payment methods, sent as a JSON array of PaymentMethod ids
+const parsePaymentMethods = async (rawMethods) => {
+  let methods;
+  try {
+    methods = typeof rawMethods === 'string' ? JSON.parse(rawMethods) : rawMethods;
+  } catch (error) {
+    throw badRequest('Invalid payment methods format', 'INVALID_PAYMENT_METHODS');
+  }
+
+  if (!Array.isArray(methods) || methods.length === 0) {
+    throw badRequest('At least one payment method is required', 'INVALID_PAYMENT_METHODS');
+  }
+
+  const ids = [...new Set(methods.map(String))];
+  const known = ids.every(id => mongoose.Types.ObjectId.isValid(id))
+    ? await PaymentMethod.find({ _id: { $in: ids } }).select('_id').lean()
+    : [];
+  const unknown = ids.filter(id => !known.some(method => method._id.equals(id)));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown payment methods: ${unknown.join(', ')}`, 'INVALID_PAYMENT_METHODS');
+  }
+
+  return ids;
+};
+
+// Every enabled payment method, for raffles created without choosing any
+const enabledPaymentMethods = async () => {
+  const methods = await PaymentMethod.find({ enabled: true }).select('_id').sort({ sortOrder: 1, name: 1 }).lean();
+  return methods.map(method => method._id);
+};
+
+// Parse a JSON list of raffle images (paths or URLs); absent means no change
+const parseImageList = (rawImages, field) => {
+  if (rawImages === undefined || rawImages === '') return null;
+
+  let images;
+  try {
+    images = typeof rawImages === 'string' ? JSON.parse(rawImages) : rawImages;
+  } catch (error) {
+    throw badRequest(`Invalid ${field} format`, 'INVALID_IMAGES');
+  }
+
+  if (!Array.isArray(images)) {
+    throw badRequest(`Invalid ${field} format`, 'INVALID_IMAGES');
+  }
+
+  return images.map(toImagePath);
+};
+
+// Apply gallery edits to a raffle: `productImage` replaces the cover file,
+// `images` uploads are appended, then `removeImages`, `imageOrder` (listed
+// images first, the rest keep their order) and `coverImage` are applied.
+// Returns the new gallery and the files it no longer uses, or null when the
+// request does not touch the gallery.
+const applyGalleryChanges = (raffle, req) => {
+  const coverUpload = req.files?.productImage?.[0];
+  const newImages = (req.files?.images || []).map(file => `/uploads/raffles/${file.filename}`);
+  const removeImages = parseImageList(req.body.removeImages, 'removeImages');
+  const imageOrder = parseImageList(req.body.imageOrder, 'imageOrder');
+  const coverImage = req.body.coverImage ? toImagePath(req.body.coverImage) : null;
+
+  if (!coverUpload && newImages.length === 0 && !removeImages && !imageOrder && !req.body.coverImage) {
+    return null;
+  }
+
+  let cover = raffle.get('productImage', null, { getters: false });
+  let images = storedImages(raffle);
+  if (!images.includes(cover)) images.unshift(cover);
+  const removed = [];
+
+  if (coverUpload) {
+    const uploaded = `/uploads/raffles/${coverUpload.filename}`;
+    images = images.map(image => (image === cover ? uploaded : image));
+    removed.push(cover);
+    cover = uploaded;
+  }
+
+  images.push(...newImages);
+
+  const unknown = [...(removeImages || []), ...(imageOrder || [])]
+    .filter(image => !images.includes(image));
+  if (unknown.length > 0) {
+    throw badRequest('Some of the images do not belong to this raffle', 'IMAGE_NOT_FOUND');
+  }
+
+  if (removeImages) {
+    images = images.filter(image => !removeImages.includes(image));
+    removed.push(...removeImages);
+  }
+
+  if (imageOrder) {
+    const ordered = imageOrder.filter(image => images.includes(image));
+    images = [...new Set([...ordered, ...images])];
+  }
+
+  if (images.length === 0) {
+    throw badRequest('A raffle needs at least one image', 'INVALID_IMAGES');
+  }
+
+  if (images.length > MAX_RAFFLE_IMAGES) {
+    throw badRequest(`A raffle can have at most ${MAX_RAFFLE_IMAGES} images`, 'TOO_MANY_IMAGES');
+  }
+
+  if (req.body.coverImage) {
+    if (!images.includes(coverImage)) {
+      throw badRequest('The cover must be one of the raffle images', 'INVALID_COVER_IMAGE');
+    }
+    cover = coverImage;
+  } else if (!images.includes(cover)) {
+    cover = images[0];
+  }
+
+  return { productImage: cover, images, removed };
+};
+
+// Build the ticket numbering scheme from the form fields
+const parseNumbering = ({ numberingStart, numberingPadding, numberingPrefix }, totalTickets) => {
+  const numbering = {};
+
+  if (numberingStart !== undefined && numberingStart !== '') {
+    numbering.start = Number(numberingStart);
+  }
+
+  if (numberingPadding !== undefined && numberingPadding !== '') {
+    numbering.padding = Number(numberingPadding);
+  }
+
+  if (numberingPrefix !== undefined) {
+    numbering.prefix = String(numberingPrefix).trim();
+  }
+
+  const problem = validateNumbering(numbering, totalTickets);
+  if (problem) {
+    throw badRequest(problem, 'INVALID_NUMBERING');
+  }
+
+  return numbering;
+};
+
 // Get all raffles (admin only)
 router.get('/all', auth.isAdmin, async (req, res) => {
   try {
@@ -48,57 +379,81 @@ router.get('/all', auth.isAdmin, async (req, res) => {
   }
 });
 
-// Get active raffle (public)
+// Ticket counts by status for each raffle, keyed by raffle id. Only held,
+// reserved and sold tickets are stored, so the available count is what is left.
+const getTicketStats = async (raffles) => {
+  const stats = await Ticket.aggregate([
+    { $match: { raffleId: { $in: raffles.map(raffle => raffle._id) } } },
+    {
+      $group: {
+        _id: { raffleId: '$raffleId', status: '$status' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const byRaffle = stats.reduce((acc, stat) => {
+    const raffleId = stat._id.raffleId.toString();
+    acc[raffleId] = acc[raffleId] || {};
+    acc[raffleId][stat._id.status] = stat.count;
+    return acc;
+  }, {});
+
+  return raffles.reduce((acc, raffle) => {
+    const counts = byRaffle[raffle._id.toString()] || {};
+    acc[raffle._id.toString()] = {
+      ...counts,
+      available: raffle.totalTickets - (counts.held || 0) - (counts.reserved || 0) - (counts.sold || 0)
+    };
+    return acc;
+  }, {});
+};
+
+// Get every raffle on sale or waiting for its draw (public)
 router.get('/', async (req, res) => {
   try {
-    const raffle = await Raffle.findOne({ active: true })
+    const raffles = await Raffle.find({ status: { $in: ['open', 'closed'] } })
       .sort({ createdAt: -1 })
       .select('-__v');
 
-    if (!raffle) {
-      return res.status(404).json({ 
-        message: 'No active raffle found',
-        code: 'NO_ACTIVE_RAFFLE'
-      });
-    }
-
-    // Get ticket statistics
-    const ticketStats = await Ticket.aggregate([
-      { $match: { raffleId: raffle._id } },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    const ticketStats = await getTicketStats(raffles);
 
     // Format response with ticket stats
-    const response = {
+    res.json(raffles.map(raffle => ({
       ...raffle.toObject(),
-      ticketStats: ticketStats.reduce((acc, stat) => {
-        acc[stat._id] = stat.count;
-        return acc;
-      }, {})
-    };
-
-    res.json(response);
+      ticketStats: ticketStats[raffle._id.toString()] || {}
+    })));
   } catch (error) {
-    console.error('Error fetching active raffle:', error);
-    res.status(500).json({ message: 'Error fetching raffle' });
+    console.error('Error fetching open raffles:', error);
+    res.status(500).json({ message: 'Error fetching raffles' });
   }
 });
 
 // Create new raffle (admin only)
-router.post('/create', auth.isAdmin, upload.single('productImage'), async (req, res) => {
+router.post('/create', auth.isAdmin, raffleUpload, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  // Images copied from a template, removed again if the raffle is not created
+  const copiedImages = [];
+
   try {
     // Validate input
-    const { productName, description, price, totalTickets } = req.body;
-    
-    if (!productName || !description || !price || !totalTickets || !req.file) {
+    const { productName, description, price, totalTickets, templateId } = req.body;
+    const productImage = req.files?.productImage?.[0];
+
+    // A raffle started from a template may keep the template's image
+    let template = null;
+    if (!productImage && templateId) {
+      template = mongoose.Types.ObjectId.isValid(templateId)
+        ? await RaffleTemplate.findById(templateId)
+        : null;
+      if (!template) {
+        throw badRequest('Template not found', 'TEMPLATE_NOT_FOUND');
+      }
+    }
+
+    if (!productName || !description || !price || !totalTickets || (!productImage && !template)) {
       throw new Error('All fields including image are required');
     }
 
@@ -114,37 +469,74 @@ router.post('/create', auth.isAdmin, upload.single('productImage'), async (req,
       throw new Error('Total tickets must be a positive number');
     }
 
-    // Deactivate existing raffles
-    await Raffle.updateMany({}, { active: false }, { session });
+    // Drafts stay hidden until published; otherwise sales open now or at the start date
+    const startDate = parseDate(req.body.startDate, 'start date') || null;
+    const drawDate = parseDate(req.body.drawDate, 'draw date') || null;
+    let status = 'open';
+    if (req.body.status === 'draft') {
+      status = 'draft';
+    } else if (startDate && startDate > new Date()) {
+      status = 'scheduled';
+    }
+    validateSchedule({ status, startDate, drawDate });
+
+    // Prize images kept from a template or another raffle get their own copy
+    const uploadedPrizeImages = (req.files?.prizeImages || []).map(file => `/uploads/raffles/${file.filename}`);
+    const prizes = req.body.prizes ? parsePrizes(req.body.prizes, req.files?.prizeImages) : [];
+    for (const prize of prizes) {
+      if (prize.image && !uploadedPrizeImages.includes(prize.image)) {
+        prize.image = await copyRaffleImage(prize.image);
+        copiedImages.push(prize.image);
+      }
+    }
+
+    // The cover comes first; extra photos follow in upload order
+    const galleryUploads = (req.files?.images || []).map(file => `/uploads/raffles/${file.filename}`);
+    let imagePath;
+    let images;
+    if (productImage) {
+      imagePath = `/uploads/raffles/${productImage.filename}`;
+      images = [imagePath, ...galleryUploads];
+    } else {
+      const gallery = await copyGallery(
+        template.get('productImage', null, { getters: false }),
+        storedImages(template)
+      );
+      copiedImages.push(...gallery.copied);
+      imagePath = gallery.productImage;
+      images = [...new Set([imagePath, ...gallery.images]), ...galleryUploads];
+    }
+
+    if (images.length > MAX_RAFFLE_IMAGES) {
+      throw badRequest(`A raffle can have at most ${MAX_RAFFLE_IMAGES} images`, 'TOO_MANY_IMAGES');
+    }
 
     // Create new raffle
     const raffle = new Raffle({
       productName,
       description,
-      productImage: `/uploads/raffles/${req.file.filename}`,
+      productImage: imagePath,
+      images,
       price: parsedPrice,
       totalTickets: parsedTotalTickets,
-      active: true,
+      numbering: parseNumbering(req.body, parsedTotalTickets),
+      status,
+      startDate,
+      drawDate,
       soldTickets: 0,
       reservedTickets: 0,
+      paymentMethods: req.body.paymentMethods
+        ? await parsePaymentMethods(req.body.paymentMethods)
+        : await enabledPaymentMethods(),
+      drawConfig: parseDrawConfig(req.body),
+      salesThreshold: parseSalesThreshold(req.body),
+      prizes,
       createdBy: req.user._id
     });
 
+    // Tickets are only stored once reserved, so a new raffle has none
     await raffle.save({ session });
 
-    // Create tickets with proper error handling
-    const ticketBulkOps = Array.from({ length: parsedTotalTickets }, (_, index) => ({
-      insertOne: {
-        document: {
-          raffleId: raffle._id,
-          ticketNumber: index + 1,
-          status: 'available'
-        }
-      }
-    }));
-
-    await Ticket.bulkWrite(ticketBulkOps, { session });
-
     await session.commitTransaction();
 
     // Emit socket event
@@ -160,14 +552,18 @@ router.post('/create', auth.isAdmin, upload.single('productImage'), async (req,
   } catch (error) {
     await session.abortTransaction();
 
-    // Clean up uploaded file if there was an error
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
+    // Clean up uploaded files if there was an error
+    getUploadedFiles(req).forEach(file => {
+      fs.unlink(file.path, (err) => {
         if (err) console.error('Error deleting file:', err);
       });
-    }
+    });
+    deleteRaffleImages(copiedImages);
 
     console.error('Error creating raffle:', error);
+    if (error.code) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({
       message: 'Error creating raffle',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
@@ -178,7 +574,7 @@ router.post('/create', auth.isAdmin, upload.single('productImage'), async (req,
 });
 
 // Update raffle (admin only)
-router.put('/:id', auth.isAdmin, upload.single('productImage'), async (req, res) => {
+router.put('/:id', auth.isAdmin, raffleUpload, async (req, res) => {
   try {
     const raffle = await Raffle.findById(req.params.id);
     
@@ -190,7 +586,7 @@ router.put('/:id', auth.isAdmin, upload.single('productImage'), async (req, res)
     }
 
     const updates = {};
-    const allowedUpdates = ['productName', 'description', 'price', 'active'];
+    const allowedUpdates = ['productName', 'description', 'price'];
     
     // Handle regular fields
     allowedUpdates.forEach(field => {
@@ -199,30 +595,80 @@ router.put('/:id', auth.isAdmin, upload.single('productImage'), async (req, res)
       }
     });
 
-    // Handle image update
-    if (req.file) {
-      // Delete old image if it exists
-      if (raffle.productImage) {
-        const oldImagePath = path.join(__dirname, '..', 'public', raffle.productImage);
-        fs.unlink(oldImagePath, err => {
-          if (err && err.code !== 'ENOENT') console.error('Error deleting old image:', err);
+    // Handle lottery draw settings
+    const drawConfig = parseDrawConfig(req.body);
+    if (Object.keys(drawConfig).length > 0) {
+      updates.drawConfig = { ...raffle.drawConfig?.toObject(), ...drawConfig };
+    }
+
+    // Handle the accepted payment methods
+    if (req.body.paymentMethods !== undefined) {
+      updates.paymentMethods = await parsePaymentMethods(req.body.paymentMethods);
+    }
+
+    // Handle the minimum-sales rule, which is settled once sales have closed
+    const salesThreshold = parseSalesThreshold(req.body);
+    if (Object.keys(salesThreshold).length > 0) {
+      if (!['draft', 'scheduled', 'open'].includes(raffle.status)) {
+        return res.status(400).json({
+          message: `The minimum sales rule cannot be changed on a ${raffle.status} raffle`,
+          code: 'INVALID_SALES_THRESHOLD'
         });
       }
-      updates.productImage = `/uploads/raffles/${req.file.filename}`;
+      updates.salesThreshold = { ...raffle.salesThreshold?.toObject(), ...salesThreshold };
     }
 
-    // If activating this raffle, deactivate others
-    if (updates.active) {
-      await Raffle.updateMany(
-        { _id: { $ne: raffle._id } },
-        { active: false }
-      );
+    // Handle dates; the start date only matters until the raffle opens
+    const startDate = parseDate(req.body.startDate, 'start date');
+    const drawDate = parseDate(req.body.drawDate, 'draw date');
+    if (startDate !== undefined || drawDate !== undefined) {
+      if (['drawn', 'cancelled'].includes(raffle.status)) {
+        return res.status(400).json({
+          message: `Dates cannot be changed on a ${raffle.status} raffle`,
+          code: 'INVALID_STATUS_TRANSITION'
+        });
+      }
+      if (startDate !== undefined && !['draft', 'scheduled'].includes(raffle.status)) {
+        return res.status(400).json({
+          message: 'The start date cannot be changed once the raffle has opened',
+          code: 'INVALID_SCHEDULE'
+        });
+      }
+      if (startDate !== undefined) updates.startDate = startDate;
+      if (drawDate !== undefined) updates.drawDate = drawDate;
+      validateSchedule({
+        status: raffle.status,
+        startDate: startDate !== undefined ? startDate : raffle.startDate,
+        drawDate: drawDate !== undefined ? drawDate : raffle.drawDate
+      });
+    }
+
+    // Handle prize tiers, which are fixed once the first tier is drawn
+    if (req.body.prizes !== undefined) {
+      if (raffle.prizes.some(prize => prize.drawResult)) {
+        return res.status(400).json({
+          message: 'Prizes cannot be changed after the draw has started',
+          code: 'RAFFLE_ALREADY_DRAWN'
+        });
+      }
+      updates.prizes = parsePrizes(req.body.prizes, req.files?.prizeImages);
+    }
+
+    // Handle the image gallery
+    const gallery = applyGalleryChanges(raffle, req);
+    if (gallery) {
+      updates.productImage = gallery.productImage;
+      updates.images = gallery.images;
     }
 
     // Update the raffle
     Object.assign(raffle, updates);
     await raffle.save();
 
+    if (gallery) {
+      deleteRaffleImages(gallery.removed);
+    }
+
     // Emit socket event
     if (req.io) {
       req.io.emit('raffle_updated', raffle);
@@ -233,7 +679,16 @@ router.put('/:id', auth.isAdmin, upload.single('productImage'), async (req, res)
       raffle
     });
   } catch (error) {
+    getUploadedFiles(req).forEach(file => {
+      fs.unlink(file.path, (err) => {
+        if (err) console.error('Error deleting file:', err);
+      });
+    });
+
     console.error('Error updating raffle:', error);
+    if (error.code) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({ message: 'Error updating raffle' });
   }
 });
@@ -269,13 +724,12 @@ router.delete('/:id', auth.isAdmin, async (req, res) => {
     // Delete associated tickets
     await Ticket.deleteMany({ raffleId: raffle._id }, { session });
     
-    // Delete the raffle image
-    if (raffle.productImage) {
-      const imagePath = path.join(__dirname, '..', raffle.productImage);
-      fs.unlink(imagePath, err => {
-        if (err && err.code !== 'ENOENT') console.error('Error deleting raffle image:', err);
-      });
-    }
+    // Delete the raffle images
+    deleteRaffleImages([
+      raffle.get('productImage', null, { getters: false }),
+      ...storedImages(raffle),
+      ...raffle.prizes.map(prize => prize.get('image', null, { getters: false }))
+    ]);
 
     // Delete the raffle
     await Raffle.findByIdAndDelete(req.params.id, { session });
@@ -313,15 +767,7 @@ router.get('/:id/stats', auth.isAdmin, async (req, res) => {
     }
 
     // Get detailed ticket statistics
-    const ticketStats = await Ticket.aggregate([
-      { $match: { raffleId: mongoose.Types.ObjectId(req.params.id) } },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    const ticketStats = await getTicketStats([raffle]);
 
     // Calculate revenue
     const revenue = raffle.price * (raffle.soldTickets || 0);
@@ -330,12 +776,9 @@ router.get('/:id/stats', auth.isAdmin, async (req, res) => {
       raffleId: raffle._id,
       productName: raffle.productName,
       totalTickets: raffle.totalTickets,
-      ticketStats: ticketStats.reduce((acc, stat) => {
-        acc[stat._id] = stat.count;
-        return acc;
-      }, {}),
+      ticketStats: ticketStats[raffle._id.toString()] || {},
       revenue,
-      active: raffle.active,
+      status: raffle.status,
       createdAt: raffle.createdAt
     });
   } catch (error) {
@@ -344,13 +787,577 @@ router.get('/:id/stats', auth.isAdmin, async (req, res) => {
   }
 });
 
-// Get active raffles
+// Load a raffle, the prize tier to draw and its ticket pool, or describe why it cannot be drawn yet
+const getDrawableRaffle = async (raffleId, rank) => {
+  const raffle = await Raffle.findById(raffleId).select('+serverSeed');
+
+  if (!raffle) {
+    return { error: { status: 404, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' } };
+  }
+
+  raffle.ensurePrizes();
+  const pendingTiers = raffle.pendingDrawTiers();
+
+  if (pendingTiers.length === 0) {
+    return { error: { status: 400, message: 'Raffle has already been drawn', code: 'RAFFLE_ALREADY_DRAWN' } };
+  }
+
+  if (raffle.status !== 'closed') {
+    return { error: { status: 400, message: 'Ticket sales must be closed before the draw', code: 'RAFFLE_NOT_CLOSED' } };
+  }
+
+  const prize = rank !== undefined && rank !== null && rank !== ''
+    ? pendingTiers.find(tier => tier.rank === parseInt(rank))
+    : pendingTiers[0];
+
+  if (!prize) {
+    return { error: { status: 400, message: 'Prize tier not found or already drawn', code: 'PRIZE_NOT_DRAWABLE' } };
+  }
+
+  // Pending payments must be settled first so the sold pool cannot change after the draw
+  const reservedCount = await Ticket.countDocuments({
+    raffleId: raffle._id,
+    status: 'reserved'
+  });
+
+  if (reservedCount > 0) {
+    return {
+      error: {
+        status: 400,
+        message: 'Raffle has pending payments to confirm or reject',
+        code: 'RAFFLE_HAS_PENDING_PAYMENTS'
+      }
+    };
+  }
+
+  const soldTickets = await Ticket.find({
+    raffleId: raffle._id,
+    status: 'sold'
+  }).select('ticketNumber userId beneficiary').lean();
+
+  const excludedNumbers = raffle.drawnWinningNumbers();
+  const pool = soldTickets
+    .map(ticket => ticket.ticketNumber)
+    .filter(ticketNumber => !excludedNumbers.includes(ticketNumber));
+
+  if (pool.length === 0) {
+    return { error: { status: 400, message: 'Raffle has no sold tickets left to draw', code: 'RAFFLE_HAS_NO_SALES' } };
+  }
+
+  return { raffle, prize, soldTickets, pool, excludedNumbers };
+};
+
+// Owner of a ticket number among the sold tickets
+const findTicketOwner = (soldTickets, ticketNumber) => {
+  const ticket = soldTickets.find(sold => sold.ticketNumber === ticketNumber);
+  return ticket ? ticket.userId : null;
+};
+
+// Name a tier is announced for: the beneficiary of a gifted ticket, otherwise its owner
+const findWinnerName = async (soldTickets, ticketNumber) => {
+  const ticket = soldTickets.find(sold => sold.ticketNumber === ticketNumber);
+  if (!ticket) return null;
+  if (ticket.beneficiary) return ticket.beneficiary.fullName;
+
+  const owner = await User.findById(ticket.userId).select('fullName').lean();
+  return owner ? owner.fullName : null;
+};
+
+// Store a tier's result, settle consolation prizes off the first prize and
+// close the raffle once every tier has been drawn
+const saveDrawResult = async (req, raffle, prize, drawResult, soldTickets) => {
+  prize.drawResult = drawResult;
+  prize.winner = findTicketOwner(soldTickets, drawResult.ticketNumber);
+  prize.winnerName = await findWinnerName(soldTickets, drawResult.ticketNumber);
+
+  if (prize.rank === 1) {
+    raffle.drawResult = drawResult;
+    raffle.winner = prize.winner;
+
+    const adjacentTiers = raffle.prizes.filter(tier => tier.type === 'adjacent');
+    for (const tier of adjacentTiers) {
+      const anchorNumber = drawResult.ticketNumber;
+      const ticketNumber = anchorNumber === null
+        ? null
+        : wrapTicketNumber(anchorNumber + tier.offset, raffle.totalTickets, firstTicketNumber(raffle));
+      const winner = findTicketOwner(soldTickets, ticketNumber);
+
+      tier.drawResult = {
+        method: 'adjacent',
+        ticketNumber,
+        anchorNumber,
+        houseWins: !winner,
+        drawnAt: drawResult.drawnAt
+      };
+      tier.winner = winner;
+      tier.winnerName = await findWinnerName(soldTickets, ticketNumber);
+    }
+  }
+
+  const completed = raffle.pendingDrawTiers().length === 0;
+  if (completed) {
+    raffle.drawnAt = new Date();
+    raffle.transitionTo('drawn', { by: req.user._id });
+  }
+
+  await raffle.save();
+
+  // Emit socket events
+  if (req.io) {
+    req.io.emit('prize_drawn', {
+      raffleId: raffle._id,
+      rank: prize.rank,
+      prizeName: prize.name,
+      winningNumber: drawResult.ticketNumber,
+      winnerName: prize.winnerName,
+      drawResult: prize.drawResult,
+      prizes: raffle.prizes
+    });
+
+    if (completed) {
+      req.io.emit('raffle_drawn', {
+        raffleId: raffle._id,
+        winningNumber: raffle.drawResult ? raffle.drawResult.ticketNumber : null,
+        drawResult: raffle.drawResult,
+        prizes: raffle.prizes
+      });
+    }
+  }
+
+  return raffle;
+};
+
+// Respond with the drawn tier and the raffle's prize list
+const sendDrawResponse = (res, raffle, prize) => {
+  res.json({
+    message: `${prize.name} drawn successfully`,
+    rank: prize.rank,
+    winningNumber: prize.drawResult.ticketNumber,
+    winner: prize.winner,
+    winnerName: prize.winnerName,
+    drawResult: prize.drawResult,
+    prizes: raffle.prizes,
+    completed: raffle.pendingDrawTiers().length === 0
+  });
+};
+
+// Publish the hash of the settled sold tickets and name the future public value
+// that will seed the provably-fair draw (admin only)
+router.post('/:id/draw/commit', auth.isAdmin, async (req, res) => {
+  try {
+    const { raffle, soldTickets, error } = await getDrawableRaffle(req.params.id);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    if (raffle.drawCommitment) {
+      return res.status(400).json({
+        message: 'The draw of this raffle is already committed',
+        code: 'DRAW_ALREADY_COMMITTED'
+      });
+    }
+
+    const entropySource = String(req.body.entropySource || '').trim();
+    if (!entropySource) {
+      return res.status(400).json({
+        message: 'Name the public value that will seed the draw',
+        code: 'ENTROPY_SOURCE_REQUIRED'
+      });
+    }
+
+    const soldNumbers = soldTickets.map(ticket => ticket.ticketNumber);
+    raffle.drawCommitment = {
+      poolHash: hashTicketPool(soldNumbers),
+      poolSize: soldNumbers.length,
+      entropySource
+    };
+    await raffle.save();
+
+    if (req.io) {
+      req.io.emit('raffle_updated', raffle);
+    }
+
+    res.json({
+      message: 'Draw committed',
+      drawCommitment: raffle.drawCommitment
+    });
+  } catch (error) {
+    console.error('Error committing raffle draw:', error);
+    res.status(500).json({ message: 'Error committing raffle draw' });
+  }
+});
+
+// Draw the next prize tier (or the one given by `rank`) from sold tickets (admin only)
+router.post('/:id/draw', auth.isAdmin, async (req, res) => {
+  try {
+    const { raffle, prize, soldTickets, pool, excludedNumbers, error } =
+      await getDrawableRaffle(req.params.id, req.body.rank);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    if (!raffle.serverSeed || raffle.serverSeedHash !== hashServerSeed(raffle.serverSeed)) {
+      return res.status(400).json({
+        message: 'Raffle has no committed server seed',
+        code: 'RAFFLE_NOT_COMMITTED'
+      });
+    }
+
+    // The pool must be the one committed to before the external seed existed
+    const commitment = raffle.drawCommitment;
+    if (!commitment) {
+      return res.status(400).json({
+        message: 'Commit to the sold tickets before drawing',
+        code: 'DRAW_NOT_COMMITTED'
+      });
+    }
+    if (hashTicketPool(soldTickets.map(ticket => ticket.ticketNumber)) !== commitment.poolHash) {
+      return res.status(400).json({
+        message: 'Sold tickets changed after the draw commitment',
+        code: 'POOL_CHANGED'
+      });
+    }
+
+    // Given at the first tier; later tiers reuse it
+    const externalSeed = commitment.externalSeed || String(req.body.externalSeed || '').trim();
+    if (!externalSeed) {
+      return res.status(400).json({
+        message: `Enter the public value the draw was committed to: ${commitment.entropySource}`,
+        code: 'EXTERNAL_SEED_REQUIRED'
+      });
+    }
+    commitment.externalSeed = externalSeed;
+
+    const clientSeed = deriveClientSeed(commitment.poolHash, externalSeed);
+    const result = drawFromPool(raffle.serverSeed, clientSeed, pool, prize.rank);
+
+    await saveDrawResult(req, raffle, prize, {
+      method: 'provably-fair',
+      serverSeed: raffle.serverSeed,
+      poolHash: commitment.poolHash,
+      externalSeed,
+      excludedNumbers,
+      ...result
+    }, soldTickets);
+
+    sendDrawResponse(res, raffle, prize);
+  } catch (error) {
+    console.error('Error drawing raffle:', error);
+    res.status(500).json({ message: 'Error drawing raffle' });
+  }
+});
+
+// Draw the next prize tier (or the one given by `rank`) from an official lottery result (admin only)
+router.post('/:id/draw/lottery', auth.isAdmin, async (req, res) => {
+  try {
+    const { raffle, prize, soldTickets, pool, excludedNumbers, error } =
+      await getDrawableRaffle(req.params.id, req.body.rank);
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    // Results are tried in order; extra results are only used by the redraw fallback
+    const results = (Array.isArray(req.body.results)
+      ? req.body.results
+      : String(req.body.results || '').split(','))
+      .map(result => String(result).trim())
+      .filter(Boolean);
+
+    if (results.length === 0 || results.some(result => !/\d/.test(result))) {
+      return res.status(400).json({
+        message: 'At least one numeric lottery result is required',
+        code: 'INVALID_LOTTERY_RESULTS'
+      });
+    }
+
+    // A per-draw override must be as valid as the raffle's own setting
+    const hasDigits = req.body.digits !== undefined && req.body.digits !== null && req.body.digits !== '';
+    if (hasDigits && !isLotteryDigits(Number(req.body.digits))) {
+      return res.status(400).json({
+        message: `Lottery digits must be a whole number between 1 and ${MAX_DIGITS}`,
+        code: 'INVALID_LOTTERY_DIGITS'
+      });
+    }
+    const digits = hasDigits ? Number(req.body.digits) : raffle.drawConfig?.digits || lotteryDigits(raffle);
+    const fallback = req.body.fallback || raffle.drawConfig?.fallback || 'redraw';
+    const lotteryName = req.body.lotteryName || raffle.drawConfig?.lotteryName;
+
+    if (!FALLBACKS.includes(fallback)) {
+      return res.status(400).json({
+        message: `Fallback must be one of: ${FALLBACKS.join(', ')}`,
+        code: 'INVALID_FALLBACK'
+      });
+    }
+
+    if (!lotteryName) {
+      return res.status(400).json({
+        message: 'Lottery name is required',
+        code: 'LOTTERY_NAME_REQUIRED'
+      });
+    }
+
+    const result = resolveLotteryWinner({
+      results,
+      digits,
+      totalTickets: raffle.totalTickets,
+      firstNumber: firstTicketNumber(raffle),
+      fallback,
+      soldNumbers: pool
+    });
+
+    if (result.needsMoreResults) {
+      return res.status(400).json({
+        message: 'No result pointed to a sold ticket, enter the next official result to redraw',
+        code: 'LOTTERY_NEEDS_MORE_RESULTS',
+        attempts: result.attempts
+      });
+    }
+
+    await saveDrawResult(req, raffle, prize, {
+      method: 'lottery',
+      ticketNumber: result.ticketNumber,
+      excludedNumbers,
+      lotteryName,
+      digits,
+      fallback,
+      fallbackApplied: result.fallbackApplied,
+      attempts: result.attempts,
+      houseWins: result.ticketNumber === null
+    }, soldTickets);
+
+    sendDrawResponse(res, raffle, prize);
+  } catch (error) {
+    console.error('Error drawing raffle from lottery result:', error);
+    res.status(500).json({ message: 'Error drawing raffle' });
+  }
+});
+
+// Get draw commitment and, once drawn, everything needed to verify it (public)
+router.get('/:id/fairness', async (req, res) => {
+  try {
+    const raffle = await Raffle.findById(req.params.id)
+      .select('productName serverSeedHash drawCommitment drawResult prizes totalTickets numbering');
+
+    if (!raffle) {
+      return res.status(404).json({
+        message: 'Raffle not found',
+        code: 'RAFFLE_NOT_FOUND'
+      });
+    }
+
+    const response = {
+      raffleId: raffle._id,
+      productName: raffle.productName,
+      serverSeedHash: raffle.serverSeedHash,
+      drawCommitment: raffle.drawCommitment,
+      algorithm: ALGORITHM,
+      totalTickets: raffle.totalTickets,
+      numbering: raffle.numbering,
+      drawn: raffle.prizes.some(prize => prize.drawResult) || !!raffle.drawResult
+    };
+
+    if (response.drawn) {
+      const soldTickets = await Ticket.find({
+        raffleId: raffle._id,
+        status: 'sold'
+      }).select('ticketNumber').sort({ ticketNumber: 1 }).lean();
+
+      response.drawResult = raffle.drawResult;
+      response.prizes = raffle.prizes.map(prize => ({
+        rank: prize.rank,
+        name: prize.name,
+        type: prize.type,
+        offset: prize.offset,
+        drawResult: prize.drawResult
+      }));
+      response.soldTicketNumbers = soldTickets.map(ticket => ticket.ticketNumber);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching raffle fairness data:', error);
+    res.status(500).json({ message: 'Error fetching raffle fairness data' });
+  }
+});
+
+// Change a raffle's status (admin only). Raffles become drawn through the draw routes.
+router.post('/:id/status', auth.isAdmin, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const raffle = await Raffle.findById(req.params.id);
+
+    if (!raffle) {
+      return res.status(404).json({
+        message: 'Raffle not found',
+        code: 'RAFFLE_NOT_FOUND'
+      });
+    }
+
+    if (status === 'drawn') {
+      return res.status(400).json({
+        message: 'Use the draw routes to draw a raffle',
+        code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        message: 'Use the cancel route to cancel a raffle and queue its refunds',
+        code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    // Reopening a closed raffle usually comes with a new draw date
+    const drawDate = parseDate(req.body.drawDate, 'draw date');
+    if (drawDate !== undefined) {
+      raffle.drawDate = drawDate;
+    }
+
+    if (status === 'open' && raffle.prizes.some(prize => prize.drawResult)) {
+      return res.status(400).json({
+        message: 'Raffle has already been drawn',
+        code: 'RAFFLE_ALREADY_DRAWN'
+      });
+    }
+
+    // Selling more after the commitment would let the pool be changed once the external seed is known
+    if (status === 'open' && raffle.drawCommitment) {
+      return res.status(400).json({
+        message: 'The draw of this raffle is already committed',
+        code: 'DRAW_ALREADY_COMMITTED'
+      });
+    }
+
+    validateSchedule({ status, startDate: raffle.startDate, drawDate: raffle.drawDate });
+
+    const previousStatus = raffle.status;
+    raffle.transitionTo(status, { by: req.user._id, reason });
+    await raffle.save();
+
+    // Emit socket event
+    if (req.io) {
+      req.io.emit('raffle_status_changed', {
+        raffleId: raffle._id,
+        previousStatus,
+        status: raffle.status,
+        raffle
+      });
+    }
+
+    res.json({
+      message: `Raffle is now ${raffle.status}`,
+      raffle
+    });
+  } catch (error) {
+    console.error('Error changing raffle status:', error);
+    if (error.code) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: 'Error changing raffle status' });
+  }
+});
+
+// Cancel a raffle, queue refunds for confirmed payments and void pending ones (admin only)
+router.post('/:id/cancel', auth.isAdmin, async (req, res) => {
+  try {
+    const { raffle, payments, voided } = await cancelRaffle(req.params.id, {
+      by: req.user._id,
+      reason: req.body.reason || '',
+      io: req.io
+    });
+
+    res.json({
+      message: `Raffle cancelled, ${payments.length} payment(s) queued for refund, ${voided.length} unverified payment(s) voided`,
+      raffle,
+      refundsQueued: payments.length,
+      paymentsVoided: voided.length
+    });
+  } catch (error) {
+    console.error('Error cancelling raffle:', error);
+    if (error.code === 'RAFFLE_NOT_FOUND') {
+      return res.status(404).json({ message: error.message, code: error.code });
+    }
+    if (error.code) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: 'Error cancelling raffle' });
+  }
+});
+
+// Duplicate a raffle as a new draft with copies of its images (admin only)
+router.post('/:id/duplicate', auth.isAdmin, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  const copiedImages = [];
+
+  try {
+    const source = await Raffle.findById(req.params.id);
+    if (!source) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        message: 'Raffle not found',
+        code: 'RAFFLE_NOT_FOUND'
+      });
+    }
+
+    const setup = source.toTemplate();
+    const gallery = await copyGallery(setup.productImage, setup.images);
+    copiedImages.push(...gallery.copied);
+    setup.productImage = gallery.productImage;
+    setup.images = gallery.images;
+    for (const prize of setup.prizes) {
+      if (prize.image) {
+        prize.image = await copyRaffleImage(prize.image);
+        copiedImages.push(prize.image);
+      }
+    }
+
+    // Dates are left empty: the admin schedules the copy before publishing it
+    const raffle = new Raffle({
+      ...setup,
+      productName: req.body.productName || setup.productName,
+      status: 'draft',
+      prizes: setup.prizes.map((prize, index) => ({ ...prize, rank: index + 1 }))
+    });
+
+    await raffle.save({ session });
+
+    await session.commitTransaction();
+
+    if (req.io) {
+      req.io.emit('raffle_created', raffle);
+    }
+
+    res.status(201).json({
+      message: 'Raffle duplicated as a draft',
+      raffle
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    deleteRaffleImages(copiedImages);
+
+    console.error('Error duplicating raffle:', error);
+    if (error.code) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: 'Error duplicating raffle' });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Get raffles that are not drawn or cancelled yet
 router.get('/active', auth.isAdmin, async (req, res) => {
   try {
     const now = new Date();
     const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
 
-    const activeRaffles = await Raffle.find({ active: true });
+    const activeRaffles = await Raffle.find({ status: { $in: PENDING_STATUSES } })
+      .sort({ createdAt: -1 });
     const lastMonthRaffles = await Raffle.find({
       createdAt: { $gte: lastMonth }
     });
@@ -370,4 +1377,30 @@ router.get('/active', auth.isAdmin, async (req, res) => {
   }
 });
 
+// Get a single public raffle (public). Kept last so it does not shadow /active or /all.
+router.get('/:id', async (req, res) => {
+  try {
+    const raffle = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Raffle.findOne({ _id: req.params.id, status: { $in: PUBLIC_STATUSES } }).select('-__v')
+      : null;
+
+    if (!raffle) {
+      return res.status(404).json({
+        message: 'Raffle not found',
+        code: 'RAFFLE_NOT_FOUND'
+      });
+    }
+
+    const ticketStats = await getTicketStats([raffle]);
+
+    res.json({
+      ...raffle.toObject(),
+      ticketStats: ticketStats[raffle._id.toString()] || {}
+    });
+  } catch (error) {
+    console.error('Error fetching raffle:', error);
+    res.status(500).json({ message: 'Error fetching raffle' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
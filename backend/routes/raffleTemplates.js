@@ -0,0 +1,123 @@
+// routes/raffleTemplates.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Raffle = require('../models/Raffle');
+const RaffleTemplate = require('../models/RaffleTemplate');
+const auth = require('../middleware/auth');
+const { storedImages } = require('../utils/imageUrl');
+const { copyRaffleImage, copyGallery, deleteRaffleImages } = require('../services/raffleImages');
+
+// Get every saved template (admin only)
+router.get('/', auth.isAdmin, async (req, res) => {
+  try {
+    const templates = await RaffleTemplate.find()
+      .sort({ name: 1 })
+      .select('-__v');
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching raffle templates:', error);
+    res.status(500).json({ message: 'Error fetching raffle templates' });
+  }
+});
+
+// Save an existing raffle's setup as a named template (admin only)
+router.post('/', auth.isAdmin, async (req, res) => {
+  const copiedImages = [];
+
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({
+        message: 'Template name is required',
+        code: 'TEMPLATE_NAME_REQUIRED'
+      });
+    }
+
+    if (await RaffleTemplate.exists({ name })) {
+      return res.status(400).json({
+        message: `A template named "${name}" already exists`,
+        code: 'TEMPLATE_NAME_TAKEN'
+      });
+    }
+
+    const raffle = mongoose.Types.ObjectId.isValid(req.body.raffleId)
+      ? await Raffle.findById(req.body.raffleId)
+      : null;
+    if (!raffle) {
+      return res.status(404).json({
+        message: 'Raffle not found',
+        code: 'RAFFLE_NOT_FOUND'
+      });
+    }
+
+    // The template keeps its own image copies, so deleting the raffle later is safe
+    const setup = raffle.toTemplate();
+    const gallery = await copyGallery(setup.productImage, setup.images);
+    copiedImages.push(...gallery.copied);
+    setup.productImage = gallery.productImage;
+    setup.images = gallery.images;
+    for (const prize of setup.prizes) {
+      if (prize.image) {
+        prize.image = await copyRaffleImage(prize.image);
+        copiedImages.push(prize.image);
+      }
+    }
+
+    const template = await RaffleTemplate.create({
+      ...setup,
+      name,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Template saved successfully',
+      template
+    });
+  } catch (error) {
+    deleteRaffleImages(copiedImages);
+
+    console.error('Error saving raffle template:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'A template with this name already exists',
+        code: 'TEMPLATE_NAME_TAKEN'
+      });
+    }
+    if (error.code) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: 'Error saving raffle template' });
+  }
+});
+
+// Delete a template and its images (admin only)
+router.delete('/:id', auth.isAdmin, async (req, res) => {
+  try {
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RaffleTemplate.findByIdAndDelete(req.params.id)
+      : null;
+    if (!template) {
+      return res.status(404).json({
+        message: 'Template not found',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    deleteRaffleImages([
+      template.get('productImage', null, { getters: false }),
+      ...storedImages(template),
+      ...template.prizes.map(prize => prize.get('image', null, { getters: false }))
+    ]);
+
+    res.json({
+      message: 'Template deleted successfully',
+      templateId: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting raffle template:', error);
+    res.status(500).json({ message: 'Error deleting raffle template' });
+  }
+});
+
+module.exports = router;
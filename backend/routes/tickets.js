@@ -1,9 +1,57 @@
 // routes/tickets.js
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
 const Ticket = require('../models/Ticket');
+const Raffle = require('../models/Raffle');
+const TicketWatch = require('../models/TicketWatch');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { announceRelease } = require('../services/ticketWatches');
+const { firstTicketNumber, isTicketNumber } = require('../utils/ticketNumbering');
+const {
+  packAvailability,
+  availableRanges,
+  packNumbers,
+  numberRanges,
+  pickRandomAvailable
+} = require('../utils/ticketAvailability');
+const { parseTicketFilter, isNarrowingFilter, matchingNumbers } = require('../utils/ticketFilter');
+const {
+  HOLD_MINUTES,
+  MAX_HELD_TICKETS,
+  MAX_HOLD_EXTENSIONS,
+  generateHoldToken,
+  isHoldToken,
+  holdExpiry
+} = require('../utils/ticketHolds');
 
-// Middleware to access Socket.io
+// Quick picks that lose numbers to other buyers pick again this many times
+const QUICK_PICK_ATTEMPTS = 3;
+
+// Watches send emails and WhatsApp messages, so keep strangers from piling them up
+const watchLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many notification requests, please try again in a few minutes'
+});
+
+// Holds lock numbers for everyone else and need no login, so keep one client
+// from grabbing a whole raffle
+const holdLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 120,
+  message: 'Too many hold requests, please try again in a few minutes'
+});
+
+// The checkout pages renew a hold at most once a minute
+const extendLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many hold renewals, please try again in a few minutes'
+});
+
+// Mounted under /api/raffle/:raffleId/tickets
 module.exports = (ioInstance) => {
   // Attach io to requests
   router.use((req, res, next) => {
@@ -11,12 +59,24 @@ module.exports = (ioInstance) => {
     next();
   });
 
-  // @route   GET /api/tickets
-  // @desc    Get all tickets
+  // Every route is scoped to the raffle in the URL
+  router.use((req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.raffleId)) {
+      return res.status(404).json({ success: false, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+    }
+    next();
+  });
+
+  // @route   GET /api/raffle/:raffleId/tickets
+  // @desc    Get the held, reserved and sold tickets of a raffle; every other number is available
   // @access  Public
   router.get('/', async (req, res) => {
     try {
-      const tickets = await Ticket.find().select('-__v').lean();
+      const tickets = await Ticket.find({ raffleId: req.params.raffleId })
+        .sort({ ticketNumber: 1 })
+        // Who holds a number (buyer, gift recipient, hold token) is nobody else's business
+        .select('-_id ticketNumber status')
+        .lean();
       res.json(tickets);
     } catch (error) {
       console.error('Error fetching tickets:', error);
@@ -24,7 +84,482 @@ module.exports = (ioInstance) => {
     }
   });
 
-  // @route   POST /api/tickets/release
+  // @route   GET /api/raffle/:raffleId/tickets/availability
+  // @desc    Get which numbers are available, as a base64 bitset (default) or with ?format=ranges.
+  //          prefix, suffix, contains, min, max and status narrow it to the numbers matching them.
+  // @access  Public
+  router.get('/availability', async (req, res) => {
+    const format = req.query.format || 'bitset';
+    if (!['bitset', 'ranges'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be bitset or ranges', code: 'INVALID_FORMAT' });
+    }
+
+    let filter;
+    try {
+      filter = parseTicketFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+
+    try {
+      const raffle = await Raffle.findById(req.params.raffleId).select('totalTickets numbering');
+      if (!raffle) {
+        return res.status(404).json({ success: false, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+      }
+
+      const taken = await Ticket.find({ raffleId: raffle._id })
+        .select('ticketNumber status')
+        .lean();
+      const takenNumbers = taken.map(ticket => ticket.ticketNumber);
+      const countStatus = status => taken.filter(ticket => ticket.status === status).length;
+
+      const response = {
+        raffleId: raffle._id,
+        start: firstTicketNumber(raffle),
+        totalTickets: raffle.totalTickets,
+        available: raffle.totalTickets - taken.length,
+        held: countStatus('held'),
+        reserved: countStatus('reserved'),
+        sold: countStatus('sold'),
+        format
+      };
+
+      if (isNarrowingFilter(filter)) {
+        const statusByNumber = new Map(taken.map(ticket => [ticket.ticketNumber, ticket.status]));
+        const numbers = matchingNumbers(raffle, filter, statusByNumber);
+
+        response.filter = filter;
+        response.matching = numbers.length;
+        if (format === 'ranges') {
+          response.ranges = numberRanges(numbers);
+        } else {
+          response.bitset = packNumbers(raffle, numbers).toString('base64');
+        }
+      } else if (format === 'ranges') {
+        response.matching = response.available;
+        response.ranges = availableRanges(raffle, takenNumbers);
+      } else {
+        response.matching = response.available;
+        response.bitset = packAvailability(raffle, takenNumbers).toString('base64');
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Error fetching ticket availability:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch ticket availability' });
+    }
+  });
+
+  // The numbers still held under a token, lowest first
+  const heldNumbers = async (raffleId, holdToken) => {
+    const held = await Ticket.find({ raffleId, holdToken, status: 'held' })
+      .select('ticketNumber')
+      .sort({ ticketNumber: 1 })
+      .lean();
+    return held.map(ticket => ticket.ticketNumber);
+  };
+
+  // Numbers held from one client IP, under any hold token
+  const heldByClient = (raffleId, ip) => Ticket.countDocuments({ raffleId, heldBy: ip, status: 'held' });
+
+  const invalidHoldToken = res => res.status(400).json({
+    success: false,
+    message: 'A valid hold token is required',
+    code: 'INVALID_HOLD_TOKEN'
+  });
+
+  const holdLimitReached = res => res.status(400).json({
+    success: false,
+    message: `You can hold up to ${MAX_HELD_TICKETS} tickets at a time`,
+    code: 'HOLD_LIMIT_REACHED'
+  });
+
+  // Up to `quantity` random numbers nobody has taken. Random guesses are checked
+  // first; only when too many of them are taken is every taken number read.
+  const pickUntakenNumbers = async (raffle, quantity) => {
+    const guesses = pickRandomAvailable(raffle, [], Math.min(quantity * 2, raffle.totalTickets));
+    const takenGuesses = await Ticket.find({ raffleId: raffle._id, ticketNumber: { $in: guesses } })
+      .select('ticketNumber')
+      .lean();
+    const taken = new Set(takenGuesses.map(ticket => ticket.ticketNumber));
+    const free = guesses.filter(ticketNumber => !taken.has(ticketNumber));
+    if (free.length >= quantity) {
+      return free.slice(0, quantity);
+    }
+
+    const allTaken = await Ticket.find({ raffleId: raffle._id }).select('ticketNumber').lean();
+    return pickRandomAvailable(raffle, allTaken.map(ticket => ticket.ticketNumber), quantity);
+  };
+
+  // @route   POST /api/raffle/:raffleId/tickets/hold
+  // @desc    Lock numbers for a few minutes while the buyer checks out; pass the
+  //          holdToken from an earlier call to add numbers to the same hold
+  // @access  Public (rate limited)
+  router.post('/hold', holdLimit, async (req, res) => {
+    const { tickets } = req.body;
+
+    if (!Array.isArray(tickets) || tickets.length === 0) {
+      return res.status(400).json({ success: false, message: 'Tickets array is required' });
+    }
+    if (req.body.holdToken !== undefined && req.body.holdToken !== null && !isHoldToken(req.body.holdToken)) {
+      return invalidHoldToken(res);
+    }
+
+    try {
+      const raffle = await Raffle.findById(req.params.raffleId).select('status totalTickets numbering');
+      if (!raffle) {
+        return res.status(404).json({ success: false, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+      }
+      if (raffle.status !== 'open') {
+        return res.status(400).json({ success: false, message: 'Ticket sales are not open for this raffle', code: 'RAFFLE_NOT_OPEN' });
+      }
+
+      const invalidTickets = tickets.filter(ticketNumber => !isTicketNumber(raffle, ticketNumber));
+      if (invalidTickets.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Tickets do not exist: ${invalidTickets.join(', ')}`,
+          code: 'INVALID_TICKETS'
+        });
+      }
+
+      const holdToken = req.body.holdToken || generateHoldToken();
+      const alreadyHeld = await heldNumbers(raffle._id, holdToken);
+      const newNumbers = [...new Set(tickets)].filter(ticketNumber => !alreadyHeld.includes(ticketNumber));
+
+      if (alreadyHeld.length + newNumbers.length > MAX_HELD_TICKETS ||
+          await heldByClient(raffle._id, req.ip) + newNumbers.length > MAX_HELD_TICKETS) {
+        return holdLimitReached(res);
+      }
+
+      const unavailableTickets = await Ticket.find({
+        raffleId: raffle._id,
+        ticketNumber: { $in: newNumbers }
+      }).select('ticketNumber').lean();
+
+      if (unavailableTickets.length > 0) {
+        const unavailable = unavailableTickets.map(ticket => ticket.ticketNumber);
+        return res.status(400).json({
+          success: false,
+          message: `Tickets not available: ${unavailable.join(', ')}`,
+          code: 'TICKETS_UNAVAILABLE',
+          tickets: unavailable
+        });
+      }
+
+      // Picking more numbers counts as activity and renews the whole hold,
+      // while it has renewals left; new numbers share the hold's expiry
+      const current = await Ticket.findOne({ raffleId: raffle._id, holdToken, status: 'held' })
+        .select('heldUntil holdExtensions')
+        .lean();
+      const renew = !current || current.holdExtensions < MAX_HOLD_EXTENSIONS;
+      const heldUntil = renew ? holdExpiry() : current.heldUntil;
+      const holdExtensions = current ? current.holdExtensions + (renew ? 1 : 0) : 0;
+
+      try {
+        await Ticket.insertMany(newNumbers.map(ticketNumber => ({
+          raffleId: raffle._id,
+          ticketNumber,
+          status: 'held',
+          holdToken,
+          heldUntil,
+          heldBy: req.ip,
+          holdExtensions
+        })));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Someone else got there first: undo the part of this request that went through
+        await Ticket.deleteMany({
+          raffleId: raffle._id,
+          ticketNumber: { $in: newNumbers },
+          holdToken,
+          status: 'held'
+        });
+        return res.status(400).json({
+          success: false,
+          message: 'Some of the selected tickets were just taken, please pick others',
+          code: 'TICKETS_UNAVAILABLE'
+        });
+      }
+
+      if (current && renew) {
+        await Ticket.updateMany(
+          { raffleId: raffle._id, holdToken, status: 'held' },
+          { $set: { heldUntil, holdExtensions } }
+        );
+      }
+
+      if (newNumbers.length > 0) {
+        req.io.emit('ticketsReserved', { tickets: newNumbers, raffleId: raffle._id });
+      }
+
+      res.json({
+        success: true,
+        holdToken,
+        tickets: await heldNumbers(raffle._id, holdToken),
+        expiresAt: heldUntil,
+        holdMinutes: HOLD_MINUTES
+      });
+    } catch (error) {
+      console.error('Error holding tickets:', error);
+      res.status(500).json({ success: false, message: 'Failed to hold tickets' });
+    }
+  });
+
+  // @route   POST /api/raffle/:raffleId/tickets/quick-pick
+  // @desc    Hold `quantity` random available numbers for a buyer who does not mind which
+  // @access  Public (rate limited)
+  router.post('/quick-pick', holdLimit, async (req, res) => {
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_HELD_TICKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be between 1 and ${MAX_HELD_TICKETS}`,
+        code: 'INVALID_QUANTITY'
+      });
+    }
+
+    try {
+      const raffle = await Raffle.findById(req.params.raffleId).select('status totalTickets numbering');
+      if (!raffle) {
+        return res.status(404).json({ success: false, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+      }
+      if (raffle.status !== 'open') {
+        return res.status(400).json({ success: false, message: 'Ticket sales are not open for this raffle', code: 'RAFFLE_NOT_OPEN' });
+      }
+
+      if (await heldByClient(raffle._id, req.ip) + quantity > MAX_HELD_TICKETS) {
+        return holdLimitReached(res);
+      }
+
+      const holdToken = generateHoldToken();
+      const heldUntil = holdExpiry();
+      let picked = [];
+
+      for (let attempt = 0; attempt < QUICK_PICK_ATTEMPTS && picked.length < quantity; attempt++) {
+        const candidates = await pickUntakenNumbers(raffle, quantity - picked.length);
+        if (candidates.length < quantity - picked.length) {
+          break;
+        }
+
+        try {
+          await Ticket.insertMany(candidates.map(ticketNumber => ({
+            raffleId: raffle._id,
+            ticketNumber,
+            status: 'held',
+            holdToken,
+            heldUntil,
+            heldBy: req.ip
+          })), { ordered: false });
+        } catch (error) {
+          // Numbers another buyer took in the meantime are simply picked again
+          if (error.code !== 11000) throw error;
+        }
+        picked = await heldNumbers(raffle._id, holdToken);
+      }
+
+      if (picked.length < quantity) {
+        await Ticket.deleteMany({ raffleId: raffle._id, holdToken, status: 'held' });
+        const available = raffle.totalTickets - await Ticket.countDocuments({ raffleId: raffle._id });
+        return res.status(400).json({
+          success: false,
+          message: `Only ${available} tickets are available`,
+          code: 'NOT_ENOUGH_TICKETS'
+        });
+      }
+
+      req.io.emit('ticketsReserved', { tickets: picked, raffleId: raffle._id });
+
+      res.json({
+        success: true,
+        holdToken,
+        tickets: picked,
+        expiresAt: heldUntil,
+        holdMinutes: HOLD_MINUTES
+      });
+    } catch (error) {
+      console.error('Error picking random tickets:', error);
+      res.status(500).json({ success: false, message: 'Failed to pick tickets' });
+    }
+  });
+
+  // @route   POST /api/raffle/:raffleId/tickets/hold/extend
+  // @desc    Push back the expiry of a hold while the buyer is still active, up to
+  //          MAX_HOLD_EXTENSIONS times
+  // @access  Public (rate limited)
+  router.post('/hold/extend', extendLimit, async (req, res) => {
+    const { holdToken } = req.body;
+
+    if (!isHoldToken(holdToken)) {
+      return invalidHoldToken(res);
+    }
+
+    try {
+      const heldUntil = holdExpiry();
+      const result = await Ticket.updateMany(
+        { raffleId: req.params.raffleId, holdToken, status: 'held', holdExtensions: { $lt: MAX_HOLD_EXTENSIONS } },
+        { $set: { heldUntil }, $inc: { holdExtensions: 1 } }
+      );
+
+      if (result.matchedCount === 0) {
+        const current = await Ticket.findOne({ raffleId: req.params.raffleId, holdToken, status: 'held' })
+          .select('heldUntil')
+          .lean();
+        if (!current) {
+          return res.status(404).json({ success: false, message: 'Hold has expired', code: 'HOLD_EXPIRED' });
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'This hold cannot be extended any more, finish checking out before it runs out',
+          code: 'HOLD_EXTENSION_LIMIT',
+          expiresAt: current.heldUntil
+        });
+      }
+
+      res.json({
+        success: true,
+        holdToken,
+        tickets: await heldNumbers(req.params.raffleId, holdToken),
+        expiresAt: heldUntil,
+        holdMinutes: HOLD_MINUTES
+      });
+    } catch (error) {
+      console.error('Error extending ticket hold:', error);
+      res.status(500).json({ success: false, message: 'Failed to extend ticket hold' });
+    }
+  });
+
+  // @route   POST /api/raffle/:raffleId/tickets/hold/release
+  // @desc    Give back some numbers of a hold, or all of them when no tickets are given
+  // @access  Public
+  router.post('/hold/release', async (req, res) => {
+    const { holdToken, tickets } = req.body;
+
+    if (!isHoldToken(holdToken)) {
+      return invalidHoldToken(res);
+    }
+
+    try {
+      const filter = { raffleId: req.params.raffleId, holdToken, status: 'held' };
+      if (Array.isArray(tickets)) {
+        filter.ticketNumber = { $in: tickets };
+      }
+
+      const released = await Ticket.find(filter).select('ticketNumber').lean();
+      await Ticket.deleteMany({ _id: { $in: released.map(ticket => ticket._id) } });
+
+      announceRelease(req.io, req.params.raffleId, released.map(ticket => ticket.ticketNumber));
+
+      // Releasing is not activity: the rest of the hold keeps its expiry
+      const rest = await Ticket.findOne({ raffleId: req.params.raffleId, holdToken, status: 'held' })
+        .select('heldUntil')
+        .lean();
+
+      res.json({
+        success: true,
+        holdToken,
+        tickets: await heldNumbers(req.params.raffleId, holdToken),
+        expiresAt: rest ? rest.heldUntil : null
+      });
+    } catch (error) {
+      console.error('Error releasing ticket hold:', error);
+      res.status(500).json({ success: false, message: 'Failed to release ticket hold' });
+    }
+  });
+
+  // @route   POST /api/raffle/:raffleId/tickets/watch
+  // @desc    Get notified when a taken number, or any number of the raffle when
+  //          no ticketNumber is given, is released. Logged-in users get a socket
+  //          event; an email and a WhatsApp phone number add those channels.
+  // @access  Public (rate limited)
+  router.post('/watch', watchLimit, auth.optionalUser, async (req, res) => {
+    const ticketNumber = req.body.ticketNumber ?? null;
+    const email = String(req.body.email || '').toLowerCase().trim() || null;
+    const phoneNumber = String(req.body.phoneNumber || '').trim() || null;
+    const userId = req.user ? req.user._id : null;
+
+    if (!userId && !email && !phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter an email or WhatsApp number to be notified',
+        code: 'WATCH_CONTACT_REQUIRED'
+      });
+    }
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ success: false, message: 'Enter a valid email', code: 'INVALID_EMAIL' });
+    }
+
+    try {
+      const raffle = await Raffle.findById(req.params.raffleId).select('status totalTickets numbering');
+      if (!raffle) {
+        return res.status(404).json({ success: false, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+      }
+      if (raffle.status !== 'open') {
+        return res.status(400).json({ success: false, message: 'Ticket sales are not open for this raffle', code: 'RAFFLE_NOT_OPEN' });
+      }
+
+      if (ticketNumber !== null) {
+        if (!isTicketNumber(raffle, ticketNumber)) {
+          return res.status(400).json({ success: false, message: 'Ticket does not exist', code: 'INVALID_TICKETS' });
+        }
+        const taken = await Ticket.exists({ raffleId: raffle._id, ticketNumber });
+        if (!taken) {
+          return res.status(400).json({
+            success: false,
+            message: 'That number is available, you can pick it right now',
+            code: 'TICKET_AVAILABLE'
+          });
+        }
+      }
+
+      // Asking twice for the same thing keeps a single watch
+      const contact = { userId, email, phoneNumber };
+      const watch = await TicketWatch.findOneAndUpdate(
+        { raffle: raffle._id, ticketNumber, active: true, ...contact },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true, new: true }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: ticketNumber === null
+          ? 'We will let you know when numbers free up'
+          : 'We will let you know if this number frees up',
+        watchId: watch._id
+      });
+    } catch (error) {
+      console.error('Error creating ticket watch:', error);
+      res.status(500).json({ success: false, message: 'Failed to create notification' });
+    }
+  });
+
+  // @route   DELETE /api/raffle/:raffleId/tickets/watch/:watchId
+  // @desc    Stop a watch before it fires
+  // @access  Public
+  router.delete('/watch/:watchId', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.watchId)) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    try {
+      const watch = await TicketWatch.findOneAndUpdate(
+        { _id: req.params.watchId, raffle: req.params.raffleId, active: true },
+        { $set: { active: false } }
+      );
+      if (!watch) {
+        return res.status(404).json({ success: false, message: 'Notification not found' });
+      }
+
+      res.json({ success: true, message: 'Notification cancelled' });
+    } catch (error) {
+      console.error('Error cancelling ticket watch:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel notification' });
+    }
+  });
+
+  // @route   POST /api/raffle/:raffleId/tickets/release
   // @desc    Release a reserved ticket
   // @access  Public
   router.post('/release', async (req, res) => {
@@ -35,18 +570,17 @@ module.exports = (ioInstance) => {
     }
 
     try {
-      const ticket = await Ticket.findOneAndUpdate(
-        { ticketNumber, status: 'reserved' },
-        { $set: { status: 'available', reservedAt: null, userId: null } },
-        { new: true }
+      // An available number has no ticket document
+      const ticket = await Ticket.findOneAndDelete(
+        { raffleId: req.params.raffleId, ticketNumber, status: 'reserved' }
       );
 
       if (!ticket) {
         return res.status(400).json({ success: false, message: 'Ticket is not reserved or does not exist' });
       }
 
-      // Emit event to inform all clients about the released ticket
-      req.io.emit('ticketsReleased', { tickets: [ticketNumber] });
+      // Inform all clients, and whoever watches the number, about the released ticket
+      announceRelease(req.io, req.params.raffleId, [ticket.ticketNumber]);
 
       res.json({ success: true, message: 'Ticket released successfully' });
     } catch (error) {
@@ -55,20 +589,38 @@ module.exports = (ioInstance) => {
     }
   });
 
-  // @route   POST /api/tickets/check-reserved
-  // @desc    Check if selected tickets are still available
+  // @route   POST /api/raffle/:raffleId/tickets/check-reserved
+  // @desc    Check if selected tickets are still available, or held under the given holdToken
   // @access  Public
   router.post('/check-reserved', async (req, res) => {
-    const { tickets } = req.body;
+    const { tickets, holdToken } = req.body;
 
     if (!tickets || !Array.isArray(tickets)) {
       return res.status(400).json({ success: false, message: 'Tickets array is required' });
     }
+    if (holdToken !== undefined && holdToken !== null && !isHoldToken(holdToken)) {
+      return invalidHoldToken(res);
+    }
 
     try {
+      const raffle = await Raffle.findById(req.params.raffleId).select('totalTickets numbering');
+      if (!raffle) {
+        return res.status(404).json({ success: false, message: 'Raffle not found', code: 'RAFFLE_NOT_FOUND' });
+      }
+
+      const invalidTickets = tickets.filter(ticketNumber => !isTicketNumber(raffle, ticketNumber));
+      if (invalidTickets.length > 0) {
+        return res.status(200).json({
+          success: false,
+          message: invalidTickets.map(ticketNumber => `Ticket ${ticketNumber} does not exist`).join(', ')
+        });
+      }
+
+      // Numbers in the buyer's own hold are still theirs
       const unavailableTickets = await Ticket.find({
+        raffleId: raffle._id,
         ticketNumber: { $in: tickets },
-        status: { $ne: 'available' },
+        ...(holdToken ? { $nor: [{ status: 'held', holdToken }] } : {})
       }).select('ticketNumber status').lean();
 
       if (unavailableTickets.length > 0) {
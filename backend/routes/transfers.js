@@ -0,0 +1,351 @@
+// routes/transfers.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Raffle = require('../models/Raffle');
+const User = require('../models/User');
+const TicketTransfer = require('../models/TicketTransfer');
+const auth = require('../middleware/auth');
+const { sendMail } = require('../services/mailer');
+const { formatTicketNumber } = require('../utils/ticketNumbering');
+const { digitsOnly, idNumberPattern } = require('../utils/idNumber');
+
+// Tickets can change hands until the first prize is drawn
+const TRANSFERABLE_STATUSES = ['open', 'closed'];
+
+const isTransferable = (raffle) => (
+  TRANSFERABLE_STATUSES.includes(raffle.status) &&
+  !raffle.drawResult &&
+  !raffle.prizes.some(prize => prize.drawResult)
+);
+
+const transferError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// The recipient is given by email or by cédula; a cédula shared by several
+// accounts has to be disambiguated with the email
+const findRecipient = async (recipient) => {
+  const value = String(recipient || '').trim();
+
+  if (value.includes('@')) {
+    const user = await User.findOne({ email: value.toLowerCase() }).select('fullName email');
+    if (!user) {
+      throw transferError('No account uses that email', 'RECIPIENT_NOT_FOUND', 404);
+    }
+    return user;
+  }
+
+  const digits = digitsOnly(value);
+  if (!digits) {
+    throw transferError('Enter the recipient\'s email or ID number', 'RECIPIENT_REQUIRED');
+  }
+
+  const candidates = await User.find({ idNumber: { $regex: idNumberPattern(digits) } })
+    .select('fullName email idNumber');
+  const users = candidates.filter(user => digitsOnly(user.idNumber) === digits);
+
+  if (users.length === 0) {
+    throw transferError('No account uses that ID number', 'RECIPIENT_NOT_FOUND', 404);
+  }
+  if (users.length > 1) {
+    throw transferError('Several accounts share that ID number, use the recipient\'s email instead', 'AMBIGUOUS_RECIPIENT');
+  }
+  return users[0];
+};
+
+const sendTransferError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+module.exports = (io) => {
+  // @route   GET /api/transfers/my-tickets
+  // @desc    The user's sold tickets per raffle, marking the ones in a pending transfer
+  // @access  User
+  router.get('/my-tickets', auth.isUser, async (req, res) => {
+    try {
+      const tickets = await Ticket.find({ userId: req.user._id, status: 'sold' })
+        .select('raffleId ticketNumber beneficiary')
+        .sort('ticketNumber')
+        .lean();
+
+      const raffleIds = [...new Set(tickets.map(ticket => ticket.raffleId.toString()))];
+      const [raffles, pendingTransfers] = await Promise.all([
+        Raffle.find({ _id: { $in: raffleIds } }).select('productName status drawDate numbering drawResult prizes.drawResult'),
+        TicketTransfer.find({ from: req.user._id, status: 'pending' }).select('raffle ticketNumbers').lean()
+      ]);
+
+      const pendingNumbers = new Set(pendingTransfers.flatMap(transfer => (
+        transfer.ticketNumbers.map(number => `${transfer.raffle}:${number}`)
+      )));
+
+      res.json({
+        raffles: raffles.map(raffle => ({
+          raffle: {
+            _id: raffle._id,
+            productName: raffle.productName,
+            status: raffle.status,
+            drawDate: raffle.drawDate,
+            numbering: raffle.numbering
+          },
+          transferable: isTransferable(raffle),
+          tickets: tickets
+            .filter(ticket => ticket.raffleId.equals(raffle._id))
+            .map(ticket => ({
+              ticketNumber: ticket.ticketNumber,
+              beneficiary: ticket.beneficiary || null,
+              pendingTransfer: pendingNumbers.has(`${raffle._id}:${ticket.ticketNumber}`)
+            }))
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching user tickets:', error);
+      res.status(500).json({ message: 'Error fetching your tickets' });
+    }
+  });
+
+  // @route   GET /api/transfers/mine
+  // @desc    Transfers the user sent and received
+  // @access  User
+  router.get('/mine', auth.isUser, async (req, res) => {
+    try {
+      const transfers = await TicketTransfer.find({ $or: [{ from: req.user._id }, { to: req.user._id }] })
+        .populate('raffle', 'productName numbering')
+        .populate('from', 'fullName')
+        .populate('to', 'fullName')
+        .sort('-createdAt')
+        .limit(100);
+
+      res.json({
+        incoming: transfers.filter(transfer => transfer.to._id.equals(req.user._id)),
+        outgoing: transfers.filter(transfer => transfer.from._id.equals(req.user._id))
+      });
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+      res.status(500).json({ message: 'Error fetching your transfers' });
+    }
+  });
+
+  // @route   GET /api/transfers
+  // @desc    Every transfer, optionally by ?raffleId= and ?status=
+  // @access  Admin
+  router.get('/', auth.isAdmin, async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.raffleId && mongoose.Types.ObjectId.isValid(req.query.raffleId)) {
+        filter.raffle = req.query.raffleId;
+      }
+      if (TicketTransfer.TRANSFER_STATUSES.includes(req.query.status)) {
+        filter.status = req.query.status;
+      }
+
+      const transfers = await TicketTransfer.find(filter)
+        .populate('raffle', 'productName numbering')
+        .populate('from', 'fullName email idNumber')
+        .populate('to', 'fullName email idNumber')
+        .sort('-createdAt')
+        .limit(200);
+      res.json(transfers);
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+      res.status(500).json({ message: 'Error fetching transfers' });
+    }
+  });
+
+  // @route   POST /api/transfers
+  // @desc    Offer sold tickets to another user, found by email or cédula
+  // @access  User
+  router.post('/', auth.isUser, async (req, res) => {
+    try {
+      const { raffleId, ticketNumbers, recipient, message } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(raffleId)) {
+        throw transferError('Raffle not found', 'RAFFLE_NOT_FOUND', 404);
+      }
+      if (!Array.isArray(ticketNumbers) || ticketNumbers.length === 0 ||
+          !ticketNumbers.every(Number.isInteger) || new Set(ticketNumbers).size !== ticketNumbers.length) {
+        throw transferError('Select the tickets to transfer', 'INVALID_TICKETS');
+      }
+
+      const raffle = await Raffle.findById(raffleId);
+      if (!raffle) {
+        throw transferError('Raffle not found', 'RAFFLE_NOT_FOUND', 404);
+      }
+      if (!isTransferable(raffle)) {
+        throw transferError('Tickets of this raffle can no longer be transferred', 'RAFFLE_NOT_TRANSFERABLE');
+      }
+
+      const to = await findRecipient(recipient);
+      if (to._id.equals(req.user._id)) {
+        throw transferError('You cannot transfer tickets to yourself', 'SELF_TRANSFER');
+      }
+
+      const owned = await Ticket.countDocuments({
+        raffleId: raffle._id,
+        ticketNumber: { $in: ticketNumbers },
+        userId: req.user._id,
+        status: 'sold'
+      });
+      if (owned !== ticketNumbers.length) {
+        throw transferError('You can only transfer paid tickets that you own', 'TICKETS_NOT_OWNED');
+      }
+
+      const pending = await TicketTransfer.exists({
+        raffle: raffle._id,
+        status: 'pending',
+        ticketNumbers: { $in: ticketNumbers }
+      });
+      if (pending) {
+        throw transferError('Some of these tickets are already in a pending transfer', 'TRANSFER_PENDING', 409);
+      }
+
+      const transfer = await TicketTransfer.create({
+        raffle: raffle._id,
+        ticketNumbers,
+        from: req.user._id,
+        to: to._id,
+        message: message || ''
+      });
+
+      io.to(`user-${to._id}`).emit('transfer_received', {
+        transferId: transfer._id,
+        raffleId: raffle._id,
+        productName: raffle.productName,
+        ticketNumbers
+      });
+      io.to('admin-room').emit('transfer_updated', { transferId: transfer._id, status: transfer.status });
+
+      const numbers = ticketNumbers.map(number => formatTicketNumber(number, raffle.numbering)).join(', ');
+      sendMail({
+        to: to.email,
+        subject: `Te regalaron boletos: ${raffle.productName}`,
+        text: [
+          `Hola ${to.fullName},`,
+          '',
+          `${req.user.fullName} quiere transferirte los números ${numbers} de la rifa "${raffle.productName}".`,
+          transfer.message ? `Mensaje: ${transfer.message}` : null,
+          'Inicia sesión para aceptarlos o rechazarlos.'
+        ].filter(line => line !== null).join('\n')
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Transfer sent to ${to.fullName}`,
+        transfer
+      });
+    } catch (error) {
+      sendTransferError(res, error, 'Error creating transfer');
+    }
+  });
+
+  // @route   POST /api/transfers/:id/accept
+  // @desc    The recipient takes over the tickets
+  // @access  User (recipient)
+  router.post('/:id/accept', auth.isUser, async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const transfer = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await TicketTransfer.findById(req.params.id).session(session)
+        : null;
+
+      if (!transfer || !transfer.to.equals(req.user._id)) {
+        throw transferError('Transfer not found', 'TRANSFER_NOT_FOUND', 404);
+      }
+      if (transfer.status !== 'pending') {
+        throw transferError('This transfer is no longer pending', 'TRANSFER_NOT_PENDING');
+      }
+
+      const raffle = await Raffle.findById(transfer.raffle).session(session);
+      if (!raffle || !isTransferable(raffle)) {
+        throw transferError('Tickets of this raffle can no longer be transferred', 'RAFFLE_NOT_TRANSFERABLE');
+      }
+
+      // The new owner holds the tickets in their own name
+      const moved = await Ticket.updateMany(
+        {
+          raffleId: transfer.raffle,
+          ticketNumber: { $in: transfer.ticketNumbers },
+          userId: transfer.from,
+          status: 'sold'
+        },
+        { $set: { userId: transfer.to, beneficiary: null } },
+        { session }
+      );
+      if (moved.modifiedCount !== transfer.ticketNumbers.length) {
+        throw transferError('The sender no longer owns some of these tickets', 'TICKETS_NOT_OWNED', 409);
+      }
+
+      transfer.status = 'accepted';
+      transfer.respondedAt = new Date();
+      await transfer.save({ session });
+
+      await session.commitTransaction();
+
+      io.to(`user-${transfer.from}`).emit('transfer_updated', { transferId: transfer._id, status: transfer.status });
+      io.to('admin-room').emit('transfer_updated', { transferId: transfer._id, status: transfer.status });
+
+      res.json({
+        success: true,
+        message: 'Transfer accepted, the tickets are now yours',
+        transfer
+      });
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      sendTransferError(res, error, 'Error accepting transfer');
+    } finally {
+      session.endSession();
+    }
+  });
+
+  // Close a pending transfer without moving any ticket
+  const closeTransfer = (party, status) => async (req, res) => {
+    try {
+      const transfer = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await TicketTransfer.findOne({ _id: req.params.id, [party]: req.user._id })
+        : null;
+
+      if (!transfer) {
+        throw transferError('Transfer not found', 'TRANSFER_NOT_FOUND', 404);
+      }
+      if (transfer.status !== 'pending') {
+        throw transferError('This transfer is no longer pending', 'TRANSFER_NOT_PENDING');
+      }
+
+      transfer.status = status;
+      transfer.respondedAt = new Date();
+      await transfer.save();
+
+      const otherParty = party === 'to' ? transfer.from : transfer.to;
+      io.to(`user-${otherParty}`).emit('transfer_updated', { transferId: transfer._id, status });
+      io.to('admin-room').emit('transfer_updated', { transferId: transfer._id, status });
+
+      res.json({ success: true, message: `Transfer ${status}`, transfer });
+    } catch (error) {
+      sendTransferError(res, error, 'Error updating transfer');
+    }
+  };
+
+  // @route   POST /api/transfers/:id/decline
+  // @desc    The recipient turns the tickets down
+  // @access  User (recipient)
+  router.post('/:id/decline', auth.isUser, closeTransfer('to', 'declined'));
+
+  // @route   POST /api/transfers/:id/cancel
+  // @desc    The owner takes back an offer that was not accepted yet
+  // @access  User (sender)
+  router.post('/:id/cancel', auth.isUser, closeTransfer('from', 'cancelled'));
+
+  return router;
+};
@@ -0,0 +1,48 @@
+// scripts/claimPaymentReferences.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+
+// Fill in claimedReference on payments made before it existed, oldest first, so
+// the unique index also covers their references. When two spent payments share
+// a reference only the older one claims it; the rest are listed for an admin.
+const claimPaymentReferences = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    await Payment.syncIndexes();
+
+    const payments = await Payment.find({
+      status: { $ne: 'Rejected' },
+      'paymentReference.reference': { $type: 'string' },
+      claimedReference: { $exists: false }
+    })
+      .select('paymentReference.reference createdAt')
+      .sort('createdAt');
+    console.log(`Found ${payments.length} payments with an unclaimed reference`);
+
+    let claimed = 0;
+    for (const payment of payments) {
+      try {
+        await Payment.updateOne(
+          { _id: payment._id },
+          { $set: { claimedReference: payment.paymentReference.reference } }
+        );
+        claimed++;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        console.log(`Payment ${payment._id} reuses reference ${payment.paymentReference.reference}`);
+      }
+    }
+
+    console.log(`Claimed ${claimed} references, ${payments.length - claimed} are reused`);
+  } catch (error) {
+    console.error('Error claiming payment references:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Claiming completed');
+  }
+};
+
+claimPaymentReferences();
@@ -0,0 +1,50 @@
+// scripts/hashPaymentProofs.js
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const { hashProof, findSimilarProofs } = require('../services/proofHashes');
+
+// Hash the proofs of payments made before proof hashing existed, oldest first,
+// and record which earlier payments each one looks like
+const hashPaymentProofs = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const payments = await Payment.find({ proofOfPayment: { $nin: ['', null] }, 'proofHashes.0': { $exists: false } })
+      .select('proofOfPayment createdAt')
+      .sort('createdAt');
+    console.log(`Found ${payments.length} payments without proof hashes`);
+
+    let hashed = 0;
+    let flagged = 0;
+    for (const payment of payments) {
+      const filePath = path.join(__dirname, '..', payment.proofOfPayment);
+      if (!fs.existsSync(filePath)) {
+        console.log(`Missing proof for payment ${payment._id}: ${payment.proofOfPayment}`);
+        continue;
+      }
+
+      try {
+        const proofHashes = await hashProof(filePath);
+        const similarProofs = await findSimilarProofs(proofHashes, payment.createdAt);
+        await Payment.updateOne({ _id: payment._id }, { $set: { proofHashes, similarProofs } });
+        hashed++;
+        if (similarProofs.length > 0) flagged++;
+      } catch (error) {
+        console.error(`Error hashing proof of payment ${payment._id}:`, error.message);
+      }
+    }
+
+    console.log(`Hashed ${hashed} proofs, ${flagged} look like an earlier one`);
+  } catch (error) {
+    console.error('Error hashing payment proofs:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Hashing completed');
+  }
+};
+
+hashPaymentProofs();
@@ -0,0 +1,107 @@
+// scripts/migratePaymentMethods.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+const PaymentMethod = require('../models/PaymentMethod');
+
+// The methods that used to be hard-coded on the checkout page, with the same account details
+const LEGACY_METHODS = [
+  {
+    name: 'Binance Pay',
+    type: 'binance_pay',
+    currency: 'USD',
+    accountFields: [{ label: 'Binance Pay ID', value: '35018921' }],
+    // The QR code used to ship with the frontend
+    qrSource: path.join(__dirname, '..', '..', 'frontend', 'public', 'binancepayQR.png'),
+    sortOrder: 0
+  },
+  {
+    name: 'Pagomovil',
+    type: 'pagomovil',
+    currency: 'VES',
+    accountFields: [
+      { label: 'Phone Number', value: '04122986051' },
+      { label: 'Cedula', value: '19993150' },
+      { label: 'Bank', value: 'Banesco', copyable: false }
+    ],
+    sortOrder: 1
+  },
+  {
+    name: 'Zelle',
+    type: 'zelle',
+    currency: 'USD',
+    accountFields: [{ label: 'Email', value: 'payments@example.com' }],
+    sortOrder: 2
+  }
+];
+
+// Copy a QR image into the folder the payment methods routes serve from
+const copyQrImage = (source) => {
+  if (!source || !fs.existsSync(source)) return null;
+  const directory = path.join(__dirname, '..', 'uploads', 'payment-methods');
+  fs.mkdirSync(directory, { recursive: true });
+  const filename = 'qr-' + path.basename(source);
+  fs.copyFileSync(source, path.join(directory, filename));
+  return '/uploads/payment-methods/' + filename;
+};
+
+// Move payment methods from fixed names to the PaymentMethod collection:
+// create the legacy methods, then point raffles, templates and payments at them
+const migratePaymentMethods = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const idsByName = new Map();
+    for (const legacy of LEGACY_METHODS) {
+      let method = await PaymentMethod.findOne({ name: legacy.name });
+      if (!method) {
+        const { qrSource, ...fields } = legacy;
+        method = await PaymentMethod.create({ ...fields, qrImage: copyQrImage(qrSource) });
+        console.log(`Created payment method ${legacy.name}`);
+      }
+      idsByName.set(legacy.name, method);
+    }
+
+    // Raffles and templates stored the method names; the raw collections are
+    // used because the models now expect ids
+    for (const collectionName of ['raffles', 'raffletemplates']) {
+      const collection = mongoose.connection.collection(collectionName);
+      const documents = await collection.find({ 'paymentMethods.0': { $type: 'string' } }).toArray();
+      for (const document of documents) {
+        const paymentMethods = document.paymentMethods
+          .map(name => idsByName.get(name)?._id)
+          .filter(Boolean);
+        await collection.updateOne({ _id: document._id }, { $set: { paymentMethods } });
+      }
+      if (documents.length > 0) {
+        console.log(`Migrated payment methods of ${documents.length} ${collectionName}`);
+      }
+    }
+
+    // Raffles from before per-raffle methods existed accepted all of them
+    const raffles = mongoose.connection.collection('raffles');
+    const withoutMethods = await raffles.updateMany(
+      { paymentMethods: { $exists: false } },
+      { $set: { paymentMethods: [...idsByName.values()].map(method => method._id) } }
+    );
+    console.log(`Gave all payment methods to ${withoutMethods.modifiedCount} older raffles`);
+
+    const payments = mongoose.connection.collection('payments');
+    for (const method of idsByName.values()) {
+      const result = await payments.updateMany(
+        { method: method.name, paymentMethod: null },
+        { $set: { paymentMethod: method._id, methodType: method.type } }
+      );
+      console.log(`Linked ${result.modifiedCount} ${method.name} payments`);
+    }
+  } catch (error) {
+    console.error('Error migrating payment methods:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Migration completed');
+  }
+};
+
+migratePaymentMethods();
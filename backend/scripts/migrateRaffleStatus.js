@@ -0,0 +1,38 @@
+// scripts/migrateRaffleStatus.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Replace the old `active` flag with a lifecycle status:
+// drawn raffles become drawn (their draw time moves to drawnAt), active ones
+// open and the rest closed
+const migrateRaffleStatus = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const raffles = mongoose.connection.collection('raffles');
+    const legacyFilter = { status: { $exists: false } };
+
+    const drawn = await raffles.updateMany(
+      { ...legacyFilter, drawResult: { $ne: null } },
+      { $set: { status: 'drawn' }, $unset: { active: 1 }, $rename: { drawDate: 'drawnAt' } }
+    );
+    const open = await raffles.updateMany(
+      { ...legacyFilter, active: true },
+      { $set: { status: 'open' }, $unset: { active: 1 } }
+    );
+    const closed = await raffles.updateMany(
+      legacyFilter,
+      { $set: { status: 'closed' }, $unset: { active: 1 } }
+    );
+
+    console.log(`Migrated raffles: ${drawn.modifiedCount} drawn, ${open.modifiedCount} open, ${closed.modifiedCount} closed`);
+  } catch (error) {
+    console.error('Error migrating raffle status:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Migration completed');
+  }
+};
+
+migrateRaffleStatus();
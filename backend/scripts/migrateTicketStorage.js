@@ -0,0 +1,47 @@
+// scripts/migrateTicketStorage.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+
+// Move a database from one ticket document per number to documents only for
+// held, reserved and sold numbers. Run once, before starting the new server:
+//
+//   node scripts/migrateTicketStorage.js
+//
+// 1. Deletes the stored available tickets; a number without a document is
+//    available now.
+// 2. Builds the unique raffle/number index checkouts rely on to stop two buyers
+//    getting the same number. Numbers stored twice are listed and the index is
+//    left unbuilt until an admin has decided which document to keep.
+// Running it again is harmless.
+const migrateTicketStorage = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const { deletedCount } = await Ticket.collection.deleteMany({ status: 'available' });
+    console.log(`Removed ${deletedCount} stored available tickets`);
+
+    const duplicates = await Ticket.collection.aggregate([
+      { $group: { _id: { raffleId: '$raffleId', ticketNumber: '$ticketNumber' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+    if (duplicates.length > 0) {
+      for (const { _id, ids } of duplicates) {
+        console.log(`Raffle ${_id.raffleId} number ${_id.ticketNumber} is stored ${ids.length} times: ${ids.join(', ')}`);
+      }
+      console.log(`Found ${duplicates.length} numbers stored more than once, not building the unique index`);
+      return;
+    }
+
+    await Ticket.createIndexes();
+    console.log('Built the unique raffle/number index');
+  } catch (error) {
+    console.error('Error migrating ticket storage:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Migration completed');
+  }
+};
+
+migrateTicketStorage();
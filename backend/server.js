@@ -21,8 +21,17 @@ const Payment = require('./models/Payment');
 const authRoutes = require('./routes/auth');
 const paymentRoutes = require('./routes/payments');
 const ticketsRoutes = require('./routes/tickets');
+const checkoutRoutes = require('./routes/checkout');
 const raffleRoutes = require('./routes/raffle');
+const raffleTemplateRoutes = require('./routes/raffleTemplates');
+const publicTicketRoutes = require('./routes/publicTickets');
+const transferRoutes = require('./routes/transfers');
 const exchangeRatesRoutes = require('./routes/exchangeRates');
+const paymentMethodRoutes = require('./routes/paymentMethods');
+
+// Import services
+const { runScheduledTransitions } = require('./services/raffleScheduler');
+const { announceReleasedTickets, releaseExpiredHolds } = require('./services/ticketHolds');
 
 const app = express();
 
@@ -163,10 +172,15 @@ app.use((req, res, next) => {
 // Routes Configuration
 // -----------------------
 app.use('/api/auth', authRoutes);
-app.use('/api/payments', paymentRoutes(upload, io));
-app.use('/api/tickets', ticketsRoutes(io));
+app.use('/api/payments', paymentRoutes(io));
+app.use('/api/raffle/:raffleId/tickets', ticketsRoutes(io));
+app.use('/api/raffle/:raffleId/payments', checkoutRoutes(upload, io));
 app.use('/api/raffle', raffleRoutes);
+app.use('/api/raffle-templates', raffleTemplateRoutes);
+app.use('/api/tickets', publicTicketRoutes);
+app.use('/api/transfers', transferRoutes(io));
 app.use('/api/exchange-rates', exchangeRatesRoutes);
+app.use('/api/payment-methods', paymentMethodRoutes);
 
 // Add test endpoint
 app.get('/api/test', (req, res) => {
@@ -224,6 +238,9 @@ const startServer = async () => {
       await cleanupDatabase();
     }
 
+    // Databases from before tickets were stored on demand need
+    // scripts/migrateTicketStorage.js run once before this server starts
+
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -251,42 +268,55 @@ cron.schedule('*/5 * * * *', async () => {
     });
 
     if (expiredTickets.length > 0) {
-      const ticketNumbers = expiredTickets.map(ticket => ticket.ticketNumber);
       const userIds = [...new Set(expiredTickets.map(ticket => ticket.userId))];
 
-      await Ticket.updateMany(
-        { ticketNumber: { $in: ticketNumbers } },
-        { 
-          $set: { 
-            status: 'available', 
-            reservedAt: null, 
-            userId: null 
-          } 
-        }
+      await Ticket.deleteMany(
+        { _id: { $in: expiredTickets.map(ticket => ticket._id) } }
       );
 
-      io.emit('ticketsReleased', { tickets: ticketNumbers });
-      
+      announceReleasedTickets(io, expiredTickets);
+
       userIds.forEach(userId => {
         if (userId) {
           const userTickets = expiredTickets
-            .filter(ticket => ticket.userId.toString() === userId.toString())
-            .map(ticket => ticket.ticketNumber);
+            .filter(ticket => ticket.userId.toString() === userId.toString());
           
           io.to(`user-${userId}`).emit('your_tickets_released', {
-            tickets: userTickets,
+            tickets: userTickets.map(ticket => ticket.ticketNumber),
+            raffleIds: [...new Set(userTickets.map(ticket => ticket.raffleId.toString()))],
             message: 'Your ticket reservation has expired'
           });
         }
       });
 
-      console.log(`Released ${ticketNumbers.length} expired tickets`);
+      console.log(`Released ${expiredTickets.length} expired tickets`);
     }
   } catch (error) {
     console.error('Error in ticket release job:', error);
   }
 });
 
+// Task to release numbers whose checkout hold ran out
+cron.schedule('* * * * *', async () => {
+  try {
+    const released = await releaseExpiredHolds(io);
+    if (released > 0) {
+      console.log(`Released ${released} expired ticket holds`);
+    }
+  } catch (error) {
+    console.error('Error in ticket hold release job:', error);
+  }
+});
+
+// Task to open scheduled raffles and close sales at the draw date
+cron.schedule('* * * * *', async () => {
+  try {
+    await runScheduledTransitions(io);
+  } catch (error) {
+    console.error('Error in raffle schedule job:', error);
+  }
+});
+
 // Daily cleanup task
 cron.schedule('0 0 * * *', async () => {
   try {
@@ -0,0 +1,34 @@
+// services/exchangeRates.js
+const axios = require('axios');
+
+const RATE_URL = 'https://pydolarve.org/api/v1/dollar?monitor=enparalelovzla';
+const RATE_SOURCE = 'pydolarve.org';
+const LOCAL_CURRENCY = 'VES';
+// The monitor updates a few times a day, no need to ask on every checkout
+const CACHE_MS = 5 * 60 * 1000;
+
+let cached = null;
+
+// Current bolívars per dollar, as { source, currency, rate, quotedAt }. Throws
+// when the source is down and nothing fresh enough is cached.
+const getCurrentRate = async () => {
+  if (cached && Date.now() - cached.quotedAt.getTime() < CACHE_MS) {
+    return cached;
+  }
+
+  const response = await axios.get(RATE_URL, { timeout: 10000 });
+  // The monitor has answered both with and without the `data` envelope
+  const rate = parseFloat(response.data?.price ?? response.data?.data?.price);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    console.error('Invalid response format from pydolarve:', response.data);
+    throw new Error('Invalid response from exchange rate service');
+  }
+
+  cached = { source: RATE_SOURCE, currency: LOCAL_CURRENCY, rate, quotedAt: new Date() };
+  return cached;
+};
+
+// Dollars to bolívars, rounded to céntimos
+const toLocalAmount = (amountUSD, rate) => Math.round(amountUSD * rate * 100) / 100;
+
+module.exports = { LOCAL_CURRENCY, getCurrentRate, toLocalAmount };
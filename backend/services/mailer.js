@@ -0,0 +1,50 @@
+// services/mailer.js
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// SMTP transport from the environment; without SMTP_HOST mails are only logged
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send an email without ever failing the caller; returns whether it was sent
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const transport = getTransporter();
+
+  if (!transport) {
+    console.log(`Email not sent (SMTP not configured) to ${to}: ${subject}`);
+    return false;
+  }
+
+  try {
+    await transport.sendMail({
+      from: process.env.MAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html,
+      attachments
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error sending email to ${to}:`, error);
+    return false;
+  }
+};
+
+module.exports = { sendMail };
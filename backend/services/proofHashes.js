@@ -0,0 +1,81 @@
+// services/proofHashes.js
+const sharp = require('sharp');
+const Payment = require('../models/Payment');
+
+// Two proofs this many bits apart (out of 64) or closer are treated as the same picture
+const SIMILAR_PROOF_DISTANCE = 10;
+// Recycled screenshots show up within weeks; older payments are not compared
+const SIMILAR_PROOF_WINDOW_DAYS = 90;
+// Share of the image kept for the second hash; a crop that trims the edges
+// moves the full-image hash a lot but the centre one much less
+const CENTER_CROP = 0.8;
+
+// Difference hash: shrink to 9x8 grey pixels and record whether each pixel is
+// darker than its right neighbour. Survives rescaling, recompression and small edits.
+const differenceHash = async (image) => {
+  const data = await image
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (data[y * 9 + x] < data[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Perceptual hashes of a proof image: the whole picture and its centre
+const hashProof = async (filePath) => {
+  const { width, height } = await sharp(filePath).metadata();
+  const crop = {
+    left: Math.round(width * (1 - CENTER_CROP) / 2),
+    top: Math.round(height * (1 - CENTER_CROP) / 2),
+    width: Math.max(1, Math.round(width * CENTER_CROP)),
+    height: Math.max(1, Math.round(height * CENTER_CROP))
+  };
+
+  return Promise.all([
+    differenceHash(sharp(filePath)),
+    differenceHash(sharp(filePath).extract(crop))
+  ]);
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+};
+
+// Closest any hash of one proof gets to any hash of the other
+const proofDistance = (hashes, otherHashes) => Math.min(
+  ...hashes.flatMap(hash => otherHashes.map(other => hammingDistance(hash, other)))
+);
+
+// Payments made in the SIMILAR_PROOF_WINDOW_DAYS before `before` (default: now)
+// whose proof looks like the one with `hashes`, closest first
+const findSimilarProofs = async (hashes, before = new Date()) => {
+  if (!hashes?.length) return [];
+
+  const since = new Date(before.getTime() - SIMILAR_PROOF_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const payments = await Payment.find({
+    createdAt: { $gte: since, $lt: before },
+    'proofHashes.0': { $exists: true }
+  })
+    .select('proofHashes')
+    .lean();
+
+  return payments
+    .map(payment => ({ payment: payment._id, distance: proofDistance(hashes, payment.proofHashes) }))
+    .filter(match => match.distance <= SIMILAR_PROOF_DISTANCE)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+module.exports = { SIMILAR_PROOF_DISTANCE, SIMILAR_PROOF_WINDOW_DAYS, hashProof, hammingDistance, findSimilarProofs };
@@ -0,0 +1,158 @@
+// services/raffleCancellation.js
+const mongoose = require('mongoose');
+const Raffle = require('../models/Raffle');
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const { sendMail } = require('./mailer');
+const { formatTicketNumber } = require('../utils/ticketNumbering');
+
+// Payments we know took money from a buyer. Pending ones were never checked,
+// so they are voided instead of refunded on the buyer's word.
+const REFUNDABLE_STATUSES = ['Confirmed'];
+
+// Let each buyer know, in their socket room and by email, that a refund is on its way
+const notifyBuyers = async (raffle, payments, reason, io) => {
+  for (const payment of payments) {
+    if (io) {
+      io.to(`user-${payment.user}`).emit('refund_pending', {
+        paymentId: payment._id,
+        raffleId: raffle._id,
+        productName: raffle.productName,
+        amount: payment.totalAmountUSD,
+        reason
+      });
+    }
+
+    await sendMail({
+      to: payment.email,
+      subject: `Rifa cancelada: ${raffle.productName}`,
+      text: [
+        `Hola ${payment.fullName},`,
+        '',
+        `La rifa "${raffle.productName}" fue cancelada${reason ? `: ${reason}` : '.'}`,
+        `Tus números (${payment.selectedNumbers.map(number => formatTicketNumber(number, raffle.numbering)).join(', ')}) quedan anulados y te reembolsaremos ` +
+          `$${payment.totalAmountUSD.toFixed(2)} por el mismo método de pago (${payment.method}).`,
+        'Te avisaremos cuando el reembolso se haya realizado.'
+      ].join('\n')
+    });
+  }
+};
+
+// Tell buyers whose payment was still waiting to be checked that it was voided
+const notifyVoided = async (raffle, payments, reason) => {
+  for (const payment of payments) {
+    await sendMail({
+      to: payment.email,
+      subject: `Rifa cancelada: ${raffle.productName}`,
+      text: [
+        `Hola ${payment.fullName},`,
+        '',
+        `La rifa "${raffle.productName}" fue cancelada${reason ? `: ${reason}` : '.'}`,
+        `Tu compra de los números ${payment.selectedNumbers.map(number => formatTicketNumber(number, raffle.numbering)).join(', ')} ` +
+          'aún no había sido verificada y quedó anulada.',
+        'Si llegaste a pagar, respóndenos con tu comprobante y te reembolsaremos.'
+      ].join('\n')
+    });
+  }
+};
+
+// Cancel a raffle: sales stop, every confirmed payment goes to the refunds queue
+// and pending ones are rejected, their reserved numbers released.
+// Errors carry a `code` the routes answer with a 400.
+const cancelRaffle = async (raffleId, { by = null, reason = '', io = null } = {}) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let raffle;
+  let payments;
+  let voided;
+  let previousStatus;
+
+  try {
+    raffle = await Raffle.findById(raffleId).session(session);
+    if (!raffle) {
+      const error = new Error('Raffle not found');
+      error.code = 'RAFFLE_NOT_FOUND';
+      throw error;
+    }
+
+    if (raffle.prizes.some(prize => prize.drawResult)) {
+      const error = new Error('A raffle cannot be cancelled once a prize has been drawn');
+      error.code = 'RAFFLE_ALREADY_DRAWN';
+      throw error;
+    }
+
+    previousStatus = raffle.status;
+    raffle.transitionTo('cancelled', { by, reason });
+    await raffle.save({ session });
+
+    payments = await Payment.find({
+      raffle: raffle._id,
+      status: { $in: REFUNDABLE_STATUSES }
+    }).session(session);
+
+    const requestedAt = new Date();
+    for (const payment of payments) {
+      payment.status = 'RefundPending';
+      payment.refund = { reason, requestedAt };
+      await payment.save({ session });
+    }
+
+    voided = await Payment.find({ raffle: raffle._id, status: 'Pending' }).session(session);
+    for (const payment of voided) {
+      payment.status = 'Rejected';
+      payment.rejectionReason = `Raffle cancelled before the payment was verified${reason ? `: ${reason}` : ''}`;
+      await payment.save({ session });
+
+      await Ticket.deleteMany({
+        raffleId: raffle._id,
+        ticketNumber: { $in: payment.selectedNumbers },
+        status: 'reserved'
+      }, { session });
+    }
+    const voidedTickets = voided.reduce((count, payment) => count + payment.selectedNumbers.length, 0);
+    if (voidedTickets > 0) {
+      raffle.reservedTickets = Math.max(0, raffle.reservedTickets - voidedTickets);
+      await raffle.save({ session });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  if (io) {
+    io.emit('raffle_status_changed', {
+      raffleId: raffle._id,
+      previousStatus,
+      status: raffle.status,
+      reason,
+      raffle
+    });
+    io.to('admin-room').emit('refunds_queued', {
+      raffleId: raffle._id,
+      count: payments.length
+    });
+    for (const payment of voided) {
+      io.emit('payment_rejected', {
+        paymentId: payment._id,
+        tickets: payment.selectedNumbers,
+        raffleId: raffle._id
+      });
+    }
+  }
+
+  // Emails can be slow; the cancellation itself is already done
+  notifyBuyers(raffle, payments, reason, io)
+    .then(() => notifyVoided(raffle, voided, reason))
+    .catch(error => {
+      console.error('Error notifying buyers of cancelled raffle:', error);
+    });
+
+  return { raffle, payments, voided };
+};
+
+module.exports = { cancelRaffle, REFUNDABLE_STATUSES };
@@ -0,0 +1,64 @@
+// services/raffleImages.js
+const fs = require('fs');
+const path = require('path');
+
+const RAFFLE_IMAGES_DIR = path.join(__dirname, '..', 'uploads', 'raffles');
+const RAFFLE_IMAGES_PATH = '/uploads/raffles/';
+
+// Copy a stored raffle image so a duplicate or template owns its own file and
+// deleting one never breaks the other. Accepts a path or a full image URL.
+const copyRaffleImage = async (image) => {
+  if (!image || !image.includes(RAFFLE_IMAGES_PATH)) return null;
+
+  const fileName = path.basename(image);
+  const copyName = 'raffle-' + Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(fileName);
+
+  try {
+    await fs.promises.copyFile(path.join(RAFFLE_IMAGES_DIR, fileName), path.join(RAFFLE_IMAGES_DIR, copyName));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const missing = new Error(`Image ${fileName} no longer exists`);
+      missing.code = 'IMAGE_NOT_FOUND';
+      throw missing;
+    }
+    throw error;
+  }
+
+  return RAFFLE_IMAGES_PATH + copyName;
+};
+
+// Copy a cover with its gallery; the copied cover is the copy of the same file
+// in the copied gallery. Nothing is left behind if one of the copies fails.
+const copyGallery = async (productImage, images = []) => {
+  const copies = new Map();
+
+  try {
+    for (const image of [productImage, ...images]) {
+      if (image && !copies.has(image)) {
+        copies.set(image, await copyRaffleImage(image));
+      }
+    }
+  } catch (error) {
+    deleteRaffleImages([...copies.values()]);
+    throw error;
+  }
+
+  return {
+    productImage: copies.get(productImage) || null,
+    images: images.map(image => copies.get(image)),
+    copied: [...copies.values()]
+  };
+};
+
+// Remove stored raffle images, ignoring the ones already gone
+const deleteRaffleImages = (images) => {
+  images
+    .filter(image => image && image.includes(RAFFLE_IMAGES_PATH))
+    .forEach(image => {
+      fs.unlink(path.join(RAFFLE_IMAGES_DIR, path.basename(image)), err => {
+        if (err && err.code !== 'ENOENT') console.error('Error deleting raffle image:', err);
+      });
+    });
+};
+
+module.exports = { copyRaffleImage, copyGallery, deleteRaffleImages };
@@ -0,0 +1,99 @@
+// services/raffleScheduler.js
+const Raffle = require('../models/Raffle');
+const Ticket = require('../models/Ticket');
+const { decideThresholdAction } = require('../utils/salesThreshold');
+const { cancelRaffle } = require('./raffleCancellation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Apply one scheduled status change and let every client know
+const applyTransition = async (raffle, status, io, reason = 'scheduled') => {
+  const previousStatus = raffle.status;
+  raffle.transitionTo(status, { reason });
+  await raffle.save();
+
+  io.emit('raffle_status_changed', {
+    raffleId: raffle._id,
+    previousStatus,
+    status,
+    raffle
+  });
+};
+
+// Close ticket sales at the draw date, unless the raffle's minimum-sales rule
+// says to extend, draw among the sold tickets only, or cancel instead
+const closeSales = async (raffle, io) => {
+  const threshold = raffle.salesThreshold;
+  if (!threshold?.minSoldPercent) {
+    await applyTransition(raffle, 'closed', io);
+    console.log(`Closed ticket sales for raffle ${raffle._id}`);
+    return;
+  }
+
+  const soldTickets = await Ticket.countDocuments({ raffleId: raffle._id, status: 'sold' });
+  const { decision, soldPercent } = decideThresholdAction(threshold, soldTickets, raffle.totalTickets);
+  const entry = {
+    decision,
+    soldTickets,
+    soldPercent,
+    minSoldPercent: threshold.minSoldPercent,
+    drawDate: raffle.drawDate,
+    newDrawDate: decision === 'extend'
+      ? new Date(raffle.drawDate.getTime() + threshold.extendDays * DAY_MS)
+      : null,
+    at: new Date()
+  };
+  const summary = `${soldPercent.toFixed(1)}% sold, minimum ${threshold.minSoldPercent}%`;
+
+  raffle.thresholdLog.push(entry);
+
+  switch (decision) {
+    case 'extend':
+      raffle.drawDate = entry.newDrawDate;
+      threshold.extensions = (threshold.extensions || 0) + 1;
+      await raffle.save();
+      io.emit('raffle_updated', raffle);
+      break;
+    case 'draw-sold':
+      // Lottery results that land on an unsold number move on to the next sold one
+      raffle.drawConfig.fallback = 'next-sold';
+      await applyTransition(raffle, 'closed', io, `Minimum sales not met (${summary}), drawing among sold tickets`);
+      break;
+    case 'cancel':
+      await raffle.save();
+      await cancelRaffle(raffle._id, { reason: `Minimum sales not met (${summary})`, io });
+      break;
+    default:
+      await applyTransition(raffle, 'closed', io);
+  }
+
+  console.log(`Sales threshold for raffle ${raffle._id}: ${decision} (${summary})`);
+  io.to('admin-room').emit('sales_threshold_decision', {
+    raffleId: raffle._id,
+    productName: raffle.productName,
+    ...entry
+  });
+};
+
+// Open scheduled raffles whose start date has come and close ticket sales
+// on open raffles whose draw date has passed
+const runScheduledTransitions = async (io) => {
+  const now = new Date();
+
+  const toOpen = await Raffle.find({ status: 'scheduled', startDate: { $lte: now } });
+  for (const raffle of toOpen) {
+    await applyTransition(raffle, 'open', io);
+    console.log(`Opened scheduled raffle ${raffle._id}`);
+  }
+
+  const toClose = await Raffle.find({ status: 'open', drawDate: { $lte: now } });
+  for (const raffle of toClose) {
+    try {
+      await closeSales(raffle, io);
+    } catch (error) {
+      console.error(`Error closing ticket sales for raffle ${raffle._id}:`, error);
+    }
+  }
+};
+
+module.exports = { runScheduledTransitions };
@@ -0,0 +1,134 @@
+// services/receipts.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const { signReceiptToken, maskIdNumber } = require('../utils/receiptToken');
+const { formatTicketNumber } = require('../utils/ticketNumbering');
+
+const RECEIPTS_DIR = path.join(__dirname, '..', 'uploads', 'receipts');
+const BRAND_COLOR = '#6a1b9a';
+
+// Where the QR code sends whoever scans it
+const verificationUrl = (token) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify/${token}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('es-VE', { day: '2-digit', month: '2-digit', year: 'numeric' })
+  : 'Por anunciar');
+
+// Label/value lines shared by the PDF and PNG versions
+const receiptLines = (payment, raffle) => [
+  ['Rifa', raffle.productName],
+  ['Fecha del sorteo', formatDate(raffle.drawDate)],
+  ['Comprador', payment.fullName],
+  ['Cédula', maskIdNumber(payment.idNumber)],
+  ...(payment.beneficiary ? [['Regalo para', payment.beneficiary.fullName]] : []),
+  ['Método de pago', payment.method],
+  ...(payment.paymentReference?.collectedBy ? [['Cobrado por', payment.paymentReference.collectedBy]] : []),
+  ['Monto', `$${payment.totalAmountUSD.toFixed(2)}`],
+  ['Confirmado el', formatDate(new Date())],
+  ['Nº de pago', payment._id.toString()]
+];
+
+const formatNumbers = (payment, raffle) => payment.selectedNumbers
+  .map(number => formatTicketNumber(number, raffle.numbering))
+  .join(', ');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Break a long list of numbers into lines of about `width` characters
+const wrapText = (text, width) => text.split(', ').reduce((lines, item) => {
+  const last = lines[lines.length - 1];
+  if (last !== undefined && `${last}, ${item}`.length <= width) {
+    lines[lines.length - 1] = `${last}, ${item}`;
+  } else {
+    lines.push(item);
+  }
+  return lines;
+}, []);
+
+const renderPdf = (payment, raffle, qrPng, file) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  const stream = fs.createWriteStream(file);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  doc.rect(0, 0, doc.page.width, 70).fill(BRAND_COLOR);
+  doc.fillColor('white').fontSize(18).text('Comprobante de compra', 40, 26);
+
+  doc.fillColor('black');
+  doc.y = 95;
+  for (const [label, value] of receiptLines(payment, raffle)) {
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value);
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text('Números');
+  doc.font('Helvetica').fontSize(14).fillColor(BRAND_COLOR).text(formatNumbers(payment, raffle));
+
+  doc.moveDown();
+  if (doc.y + 170 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  doc.image(qrPng, (doc.page.width - 140) / 2, doc.y, { width: 140 });
+  doc.y += 150;
+  doc.fillColor('#555').fontSize(9)
+    .text('Escanea el código para verificar la autenticidad de este comprobante.', { align: 'center' });
+
+  doc.end();
+});
+
+const renderPng = async (payment, raffle, qrPng, file) => {
+  const width = 600;
+  const lines = receiptLines(payment, raffle);
+  const numberLines = wrapText(formatNumbers(payment, raffle), 38);
+  const qrTop = 110 + lines.length * 30 + 50 + numberLines.length * 32 + 20;
+  const height = qrTop + 240 + 50;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}">
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  <rect width="100%" height="80" fill="${BRAND_COLOR}"/>
+  <text x="30" y="50" font-family="sans-serif" font-size="28" font-weight="bold" fill="#ffffff">Comprobante de compra</text>
+  ${lines.map(([label, value], index) => `
+  <text x="30" y="${120 + index * 30}" font-family="sans-serif" font-size="18" fill="#111111"><tspan font-weight="bold">${escapeXml(label)}:</tspan> ${escapeXml(value)}</text>`).join('')}
+  <text x="30" y="${120 + lines.length * 30 + 20}" font-family="sans-serif" font-size="20" font-weight="bold" fill="#111111">Números</text>
+  ${numberLines.map((line, index) => `
+  <text x="30" y="${120 + lines.length * 30 + 55 + index * 32}" font-family="sans-serif" font-size="24" font-weight="bold" fill="${BRAND_COLOR}">${escapeXml(line)}</text>`).join('')}
+  <image x="${(width - 220) / 2}" y="${qrTop}" width="220" height="220" xlink:href="data:image/png;base64,${qrPng.toString('base64')}"/>
+  <text x="${width / 2}" y="${qrTop + 250}" font-family="sans-serif" font-size="14" fill="#555555" text-anchor="middle">Escanea el código para verificar la autenticidad de este comprobante.</text>
+</svg>`;
+
+  await sharp(Buffer.from(svg)).png().toFile(file);
+};
+
+// Create the PDF and PNG receipts of a confirmed payment. Returns what is
+// stored in payment.receipt; the file names are random so they cannot be guessed.
+const createReceipt = async (payment, raffle) => {
+  if (!fs.existsSync(RECEIPTS_DIR)) {
+    fs.mkdirSync(RECEIPTS_DIR, { recursive: true });
+  }
+
+  const token = signReceiptToken(payment);
+  const qrPng = await QRCode.toBuffer(verificationUrl(token), { margin: 1, width: 440 });
+  const baseName = `receipt-${payment._id}-${crypto.randomBytes(8).toString('hex')}`;
+
+  await renderPdf(payment, raffle, qrPng, path.join(RECEIPTS_DIR, `${baseName}.pdf`));
+  await renderPng(payment, raffle, qrPng, path.join(RECEIPTS_DIR, `${baseName}.png`));
+
+  return {
+    token,
+    pdf: `/uploads/receipts/${baseName}.pdf`,
+    png: `/uploads/receipts/${baseName}.png`,
+    issuedAt: new Date()
+  };
+};
+
+module.exports = { createReceipt, verificationUrl };
@@ -0,0 +1,40 @@
+// services/ticketHolds.js
+const Ticket = require('../models/Ticket');
+const { announceRelease } = require('./ticketWatches');
+
+// Announce released tickets, which may come from several raffles. Ticket
+// numbers repeat across raffles, so they are announced per raffle.
+const announceReleasedTickets = (io, tickets) => {
+  const raffleIds = [...new Set(tickets.map(ticket => ticket.raffleId.toString()))];
+  raffleIds.forEach(raffleId => {
+    announceRelease(io, raffleId, tickets
+      .filter(ticket => ticket.raffleId.toString() === raffleId)
+      .map(ticket => ticket.ticketNumber));
+  });
+};
+
+// Free every number whose hold ran out and let the raffle pages and watchers know
+const releaseExpiredHolds = async (io) => {
+  const now = new Date();
+  const expired = await Ticket.find({
+    status: 'held',
+    heldUntil: { $lt: now }
+  }).select('raffleId ticketNumber').lean();
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  // A hold extended in the meantime keeps its numbers
+  await Ticket.deleteMany({
+    _id: { $in: expired.map(ticket => ticket._id) },
+    status: 'held',
+    heldUntil: { $lt: now }
+  });
+
+  announceReleasedTickets(io, expired);
+
+  return expired.length;
+};
+
+module.exports = { announceReleasedTickets, releaseExpiredHolds };
@@ -0,0 +1,96 @@
+// services/ticketWatches.js
+const Ticket = require('../models/Ticket');
+const Raffle = require('../models/Raffle');
+const TicketWatch = require('../models/TicketWatch');
+const { sendMail } = require('./mailer');
+const { sendWhatsApp } = require('./whatsapp');
+const { formatTicketNumber } = require('../utils/ticketNumbering');
+
+// Numbers listed in a raffle-wide notification; the rest are summed up
+const MAX_LISTED_NUMBERS = 10;
+
+const selectNumbersUrl = (raffleId) => (
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}/raffles/${raffleId}/select-numbers`
+);
+
+const watchMessage = (watch, raffle, freeNumbers) => {
+  const format = (number) => formatTicketNumber(number, raffle.numbering);
+
+  if (watch.ticketNumber !== null) {
+    return `El número ${format(watch.ticketNumber)} de la rifa "${raffle.productName}" está disponible de nuevo. Apártalo antes que otro: ${selectNumbersUrl(raffle._id)}`;
+  }
+
+  const listed = freeNumbers.slice(0, MAX_LISTED_NUMBERS).map(format).join(', ');
+  const more = freeNumbers.length > MAX_LISTED_NUMBERS ? ` y ${freeNumbers.length - MAX_LISTED_NUMBERS} más` : '';
+  return `Se liberaron números en la rifa "${raffle.productName}": ${listed}${more}. Elige los tuyos: ${selectNumbersUrl(raffle._id)}`;
+};
+
+// Tell everyone watching these numbers, or the whole raffle, that they are
+// free again. Each watch fires once; returns how many were notified.
+const notifyWatchers = async (io, raffleId, ticketNumbers) => {
+  const raffle = await Raffle.findById(raffleId).select('productName status numbering');
+  if (!raffle || raffle.status !== 'open') {
+    return 0;
+  }
+
+  // Someone may have taken a number again since it was released
+  const retaken = await Ticket.find({ raffleId, ticketNumber: { $in: ticketNumbers } })
+    .select('ticketNumber')
+    .lean();
+  const retakenNumbers = new Set(retaken.map(ticket => ticket.ticketNumber));
+  const freeNumbers = ticketNumbers.filter(number => !retakenNumbers.has(number)).sort((a, b) => a - b);
+  if (freeNumbers.length === 0) {
+    return 0;
+  }
+
+  const watches = await TicketWatch.find({
+    raffle: raffleId,
+    active: true,
+    $or: [{ ticketNumber: null }, { ticketNumber: { $in: freeNumbers } }]
+  });
+
+  let notified = 0;
+  for (const watch of watches) {
+    // Releases can overlap; only the first one to switch a watch off sends it
+    const claimed = await TicketWatch.updateOne(
+      { _id: watch._id, active: true },
+      { $set: { active: false, notifiedAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const text = watchMessage(watch, raffle, freeNumbers);
+
+    if (watch.userId) {
+      io.to(`user-${watch.userId}`).emit('watch_triggered', {
+        watchId: watch._id,
+        raffleId: raffle._id,
+        productName: raffle.productName,
+        ticketNumber: watch.ticketNumber,
+        tickets: freeNumbers,
+        message: text
+      });
+    }
+    if (watch.email) {
+      sendMail({ to: watch.email, subject: `Números disponibles: ${raffle.productName}`, text });
+    }
+    if (watch.phoneNumber) {
+      sendWhatsApp({ to: watch.phoneNumber, text });
+    }
+    notified += 1;
+  }
+
+  return notified;
+};
+
+// Announce released numbers to the raffle pages, then to their watchers
+const announceRelease = (io, raffleId, ticketNumbers) => {
+  if (ticketNumbers.length === 0) return;
+
+  io.emit('ticketsReleased', { raffleId, tickets: ticketNumbers });
+
+  notifyWatchers(io, raffleId, ticketNumbers).catch(error => {
+    console.error('Error notifying ticket watchers:', error);
+  });
+};
+
+module.exports = { announceRelease, notifyWatchers };
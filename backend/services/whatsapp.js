@@ -0,0 +1,49 @@
+// services/whatsapp.js
+const { digitsOnly } = require('../utils/idNumber');
+
+// Local numbers ("0412...") are sent with this country code
+const DEFAULT_COUNTRY_CODE = process.env.WHATSAPP_COUNTRY_CODE || '58';
+
+const toInternational = (phoneNumber) => {
+  const digits = digitsOnly(phoneNumber);
+  return digits.startsWith('0') ? `${DEFAULT_COUNTRY_CODE}${digits.slice(1)}` : digits;
+};
+
+// Send a text through the WhatsApp Cloud API without ever failing the caller;
+// without WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID messages are only logged.
+// Returns whether it was sent.
+const sendWhatsApp = async ({ to, text }) => {
+  const token = process.env.WHATSAPP_TOKEN;
+  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+
+  if (!token || !phoneNumberId) {
+    console.log(`WhatsApp not sent (not configured) to ${to}: ${text}`);
+    return false;
+  }
+
+  try {
+    const response = await fetch(`https://graph.facebook.com/v19.0/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to: toInternational(to),
+        type: 'text',
+        text: { body: text }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`WhatsApp API responded with ${response.status}: ${await response.text()}`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error sending WhatsApp message to ${to}:`, error);
+    return false;
+  }
+};
+
+module.exports = { sendWhatsApp };
@@ -0,0 +1,70 @@
+// tests/fairDraw.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { hashTicketPool, deriveClientSeed, pickIndex, drawFromPool } = require('../utils/fairDraw');
+
+// The first 13 hex chars of one round's HMAC, worked out as the ALGORITHM text describes
+const roundValue = (serverSeed, clientSeed, nonce, round) => parseInt(
+  crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}:${round}`).digest('hex').slice(0, 13),
+  16
+);
+
+test('pickIndex reduces the first accepted HMAC value modulo the pool size', () => {
+  const serverSeed = 'a'.repeat(64);
+  const clientSeed = deriveClientSeed(hashTicketPool([3, 1, 2]), 'block-hash');
+
+  for (const poolSize of [1, 2, 7, 1000]) {
+    for (let nonce = 1; nonce <= 3; nonce++) {
+      assert.strictEqual(
+        pickIndex(serverSeed, clientSeed, nonce, poolSize),
+        roundValue(serverSeed, clientSeed, nonce, 0) % poolSize
+      );
+    }
+  }
+});
+
+test('pickIndex rejects values past the last whole multiple of the pool size', () => {
+  // Just over 2^51 numbers leaves almost half of the 52-bit values outside the limit
+  const poolSize = Math.pow(2, 51) + 1;
+  const limit = poolSize;
+
+  let rejected = null;
+  for (let seed = 0; !rejected; seed++) {
+    const serverSeed = `seed-${seed}`;
+    if (roundValue(serverSeed, 'client', 0, 0) >= limit) {
+      rejected = serverSeed;
+    }
+  }
+
+  let round = 1;
+  while (roundValue(rejected, 'client', 0, round) >= limit) round++;
+  assert.strictEqual(pickIndex(rejected, 'client', 0, poolSize), roundValue(rejected, 'client', 0, round) % poolSize);
+});
+
+test('pickIndex refuses an empty pool', () => {
+  assert.throws(() => pickIndex('server', 'client', 0, 0), /positive integer/);
+  assert.throws(() => pickIndex('server', 'client', 0, 1.5), /positive integer/);
+});
+
+test('drawFromPool draws from the pool sorted ascending, whatever order it is given in', () => {
+  const clientSeed = deriveClientSeed('pool-hash', 'external');
+  const draw = drawFromPool('server', clientSeed, [42, 7, 19, 3], 2);
+  const sorted = [3, 7, 19, 42];
+
+  assert.deepStrictEqual(draw, {
+    clientSeed,
+    nonce: 2,
+    poolSize: 4,
+    index: pickIndex('server', clientSeed, 2, 4),
+    ticketNumber: sorted[draw.index]
+  });
+  assert.deepStrictEqual(drawFromPool('server', clientSeed, sorted, 2), draw);
+});
+
+test('hashTicketPool and deriveClientSeed are SHA-256 over the documented strings', () => {
+  const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+  assert.strictEqual(hashTicketPool([10, 2, 33]), sha256('2,10,33'));
+  assert.strictEqual(deriveClientSeed('abc', '123'), sha256('abc:123'));
+});
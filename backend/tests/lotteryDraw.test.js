@@ -0,0 +1,86 @@
+// tests/lotteryDraw.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapResultToTicket, nextSoldNumber, resolveLotteryWinner } = require('../utils/lotteryDraw');
+
+// 1000 tickets numbered 0-999, drawn from 3-digit results
+const RAFFLE = { digits: 3, totalTickets: 1000, firstNumber: 0 };
+
+test('mapResultToTicket takes the last digits and wraps them into the ticket range', () => {
+  assert.strictEqual(mapResultToTicket('12-345', RAFFLE), 345);
+  assert.strictEqual(mapResultToTicket(7, RAFFLE), 7);
+  assert.strictEqual(mapResultToTicket('250', { digits: 3, totalTickets: 100, firstNumber: 1 }), 50);
+  assert.throws(() => mapResultToTicket('no digits', RAFFLE), /Invalid lottery result/);
+});
+
+test('nextSoldNumber wraps past the highest sold number to the lowest', () => {
+  assert.strictEqual(nextSoldNumber(500, [900, 100, 600]), 600);
+  assert.strictEqual(nextSoldNumber(950, [900, 100, 600]), 100);
+  assert.strictEqual(nextSoldNumber(5, []), null);
+});
+
+test('a sold first result wins with no fallback', () => {
+  const outcome = resolveLotteryWinner({ ...RAFFLE, results: ['123'], fallback: 'redraw', soldNumbers: [123] });
+
+  assert.strictEqual(outcome.ticketNumber, 123);
+  assert.strictEqual(outcome.fallbackApplied, null);
+  assert.deepStrictEqual(outcome.attempts, [{ result: '123', ticketNumber: 123, sold: true }]);
+});
+
+test('redraw moves on to the next result until one is sold', () => {
+  const outcome = resolveLotteryWinner({
+    ...RAFFLE,
+    results: ['111', '222', '333'],
+    fallback: 'redraw',
+    soldNumbers: [222, 333]
+  });
+
+  assert.strictEqual(outcome.ticketNumber, 222);
+  assert.strictEqual(outcome.fallbackApplied, 'redraw');
+  assert.deepStrictEqual(outcome.attempts.map(attempt => attempt.sold), [false, true]);
+});
+
+test('redraw asks for more results when none of them is sold', () => {
+  const outcome = resolveLotteryWinner({ ...RAFFLE, results: ['111', '222'], fallback: 'redraw', soldNumbers: [5] });
+
+  assert.strictEqual(outcome.ticketNumber, null);
+  assert.strictEqual(outcome.needsMoreResults, true);
+  assert.strictEqual(outcome.attempts.length, 2);
+});
+
+test('next-sold gives the prize to the first sold number after an unsold result', () => {
+  const outcome = resolveLotteryWinner({
+    ...RAFFLE,
+    results: ['990', '500'],
+    fallback: 'next-sold',
+    soldNumbers: [40, 700]
+  });
+
+  assert.strictEqual(outcome.ticketNumber, 40);
+  assert.strictEqual(outcome.fallbackApplied, 'next-sold');
+  assert.strictEqual(outcome.attempts.length, 1);
+});
+
+test('house keeps the prize when the result was not sold', () => {
+  const outcome = resolveLotteryWinner({ ...RAFFLE, results: ['404', '700'], fallback: 'house', soldNumbers: [700] });
+
+  assert.strictEqual(outcome.ticketNumber, null);
+  assert.strictEqual(outcome.fallbackApplied, 'house');
+  assert.strictEqual(outcome.attempts.length, 1);
+});
+
+test('an unknown fallback is refused', () => {
+  assert.throws(
+    () => resolveLotteryWinner({ ...RAFFLE, results: ['1'], fallback: 'coin-toss', soldNumbers: [1] }),
+    /Invalid fallback/
+  );
+});
+
+test('digits outside 1 to 9 are refused instead of reading the wrong end of the result', () => {
+  for (const digits of [-3, 0, 10, 2.5, NaN, '3']) {
+    assert.throws(
+      () => resolveLotteryWinner({ ...RAFFLE, digits, results: ['12345'], fallback: 'redraw', soldNumbers: [345] }),
+      /Invalid lottery digits/
+    );
+  }
+});
@@ -0,0 +1,70 @@
+// tests/paymentReferences.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeReference, parsePaymentReference } = require('../utils/paymentReferences');
+
+const today = () => new Date().toISOString();
+
+test('normalizeReference drops spaces and dashes and upper-cases', () => {
+  assert.strictEqual(normalizeReference(' ab-12 34 '), 'AB1234');
+  assert.strictEqual(normalizeReference(null), '');
+});
+
+test('the same transfer typed two ways gives the same reference', () => {
+  const method = { type: 'bank_transfer' };
+  const body = { originBank: 'Banesco', senderName: 'Ana Pérez', paidAt: today() };
+
+  const first = parsePaymentReference(method, { ...body, reference: 'ab-1234 5678' });
+  const second = parsePaymentReference(method, { ...body, reference: 'AB12345678' });
+
+  assert.strictEqual(first.reference, 'AB12345678');
+  assert.strictEqual(second.reference, first.reference);
+});
+
+test('USDT hashes are compared without the 0x prefix', () => {
+  const method = { type: 'usdt', wallets: [{ network: 'BEP20' }, { network: 'TRC20' }] };
+  const hash = 'a'.repeat(64);
+
+  const bep20 = parsePaymentReference(method, { network: 'BEP20', reference: `0x${hash}`, paidAt: today() });
+  const trc20 = parsePaymentReference(method, { network: 'TRC20', reference: hash, paidAt: today() });
+
+  assert.strictEqual(bep20.reference, hash.toUpperCase());
+  assert.strictEqual(trc20.reference, bep20.reference);
+});
+
+test('field normalizers apply before validation', () => {
+  const pagomovil = parsePaymentReference(
+    { type: 'pagomovil' },
+    { reference: '1234 5678', originBank: 'Mercantil', senderPhone: '0412-123.45.67', paidAt: today() }
+  );
+  assert.strictEqual(pagomovil.reference, '12345678');
+  assert.strictEqual(pagomovil.senderPhone, '04121234567');
+
+  const paypal = parsePaymentReference(
+    { type: 'paypal' },
+    { reference: '1ab23456cd789012e', senderEmail: 'Ana@Example.com', paidAt: today() }
+  );
+  assert.strictEqual(paypal.senderEmail, 'ana@example.com');
+});
+
+test('invalid references are refused with INVALID_PAYMENT_REFERENCE', () => {
+  const method = { type: 'binance_pay' };
+  const refused = body => assert.throws(
+    () => parsePaymentReference(method, body),
+    error => error.code === 'INVALID_PAYMENT_REFERENCE'
+  );
+
+  refused({ reference: '', paidAt: today() });
+  refused({ reference: '12ab5678', paidAt: today() });
+  refused({ reference: '12345678' });
+  refused({ reference: '12345678', paidAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString() });
+  refused({ reference: '12345678', paidAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString() });
+  assert.throws(() => parsePaymentReference({ type: 'cheque' }, {}), /Unknown payment method type/);
+});
+
+test('choices come from the payment method', () => {
+  const method = { type: 'cash', sellers: ['Luis'] };
+
+  assert.strictEqual(parsePaymentReference(method, { collectedBy: 'Luis', paidAt: today() }).collectedBy, 'Luis');
+  assert.throws(() => parsePaymentReference(method, { collectedBy: 'Marta', paidAt: today() }), /Seller must be one of/);
+});
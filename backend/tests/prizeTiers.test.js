@@ -0,0 +1,34 @@
+// tests/prizeTiers.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const Raffle = require('../models/Raffle');
+
+const raffleWithPrizes = prizes => new Raffle({ productName: 'Moto', totalTickets: 100, prizes });
+
+test('numbers that won a drawn tier leave the pool, lowest first', () => {
+  const raffle = raffleWithPrizes([
+    { rank: 1, name: 'Moto', drawResult: { method: 'provably-fair', ticketNumber: 57 } },
+    { rank: 2, name: 'TV', drawResult: { method: 'lottery', ticketNumber: 12 } },
+    { rank: 3, name: 'Phone' }
+  ]);
+
+  assert.deepStrictEqual(raffle.drawnWinningNumbers(), [12, 57]);
+  assert.deepStrictEqual(raffle.pendingDrawTiers().map(prize => prize.rank), [3]);
+});
+
+test('a tier the house kept and consolation tiers exclude no number', () => {
+  const raffle = raffleWithPrizes([
+    { rank: 1, name: 'Moto', drawResult: { method: 'lottery', ticketNumber: null, houseWins: true } },
+    { rank: 2, name: 'TV', drawResult: { method: 'lottery', ticketNumber: 40 } },
+    { rank: 3, name: 'Next number', type: 'adjacent', offset: 1, drawResult: { method: 'adjacent', ticketNumber: 41 } }
+  ]);
+
+  assert.deepStrictEqual(raffle.drawnWinningNumbers(), [40]);
+});
+
+test('nothing is excluded before the first draw', () => {
+  const raffle = raffleWithPrizes([{ rank: 1, name: 'Moto' }, { rank: 2, name: 'TV' }]);
+
+  assert.deepStrictEqual(raffle.drawnWinningNumbers(), []);
+  assert.deepStrictEqual(raffle.pendingDrawTiers().map(prize => prize.rank), [1, 2]);
+});
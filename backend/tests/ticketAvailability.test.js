@@ -0,0 +1,62 @@
+// tests/ticketAvailability.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  packAvailability,
+  availableRanges,
+  packNumbers,
+  numberRanges,
+  pickRandomAvailable
+} = require('../utils/ticketAvailability');
+
+// Bits of a packed buffer as a string, most significant first
+const bitString = buffer => [...buffer].map(byte => byte.toString(2).padStart(8, '0')).join('');
+
+test('packAvailability clears the padding bits after the last ticket', () => {
+  for (const totalTickets of [1, 7, 9, 13, 15]) {
+    const bits = bitString(packAvailability({ totalTickets }, []));
+
+    assert.strictEqual(bits.length, Math.ceil(totalTickets / 8) * 8);
+    assert.strictEqual(bits, '1'.repeat(totalTickets) + '0'.repeat(bits.length - totalTickets));
+  }
+});
+
+test('packAvailability clears taken numbers from the raffle start and ignores the rest', () => {
+  const raffle = { totalTickets: 13, numbering: { start: 0 } };
+  const bits = bitString(packAvailability(raffle, [0, 8, 12, 13, -1]));
+
+  assert.strictEqual(bits, '0111111101110000');
+});
+
+test('packNumbers sets one bit per number with the same layout', () => {
+  const raffle = { totalTickets: 10 };
+
+  assert.strictEqual(bitString(packNumbers(raffle, [1, 9, 10, 11])), '1000000011000000');
+});
+
+test('availableRanges lists the gaps between taken numbers', () => {
+  const raffle = { totalTickets: 10 };
+
+  assert.deepStrictEqual(availableRanges(raffle, [3, 4, 10, 4]), [[1, 2], [5, 9]]);
+  assert.deepStrictEqual(availableRanges(raffle, []), [[1, 10]]);
+  assert.deepStrictEqual(availableRanges(raffle, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]), []);
+});
+
+test('numberRanges joins consecutive numbers', () => {
+  assert.deepStrictEqual(numberRanges([1, 2, 3, 7, 9, 10]), [[1, 3], [7, 7], [9, 10]]);
+  assert.deepStrictEqual(numberRanges([]), []);
+});
+
+test('pickRandomAvailable only returns distinct untaken numbers of the raffle', () => {
+  const raffle = { totalTickets: 20, numbering: { start: 0 } };
+  const taken = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+  // Sampled directly when plenty is left, shuffled from what is left otherwise
+  for (const quantity of [2, 8, 10, 15]) {
+    const picked = pickRandomAvailable(raffle, taken, quantity);
+
+    assert.strictEqual(picked.length, Math.min(quantity, 10));
+    assert.strictEqual(new Set(picked).size, picked.length);
+    assert.ok(picked.every(number => number >= 10 && number < 20));
+  }
+});
@@ -0,0 +1,44 @@
+// tests/ticketHolds.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { generateHoldToken, isHoldToken } = require('../utils/ticketHolds');
+const ticketsRoutes = require('../routes/tickets');
+
+test('isHoldToken accepts generated tokens only', () => {
+  assert.strictEqual(isHoldToken(generateHoldToken()), true);
+  assert.strictEqual(isHoldToken('A'.repeat(32)), false);
+  assert.strictEqual(isHoldToken('a'.repeat(31)), false);
+  assert.strictEqual(isHoldToken({ $ne: null }), false);
+  assert.strictEqual(isHoldToken(['a'.repeat(32)]), false);
+  assert.strictEqual(isHoldToken(undefined), false);
+});
+
+test('hold routes refuse a query operator as the hold token before touching the database', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/raffle/:raffleId/tickets', ticketsRoutes(null));
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/api/raffle/${'a'.repeat(24)}/tickets`;
+
+  const requests = [
+    ['/hold', { tickets: [1], holdToken: { $ne: null } }],
+    ['/hold/extend', { holdToken: { $ne: null } }],
+    ['/hold/release', { holdToken: { $ne: null } }],
+    ['/hold/release', {}],
+    ['/check-reserved', { tickets: [1], holdToken: { $ne: null } }]
+  ];
+
+  for (const [path, body] of requests) {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    assert.strictEqual(response.status, 400, path);
+    assert.strictEqual((await response.json()).code, 'INVALID_HOLD_TOKEN', path);
+  }
+});
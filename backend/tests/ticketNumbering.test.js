@@ -0,0 +1,53 @@
+// tests/ticketNumbering.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  firstTicketNumber,
+  lastTicketNumber,
+  isTicketNumber,
+  formatTicketNumber,
+  lotteryDigits,
+  validateNumbering
+} = require('../utils/ticketNumbering');
+
+test('a raffle without numbering starts at 1', () => {
+  const raffle = { totalTickets: 100 };
+
+  assert.strictEqual(firstTicketNumber(raffle), 1);
+  assert.strictEqual(lastTicketNumber(raffle), 100);
+  assert.strictEqual(isTicketNumber(raffle, 0), false);
+  assert.strictEqual(isTicketNumber(raffle, 100), true);
+  assert.strictEqual(isTicketNumber(raffle, 101), false);
+});
+
+test('a raffle can start at 0', () => {
+  const raffle = { totalTickets: 1000, numbering: { start: 0, padding: 3, prefix: '' } };
+
+  assert.strictEqual(lastTicketNumber(raffle), 999);
+  assert.strictEqual(isTicketNumber(raffle, 0), true);
+  assert.strictEqual(isTicketNumber(raffle, 1000), false);
+  assert.strictEqual(isTicketNumber(raffle, 5.5), false);
+  assert.strictEqual(isTicketNumber(raffle, '5'), false);
+});
+
+test('formatTicketNumber pads and prefixes', () => {
+  assert.strictEqual(formatTicketNumber(7, { start: 0, padding: 4, prefix: 'A-' }), 'A-0007');
+  assert.strictEqual(formatTicketNumber(12345, { start: 0, padding: 4, prefix: '' }), '12345');
+  assert.strictEqual(formatTicketNumber(7), '7');
+  assert.strictEqual(formatTicketNumber(null), null);
+});
+
+test('lotteryDigits follows the padding, or the ticket count without one', () => {
+  assert.strictEqual(lotteryDigits({ totalTickets: 1000, numbering: { start: 0, padding: 4 } }), 4);
+  assert.strictEqual(lotteryDigits({ totalTickets: 1000 }), 3);
+  assert.strictEqual(lotteryDigits({ totalTickets: 1001 }), 4);
+});
+
+test('validateNumbering refuses schemes that cannot show every ticket', () => {
+  assert.strictEqual(validateNumbering({ start: 0, padding: 3 }, 1000), null);
+  assert.match(validateNumbering({ start: 1, padding: 3 }, 1000), /cannot show ticket number 1000/);
+  assert.match(validateNumbering({ start: -1 }, 10), /whole number/);
+  assert.match(validateNumbering({ padding: 10 }, 10), /between 0 and 9/);
+  assert.match(validateNumbering({ prefix: 'A B' }, 10), /series prefix/);
+  assert.strictEqual(validateNumbering({}, 10), null);
+});
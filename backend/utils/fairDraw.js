@@ -0,0 +1,86 @@
+// utils/fairDraw.js
+const crypto = require('crypto');
+
+// Number of hex characters read from each HMAC (52 bits fit safely in a JS number)
+const HEX_CHARS = 13;
+const MAX_VALUE = Math.pow(2, HEX_CHARS * 4);
+
+// Neither seed can be steered alone: the server seed is committed while sales
+// are open, the pool hash once every payment is settled, and the external seed
+// is a public value (a future block hash, an official lottery result) named in
+// that second commitment, which nobody knows until after it is published.
+const ALGORITHM = [
+  'soldPool = every sold ticket number, sorted ascending',
+  'poolHash = SHA256(soldPool joined by ","), published in the draw commitment with the name of a future public value',
+  'externalSeed = that public value once it is known (e.g. a block hash or an official lottery result);',
+  '  verifiers check it did not exist yet at the commitment\'s committedAt',
+  'clientSeed = SHA256(poolHash + ":" + externalSeed)',
+  'pool = soldPool minus excludedNumbers (earlier prize winners)',
+  'nonce = prize rank',
+  'for round = 0, 1, 2, ...:',
+  '  value = first 13 hex chars of HMAC_SHA256(key = serverSeed, message = clientSeed + ":" + nonce + ":" + round)',
+  '  if value < floor(2^52 / poolSize) * poolSize: index = value mod poolSize, stop',
+  'winner = pool[index]'
+].join('\n');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Generate a new secret server seed
+const generateServerSeed = () => crypto.randomBytes(32).toString('hex');
+
+// Public commitment published while the raffle is open
+const hashServerSeed = (serverSeed) => sha256(serverSeed);
+
+// Fingerprint of the sold ticket pool, published before the external seed is known
+const hashTicketPool = (ticketNumbers) => {
+  const sorted = [...ticketNumbers].sort((a, b) => a - b);
+  return sha256(sorted.join(','));
+};
+
+// Pick an index in [0, poolSize) without modulo bias
+const pickIndex = (serverSeed, clientSeed, nonce, poolSize) => {
+  if (!Number.isInteger(poolSize) || poolSize <= 0) {
+    throw new Error('Pool size must be a positive integer');
+  }
+
+  const limit = Math.floor(MAX_VALUE / poolSize) * poolSize;
+
+  for (let round = 0; ; round++) {
+    const hmac = crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${nonce}:${round}`)
+      .digest('hex');
+    const value = parseInt(hmac.slice(0, HEX_CHARS), 16);
+
+    if (value < limit) {
+      return value % poolSize;
+    }
+  }
+};
+
+// Client seed from the committed pool and the external public value
+const deriveClientSeed = (poolHash, externalSeed) => sha256(`${poolHash}:${externalSeed}`);
+
+// Run a full draw over the ticket numbers still in the running
+const drawFromPool = (serverSeed, clientSeed, ticketNumbers, nonce = 0) => {
+  const pool = [...ticketNumbers].sort((a, b) => a - b);
+  const index = pickIndex(serverSeed, clientSeed, nonce, pool.length);
+
+  return {
+    clientSeed,
+    nonce,
+    poolSize: pool.length,
+    index,
+    ticketNumber: pool[index]
+  };
+};
+
+module.exports = {
+  ALGORITHM,
+  generateServerSeed,
+  hashServerSeed,
+  hashTicketPool,
+  deriveClientSeed,
+  pickIndex,
+  drawFromPool
+};
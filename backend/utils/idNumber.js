@@ -0,0 +1,9 @@
+// utils/idNumber.js
+
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+// Cédulas are stored as typed ("V-12.345.678"); this matches any spelling of
+// the same digits. Confirm candidates with digitsOnly, the pattern is loose.
+const idNumberPattern = (digits) => digits.split('').join('\\D*');
+
+module.exports = { digitsOnly, idNumberPattern };
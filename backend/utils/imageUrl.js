@@ -0,0 +1,13 @@
+// utils/imageUrl.js
+
+// Full URL for an uploaded image path
+const toImageUrl = (imagePath) => {
+  if (!imagePath) return imagePath;
+  return `${process.env.SERVER_URL || 'http://localhost:5000'}${imagePath}`;
+};
+
+// Stored image paths of a document's gallery. Mongoose arrays run getters on
+// element access, so the raw paths have to come from toObject().
+const storedImages = (doc) => doc.get('images', null, { getters: false }).toObject();
+
+module.exports = { toImageUrl, storedImages };
@@ -0,0 +1,89 @@
+// utils/lotteryDraw.js
+
+const FALLBACKS = ['redraw', 'house', 'next-sold'];
+
+// Results are read by their last 1 to 9 digits
+const MAX_DIGITS = 9;
+
+const isLotteryDigits = (digits) => Number.isInteger(digits) && digits >= 1 && digits <= MAX_DIGITS;
+
+// Digits needed to cover every ticket (1000 tickets -> 3, matching a lottery triple)
+const defaultDigits = (totalTickets) => String(Math.max(totalTickets - 1, 1)).length;
+
+// Wrap any integer into the ticket range [firstNumber, firstNumber + totalTickets)
+const wrapTicketNumber = (value, totalTickets, firstNumber = 1) => {
+  const offset = ((value - firstNumber) % totalTickets + totalTickets) % totalTickets;
+  return firstNumber + offset;
+};
+
+// Map an official result onto the ticket range: take the last N digits and wrap
+// them modulo totalTickets so that every result lands on exactly one ticket
+const mapResultToTicket = (result, { digits, totalTickets, firstNumber = 1 }) => {
+  const clean = String(result).replace(/\D/g, '');
+  if (!clean) {
+    throw new Error(`Invalid lottery result: ${result}`);
+  }
+
+  const value = parseInt(clean.slice(-digits), 10);
+  return wrapTicketNumber(value, totalTickets, firstNumber);
+};
+
+// First sold number after the given one, wrapping around to the lowest
+const nextSoldNumber = (ticketNumber, soldNumbers) => {
+  const sorted = [...soldNumbers].sort((a, b) => a - b);
+  return sorted.find(number => number > ticketNumber) ?? sorted[0] ?? null;
+};
+
+// Work out the winning ticket from the official results, in the order they were given.
+// Returns ticketNumber null when the house wins, or needsMoreResults when every
+// result was used up by the redraw fallback.
+const resolveLotteryWinner = ({ results, digits, totalTickets, firstNumber = 1, fallback, soldNumbers }) => {
+  if (!FALLBACKS.includes(fallback)) {
+    throw new Error(`Invalid fallback: ${fallback}`);
+  }
+  if (!isLotteryDigits(digits)) {
+    throw new Error(`Invalid lottery digits: ${digits}`);
+  }
+
+  const sold = new Set(soldNumbers);
+  const attempts = [];
+
+  for (const result of results) {
+    const ticketNumber = mapResultToTicket(result, { digits, totalTickets, firstNumber });
+    const isSold = sold.has(ticketNumber);
+    attempts.push({ result: String(result), ticketNumber, sold: isSold });
+
+    if (isSold) {
+      return {
+        ticketNumber,
+        attempts,
+        fallbackApplied: attempts.length > 1 ? 'redraw' : null
+      };
+    }
+
+    if (fallback === 'house') {
+      return { ticketNumber: null, attempts, fallbackApplied: 'house' };
+    }
+
+    if (fallback === 'next-sold') {
+      return {
+        ticketNumber: nextSoldNumber(ticketNumber, soldNumbers),
+        attempts,
+        fallbackApplied: 'next-sold'
+      };
+    }
+  }
+
+  return { ticketNumber: null, attempts, fallbackApplied: null, needsMoreResults: true };
+};
+
+module.exports = {
+  FALLBACKS,
+  MAX_DIGITS,
+  isLotteryDigits,
+  defaultDigits,
+  wrapTicketNumber,
+  mapResultToTicket,
+  nextSoldNumber,
+  resolveLotteryWinner
+};
@@ -0,0 +1,21 @@
+// utils/paymentMethods.js
+
+// Kinds of payment methods the admin can set up. The kind decides which
+// transfer details buyers are asked for (see utils/paymentReferences);
+// the methods themselves live in the PaymentMethod collection.
+const METHOD_TYPES = ['pagomovil', 'bank_transfer', 'zelle', 'paypal', 'binance_pay', 'usdt', 'cash'];
+
+// Kinds paid in person: there is no proof to upload, the seller who took
+// the money is recorded instead
+const PROOFLESS_TYPES = ['cash'];
+
+// Networks a USDT wallet can be on, with the shape of an address on each
+const USDT_NETWORKS = {
+  TRC20: /^T[1-9A-HJ-NP-Za-km-z]{33}$/,
+  BEP20: /^0x[0-9a-fA-F]{40}$/
+};
+
+// Currencies a method can be paid in; VES amounts use the quoted exchange rate
+const CURRENCIES = ['USD', 'VES', 'USDT'];
+
+module.exports = { METHOD_TYPES, PROOFLESS_TYPES, USDT_NETWORKS, CURRENCIES };
@@ -0,0 +1,92 @@
+// utils/paymentReferences.js
+const { digitsOnly } = require('./idNumber');
+
+// Spaces and dashes are how people copy references, not part of them
+const normalizeReference = value => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+// What a buyer has to tell us about their transfer, per kind of payment method.
+// `reference` is the number we check for reuse across payments; fields with
+// `choices` must be one of the values the payment method offers.
+const REFERENCE_FIELDS = {
+  pagomovil: {
+    reference: { label: 'Pagomovil reference', pattern: /^\d{4,20}$/, message: 'must be 4 to 20 digits' },
+    originBank: { label: 'Origin bank', pattern: /^.{3,60}$/, message: 'must be 3 to 60 characters' },
+    senderPhone: { label: 'Sender phone', pattern: /^0?4\d{9}$/, message: 'must be a mobile number like 04121234567', normalize: digitsOnly }
+  },
+  bank_transfer: {
+    reference: { label: 'Transfer reference', pattern: /^[A-Z0-9]{4,30}$/, message: 'must be 4 to 30 letters or digits' },
+    originBank: { label: 'Origin bank', pattern: /^.{3,60}$/, message: 'must be 3 to 60 characters' },
+    senderName: { label: 'Account holder', pattern: /^.{3,80}$/, message: 'must be 3 to 80 characters' }
+  },
+  zelle: {
+    reference: { label: 'Zelle confirmation', pattern: /^[A-Z0-9]{6,30}$/, message: 'must be 6 to 30 letters or digits' },
+    senderName: { label: 'Sender name', pattern: /^.{3,80}$/, message: 'must be 3 to 80 characters' }
+  },
+  paypal: {
+    reference: { label: 'PayPal transaction ID', pattern: /^[A-Z0-9]{17}$/, message: 'must be the 17-character transaction ID' },
+    senderEmail: { label: 'PayPal email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'must be a valid email', normalize: value => value.toLowerCase() }
+  },
+  binance_pay: {
+    reference: { label: 'Binance order ID', pattern: /^\d{8,30}$/, message: 'must be 8 to 30 digits' }
+  },
+  usdt: {
+    network: { label: 'Network', choices: method => method.wallets.map(wallet => wallet.network), message: 'must be one of the networks this method accepts' },
+    // Explorers show BEP20 hashes with a 0x prefix and TRC20 ones without
+    reference: { label: 'Transaction hash', pattern: /^[0-9A-F]{64}$/, message: 'must be the 64-character transaction hash', normalize: value => normalizeReference(value).replace(/^0X/, '') }
+  },
+  cash: {
+    collectedBy: { label: 'Seller', choices: method => method.sellers, message: 'must be one of the sellers collecting for this method' }
+  }
+};
+
+// Transfers older than this are not accepted as payment for a new purchase
+const MAX_PAYMENT_AGE_DAYS = 7;
+
+const referenceError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PAYMENT_REFERENCE';
+  return error;
+};
+
+// Read and validate the reference fields for `paymentMethod` from a request
+// body. Returns the paymentReference to store on the Payment, or throws.
+const parsePaymentReference = (paymentMethod, body) => {
+  const fields = REFERENCE_FIELDS[paymentMethod.type];
+  if (!fields) {
+    throw referenceError(`Unknown payment method type: ${paymentMethod.type}`);
+  }
+
+  const paymentReference = {};
+  for (const [name, field] of Object.entries(fields)) {
+    const raw = String(body[name] || '').trim();
+    const value = field.normalize ? field.normalize(raw) : name === 'reference' ? normalizeReference(raw) : raw;
+    if (!value) {
+      throw referenceError(`${field.label} is required`);
+    }
+    if (field.pattern && !field.pattern.test(value)) {
+      throw referenceError(`${field.label} ${field.message}`);
+    }
+    if (field.choices && !field.choices(paymentMethod).includes(value)) {
+      throw referenceError(`${field.label} ${field.message}`);
+    }
+    paymentReference[name] = value;
+  }
+
+  const paidAt = new Date(body.paidAt);
+  if (!body.paidAt || Number.isNaN(paidAt.getTime())) {
+    throw referenceError('Payment date is required');
+  }
+  const now = Date.now();
+  // A day of slack for buyers whose clock or time zone is ahead of ours
+  if (paidAt.getTime() > now + 24 * 60 * 60 * 1000) {
+    throw referenceError('Payment date cannot be in the future');
+  }
+  if (paidAt.getTime() < now - MAX_PAYMENT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw referenceError(`Payment date cannot be more than ${MAX_PAYMENT_AGE_DAYS} days ago`);
+  }
+  paymentReference.paidAt = paidAt;
+
+  return paymentReference;
+};
+
+module.exports = { REFERENCE_FIELDS, MAX_PAYMENT_AGE_DAYS, normalizeReference, parsePaymentReference };
@@ -0,0 +1,30 @@
+// utils/raffleStatus.js
+
+const STATUSES = ['draft', 'scheduled', 'open', 'closed', 'drawn', 'cancelled'];
+
+// Allowed moves out of each status. A closed raffle can be reopened to extend
+// sales as long as no prize has been drawn; drawn and cancelled are final.
+const TRANSITIONS = {
+  draft: ['scheduled', 'open', 'cancelled'],
+  scheduled: ['draft', 'open', 'cancelled'],
+  open: ['closed', 'cancelled'],
+  closed: ['open', 'drawn', 'cancelled'],
+  drawn: [],
+  cancelled: []
+};
+
+// Statuses visible on the public site
+const PUBLIC_STATUSES = ['open', 'closed', 'drawn'];
+
+// Statuses that still need an admin to act on them
+const PENDING_STATUSES = ['draft', 'scheduled', 'open', 'closed'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  PUBLIC_STATUSES,
+  PENDING_STATUSES,
+  canTransition
+};
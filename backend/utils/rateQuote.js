@@ -0,0 +1,49 @@
+// utils/rateQuote.js
+const jwt = require('jsonwebtoken');
+
+// A quote is the exchange rate a buyer was shown, signed so checkout can
+// trust it. Like receipts, it has its own audience and no `userId`.
+const AUDIENCE = 'rate-quote';
+
+// How long a buyer may take to pay in bolívars at the quoted rate
+const QUOTE_MINUTES = Number(process.env.RATE_QUOTE_MINUTES) || 30;
+
+// Still honoured this long after expiry, for a buyer who paid just in time
+const QUOTE_GRACE_MINUTES = 5;
+
+const signRateQuote = ({ source, currency, rate, quotedAt }) => {
+  const expiresAt = new Date(quotedAt.getTime() + QUOTE_MINUTES * 60 * 1000);
+  const token = jwt.sign(
+    { src: source, cur: currency, rate, qat: quotedAt.getTime(), exp: Math.floor(expiresAt.getTime() / 1000) },
+    process.env.JWT_SECRET,
+    { audience: AUDIENCE }
+  );
+  return { source, currency, rate, quotedAt, expiresAt, token };
+};
+
+// The quote behind a token; null when it is forged or malformed. An expired
+// quote throws with code RATE_QUOTE_EXPIRED so the buyer can be re-quoted
+// instead of paying at a rate that no longer holds.
+const readRateQuote = (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCE, clockTolerance: QUOTE_GRACE_MINUTES * 60 });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      const expired = new Error('Your exchange rate quote has expired, check the new amount and confirm again');
+      expired.code = 'RATE_QUOTE_EXPIRED';
+      throw expired;
+    }
+    return null;
+  }
+
+  return {
+    source: claims.src,
+    currency: claims.cur,
+    rate: claims.rate,
+    quotedAt: new Date(claims.qat),
+    expiresAt: new Date(claims.exp * 1000)
+  };
+};
+
+module.exports = { QUOTE_MINUTES, QUOTE_GRACE_MINUTES, signRateQuote, readRateQuote };
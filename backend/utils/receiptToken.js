@@ -0,0 +1,52 @@
+// utils/receiptToken.js
+const jwt = require('jsonwebtoken');
+
+// Receipt tokens are signed with the app secret but for their own audience,
+// and carry no `userId`, so they can never pass as a login token
+const AUDIENCE = 'ticket-receipt';
+
+const getSecret = () => process.env.RECEIPT_SECRET || process.env.JWT_SECRET;
+
+// Id of a reference whether it was populated or not
+const idOf = (ref) => (ref._id || ref).toString();
+
+// What a receipt vouches for: this payment, of this raffle, by this buyer. The
+// numbers are read from the payment so the QR code stays small.
+const signReceiptToken = (payment) => jwt.sign(
+  {
+    pid: payment._id.toString(),
+    rid: idOf(payment.raffle),
+    bid: idOf(payment.user)
+  },
+  getSecret(),
+  { audience: AUDIENCE }
+);
+
+// The receipt's claims, or null when the token is forged or malformed
+const verifyReceiptToken = (token) => {
+  try {
+    const claims = jwt.verify(token, getSecret(), { audience: AUDIENCE });
+    return {
+      paymentId: claims.pid,
+      raffleId: claims.rid,
+      buyerId: claims.bid,
+      issuedAt: new Date(claims.iat * 1000)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Receipts get shared in group chats, so only the last digits of the cédula show
+const maskIdNumber = (idNumber) => {
+  const value = String(idNumber || '');
+  return value.length > 4 ? `${'*'.repeat(value.length - 4)}${value.slice(-4)}` : value;
+};
+
+// First name and initials, enough to recognise a buyer without exposing them
+const maskFullName = (fullName) => {
+  const [first = '', ...rest] = String(fullName || '').trim().split(/\s+/);
+  return [first, ...rest.map(name => `${name[0]}.`)].join(' ');
+};
+
+module.exports = { signReceiptToken, verifyReceiptToken, maskIdNumber, maskFullName };
@@ -0,0 +1,42 @@
+// utils/salesThreshold.js
+
+// What a raffle does when its draw date arrives below the minimum sales
+const THRESHOLD_ACTIONS = ['extend', 'draw-sold', 'cancel'];
+
+// Once every extension is used up the raffle has to draw or cancel
+const FINAL_ACTIONS = ['draw-sold', 'cancel'];
+
+// Decisions recorded in the raffle's threshold log ('met' means sales were enough)
+const THRESHOLD_DECISIONS = ['met', ...THRESHOLD_ACTIONS];
+
+const soldPercentage = (soldCount, totalTickets) => (
+  totalTickets > 0 ? (soldCount / totalTickets) * 100 : 0
+);
+
+// Decide what happens to a raffle whose draw date has arrived. A rule with
+// minSoldPercent 0 is turned off and always counts as met.
+const decideThresholdAction = (threshold, soldCount, totalTickets) => {
+  const soldPercent = soldPercentage(soldCount, totalTickets);
+
+  if (!threshold || !threshold.minSoldPercent || soldPercent >= threshold.minSoldPercent) {
+    return { decision: 'met', soldPercent };
+  }
+
+  if (threshold.action !== 'extend') {
+    return { decision: threshold.action, soldPercent };
+  }
+
+  if ((threshold.extensions || 0) < threshold.maxExtensions) {
+    return { decision: 'extend', soldPercent };
+  }
+
+  return { decision: threshold.fallbackAction, soldPercent };
+};
+
+module.exports = {
+  THRESHOLD_ACTIONS,
+  FINAL_ACTIONS,
+  THRESHOLD_DECISIONS,
+  soldPercentage,
+  decideThresholdAction
+};
@@ -0,0 +1,123 @@
+// utils/ticketAvailability.js
+const crypto = require('crypto');
+const { firstTicketNumber } = require('./ticketNumbering');
+
+// Only held, reserved and sold numbers have a Ticket document; every other number
+// of the raffle is available. These helpers turn the taken numbers into a
+// compact description of the whole range.
+
+// One bit per ticket, in number order from the raffle's first number and most
+// significant bit first; 1 = available. 100,000 tickets fit in 12.5 KB.
+const packAvailability = (raffle, takenNumbers) => {
+  const start = firstTicketNumber(raffle);
+  const bits = Buffer.alloc(Math.ceil(raffle.totalTickets / 8), 0xff);
+
+  // Clear the padding bits after the last ticket
+  const tail = raffle.totalTickets % 8;
+  if (tail) {
+    bits[bits.length - 1] = (0xff << (8 - tail)) & 0xff;
+  }
+
+  for (const number of takenNumbers) {
+    const index = number - start;
+    if (index >= 0 && index < raffle.totalTickets) {
+      bits[index >> 3] &= ~(0x80 >> (index & 7));
+    }
+  }
+
+  return bits;
+};
+
+// Available numbers as inclusive [from, to] ranges, in order
+const availableRanges = (raffle, takenNumbers) => {
+  const start = firstTicketNumber(raffle);
+  const end = start + raffle.totalTickets - 1;
+  const taken = [...new Set(takenNumbers)]
+    .filter(number => number >= start && number <= end)
+    .sort((a, b) => a - b);
+
+  const ranges = [];
+  let from = start;
+  for (const number of taken) {
+    if (number > from) {
+      ranges.push([from, number - 1]);
+    }
+    from = number + 1;
+  }
+  if (from <= end) {
+    ranges.push([from, end]);
+  }
+
+  return ranges;
+};
+
+// Same packing as packAvailability, with a 1 for each of the given numbers
+const packNumbers = (raffle, numbers) => {
+  const start = firstTicketNumber(raffle);
+  const bits = Buffer.alloc(Math.ceil(raffle.totalTickets / 8));
+
+  for (const number of numbers) {
+    const index = number - start;
+    if (index >= 0 && index < raffle.totalTickets) {
+      bits[index >> 3] |= 0x80 >> (index & 7);
+    }
+  }
+
+  return bits;
+};
+
+// Sorted numbers as inclusive [from, to] ranges of consecutive numbers
+const numberRanges = (numbers) => {
+  const ranges = [];
+  for (const number of numbers) {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last[1] + 1) {
+      last[1] = number;
+    } else {
+      ranges.push([number, number]);
+    }
+  }
+  return ranges;
+};
+
+// Up to `quantity` distinct available numbers chosen at random. Mostly empty
+// raffles are sampled directly; nearly full ones draw from the list of what is left.
+const pickRandomAvailable = (raffle, takenNumbers, quantity) => {
+  const start = firstTicketNumber(raffle);
+  const taken = new Set(takenNumbers);
+  const availableCount = raffle.totalTickets - taken.size;
+
+  if (quantity * 2 < availableCount) {
+    const picked = new Set();
+    while (picked.size < quantity) {
+      const number = start + crypto.randomInt(raffle.totalTickets);
+      if (!taken.has(number)) {
+        picked.add(number);
+      }
+    }
+    return [...picked];
+  }
+
+  const available = [];
+  for (let number = start; number < start + raffle.totalTickets; number++) {
+    if (!taken.has(number)) {
+      available.push(number);
+    }
+  }
+
+  // Partial Fisher-Yates shuffle
+  const count = Math.min(quantity, available.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + crypto.randomInt(available.length - i);
+    [available[i], available[j]] = [available[j], available[i]];
+  }
+  return available.slice(0, count);
+};
+
+module.exports = {
+  packAvailability,
+  availableRanges,
+  packNumbers,
+  numberRanges,
+  pickRandomAvailable
+};
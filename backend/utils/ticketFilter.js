@@ -0,0 +1,88 @@
+// utils/ticketFilter.js
+const { firstTicketNumber, lastTicketNumber } = require('./ticketNumbering');
+
+// 'unavailable' is any of held, reserved or sold; 'any' skips the status check
+const FILTER_STATUSES = ['available', 'held', 'reserved', 'sold', 'unavailable', 'any'];
+const PATTERN_KEYS = ['prefix', 'suffix', 'contains'];
+
+const invalidFilter = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  return error;
+};
+
+// Read the ticket grid's search from a query string. Patterns are digits
+// matched against the zero-padded number, without the series prefix; the
+// status defaults to 'available'.
+const parseTicketFilter = (query) => {
+  const filter = { status: query.status || 'available' };
+
+  for (const key of PATTERN_KEYS) {
+    if (query[key] !== undefined && query[key] !== '') {
+      if (!/^\d{1,9}$/.test(query[key])) {
+        throw invalidFilter(`${key} must be 1 to 9 digits`);
+      }
+      filter[key] = query[key];
+    }
+  }
+
+  for (const key of ['min', 'max']) {
+    if (query[key] !== undefined && query[key] !== '') {
+      const value = Number(query[key]);
+      if (!Number.isInteger(value)) {
+        throw invalidFilter(`${key} must be a whole number`);
+      }
+      filter[key] = value;
+    }
+  }
+
+  if (filter.min !== undefined && filter.max !== undefined && filter.min > filter.max) {
+    throw invalidFilter('min cannot be greater than max');
+  }
+
+  if (!FILTER_STATUSES.includes(filter.status)) {
+    throw invalidFilter(`status must be one of ${FILTER_STATUSES.join(', ')}`);
+  }
+
+  return filter;
+};
+
+// Whether the filter asks for anything beyond the plain available numbers
+const isNarrowingFilter = (filter) => (
+  filter.status !== 'available' || Object.keys(filter).some(key => key !== 'status')
+);
+
+const matchesStatus = (filterStatus, status) => {
+  if (filterStatus === 'any') return true;
+  if (filterStatus === 'unavailable') return status !== 'available';
+  return filterStatus === status;
+};
+
+// Every number of the raffle that matches the filter, lowest first.
+// `statusByNumber` maps the stored (non-available) numbers to their status.
+const matchingNumbers = (raffle, filter, statusByNumber) => {
+  const from = Math.max(firstTicketNumber(raffle), filter.min ?? -Infinity);
+  const to = Math.min(lastTicketNumber(raffle), filter.max ?? Infinity);
+  const padding = raffle.numbering?.padding || 0;
+  const numbers = [];
+
+  for (let number = from; number <= to; number++) {
+    if (!matchesStatus(filter.status, statusByNumber.get(number) || 'available')) continue;
+
+    const digits = String(number).padStart(padding, '0');
+    if (filter.prefix && !digits.startsWith(filter.prefix)) continue;
+    if (filter.suffix && !digits.endsWith(filter.suffix)) continue;
+    if (filter.contains && !digits.includes(filter.contains)) continue;
+
+    numbers.push(number);
+  }
+
+  return numbers;
+};
+
+module.exports = {
+  FILTER_STATUSES,
+  parseTicketFilter,
+  isNarrowingFilter,
+  matchingNumbers
+};
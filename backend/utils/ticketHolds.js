@@ -0,0 +1,30 @@
+// utils/ticketHolds.js
+const crypto = require('crypto');
+
+// How long selected numbers stay locked for a buyer; every bit of activity
+// on the checkout pages pushes the expiry back by the same amount
+const HOLD_MINUTES = Number(process.env.TICKET_HOLD_MINUTES) || 10;
+
+// Most numbers one buyer can hold at once, per hold and per client IP
+const MAX_HELD_TICKETS = 100;
+
+// Renewals a hold gets before it runs out for good; the checkout pages renew
+// at most once a minute, so this leaves a buyer about half an hour
+const MAX_HOLD_EXTENSIONS = 20;
+
+const generateHoldToken = () => crypto.randomBytes(16).toString('hex');
+
+// Whether a value from a request is a token generateHoldToken could have made.
+// Anything else, an object like { $ne: null } above all, must never reach a query.
+const isHoldToken = (value) => typeof value === 'string' && /^[0-9a-f]{32}$/.test(value);
+
+const holdExpiry = (from = new Date()) => new Date(from.getTime() + HOLD_MINUTES * 60 * 1000);
+
+module.exports = {
+  HOLD_MINUTES,
+  MAX_HELD_TICKETS,
+  MAX_HOLD_EXTENSIONS,
+  generateHoldToken,
+  isHoldToken,
+  holdExpiry
+};
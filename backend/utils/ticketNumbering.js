@@ -0,0 +1,61 @@
+// utils/ticketNumbering.js
+const { defaultDigits } = require('./lotteryDraw');
+
+// Tickets are consecutive integers from `start`, shown zero-padded to
+// `padding` digits (0 = no padding) behind an optional series `prefix`
+const DEFAULT_NUMBERING = { start: 1, padding: 0, prefix: '' };
+
+const MAX_PADDING = 9;
+
+const firstTicketNumber = (raffle) => raffle.numbering?.start ?? DEFAULT_NUMBERING.start;
+
+const lastTicketNumber = (raffle) => firstTicketNumber(raffle) + raffle.totalTickets - 1;
+
+// Whether a number is one of the raffle's tickets
+const isTicketNumber = (raffle, number) => (
+  Number.isInteger(number) && number >= firstTicketNumber(raffle) && number <= lastTicketNumber(raffle)
+);
+
+// Display form of a ticket number, e.g. 7 -> "A-0007"
+const formatTicketNumber = (number, numbering = DEFAULT_NUMBERING) => {
+  if (number === null || number === undefined) return number;
+  return `${numbering.prefix || ''}${String(number).padStart(numbering.padding || 0, '0')}`;
+};
+
+// Lottery digits that match the numbering: a padded "000-999" pool maps onto
+// a 3-digit result, otherwise use what the ticket count needs
+const lotteryDigits = (raffle) => raffle.numbering?.padding || defaultDigits(raffle.totalTickets);
+
+// Check that a numbering scheme can show every ticket of the raffle
+const validateNumbering = (numbering, totalTickets) => {
+  const { start, padding, prefix } = { ...DEFAULT_NUMBERING, ...numbering };
+
+  if (!Number.isInteger(start) || start < 0) {
+    return 'The first ticket number must be a whole number of 0 or more';
+  }
+
+  if (!Number.isInteger(padding) || padding < 0 || padding > MAX_PADDING) {
+    return `Ticket number padding must be between 0 and ${MAX_PADDING} digits`;
+  }
+
+  const last = start + totalTickets - 1;
+  if (padding > 0 && String(last).length > padding) {
+    return `A padding of ${padding} digits cannot show ticket number ${last}`;
+  }
+
+  if (prefix && !/^[A-Za-z0-9-]{1,10}$/.test(prefix)) {
+    return 'The series prefix can only have up to 10 letters, digits or dashes';
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_NUMBERING,
+  firstTicketNumber,
+  lastTicketNumber,
+  isTicketNumber,
+  formatTicketNumber,
+  lotteryDigits,
+  validateNumbering
+};
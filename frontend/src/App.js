@@ -10,6 +10,9 @@ import AdminLayout from './components/layouts/AdminLayout';
 // Admin Sections
 import DashboardOverview from './components/adminSections/DashboardOverview';
 import PendingPayments from './components/adminSections/PendingPayments';
+import RefundsQueue from './components/adminSections/RefundsQueue';
+import TicketTransfers from './components/adminSections/TicketTransfers';
+import PaymentMethods from './components/adminSections/PaymentMethods';
 import CreateRaffle from './components/adminSections/CreateRaffle';
 import ActiveRaffles from './components/adminSections/ActiveRaffles';
 
@@ -20,6 +23,9 @@ import SelectNumbersPage from './pages/SelectNumbersPage';
 import PaymentMethodPage from './pages/PaymentMethodPage';
 import PaymentDetailsPage from './pages/PaymentDetailsPage';
 import PaymentVerificationPage from './pages/PaymentVerificationPage';
+import CheckTicketsPage from './pages/CheckTicketsPage';
+import VerifyTicketPage from './pages/VerifyTicketPage';
+import TransfersPage from './pages/TransfersPage';
 
 // Socket Context
 import { SocketProvider } from './contexts/SocketContext';
@@ -168,11 +174,22 @@ const App = () => {
         <Routes>
           {/* Public Routes */}
           <Route path="/" element={<HomePage />} />
-          <Route path="/select-numbers" element={<SelectNumbersPage />} />
-          <Route path="/payment-method" element={<PaymentMethodPage />} />
+          <Route path="/raffles/:raffleId/select-numbers" element={<SelectNumbersPage />} />
+          <Route path="/raffles/:raffleId/payment-method" element={<PaymentMethodPage />} />
           
           {/* Remove ProtectedUserRoute for payment-details */}
-          <Route path="/payment-details" element={<PaymentDetailsPage />} />
+          <Route path="/raffles/:raffleId/payment-details" element={<PaymentDetailsPage />} />
+          <Route path="/my-tickets" element={<CheckTicketsPage />} />
+          <Route path="/verify/:token" element={<VerifyTicketPage />} />
+
+          <Route
+            path="/transfers"
+            element={
+              <ProtectedUserRoute>
+                <TransfersPage />
+              </ProtectedUserRoute>
+            }
+          />
 
           <Route 
             path="/payment-verification" 
@@ -207,6 +224,9 @@ const App = () => {
             <Route index element={<DashboardOverview />} />
             <Route path="dashboard" element={<DashboardOverview />} />
             <Route path="pending-payments" element={<PendingPayments />} />
+            <Route path="refunds" element={<RefundsQueue />} />
+            <Route path="transfers" element={<TicketTransfers />} />
+            <Route path="payment-methods" element={<PaymentMethods />} />
             <Route path="create-raffle" element={<CreateRaffle />} />
             <Route path="active-raffles" element={<ActiveRaffles />} />
           </Route>
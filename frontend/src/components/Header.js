@@ -1,7 +1,7 @@
 // Header.js
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { UserCircle } from 'lucide-react'; // Use an alternative icon library if needed
+import { UserCircle, Ticket, Gift } from 'lucide-react'; // Use an alternative icon library if needed
 import { useNavigate } from 'react-router-dom';
 import '../assets/styles/Header.css';
 
@@ -41,41 +41,56 @@ export default function Header() {
             />
           </a>
 
-          {/* Login/Logout Button Section with Motion Effects */}
-          <motion.div
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onHoverStart={() => setIsHovered(true)}
-            onHoverEnd={() => setIsHovered(false)}
-          >
-            {isAuthenticated ? (
-              <button
-                className="logout-button flex items-center space-x-2"
-                onClick={handleLogout}
-              >
-                <motion.div
-                  animate={isHovered ? { rotate: 360 } : { rotate: 0 }}
-                  transition={{ duration: 0.3 }}
-                >
-                  <UserCircle className="h-5 w-5" />
-                </motion.div>
-                <span>Logout</span>
-              </button>
-            ) : (
-              <button
-                className="login-button flex items-center space-x-2"
-                onClick={handleLogin}
-              >
-                <motion.div
-                  animate={isHovered ? { rotate: 360 } : { rotate: 0 }}
-                  transition={{ duration: 0.3 }}
-                >
-                  <UserCircle className="h-5 w-5" />
-                </motion.div>
-                <span>Login</span>
+          <div className="header-actions">
+            {/* Public lookup for buyers who lost their login */}
+            <button className="my-tickets-button" onClick={() => navigate('/my-tickets')}>
+              <Ticket className="h-5 w-5" />
+              <span>My Tickets</span>
+            </button>
+
+            {isAuthenticated && (
+              <button className="my-tickets-button" onClick={() => navigate('/transfers')}>
+                <Gift className="h-5 w-5" />
+                <span>Transfers</span>
               </button>
             )}
-          </motion.div>
+
+            {/* Login/Logout Button Section with Motion Effects */}
+            <motion.div
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onHoverStart={() => setIsHovered(true)}
+              onHoverEnd={() => setIsHovered(false)}
+            >
+              {isAuthenticated ? (
+                <button
+                  className="logout-button flex items-center space-x-2"
+                  onClick={handleLogout}
+                >
+                  <motion.div
+                    animate={isHovered ? { rotate: 360 } : { rotate: 0 }}
+                    transition={{ duration: 0.3 }}
+                  >
+                    <UserCircle className="h-5 w-5" />
+                  </motion.div>
+                  <span>Logout</span>
+                </button>
+              ) : (
+                <button
+                  className="login-button flex items-center space-x-2"
+                  onClick={handleLogin}
+                >
+                  <motion.div
+                    animate={isHovered ? { rotate: 360 } : { rotate: 0 }}
+                    transition={{ duration: 0.3 }}
+                  >
+                    <UserCircle className="h-5 w-5" />
+                  </motion.div>
+                  <span>Login</span>
+                </button>
+              )}
+            </motion.div>
+          </div>
         </div>
       </div>
     </header>
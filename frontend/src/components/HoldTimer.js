@@ -0,0 +1,80 @@
+// src/components/HoldTimer.js
+import React, { useState, useEffect, useRef } from 'react';
+import { extendTicketHold } from '../services/api';
+import '../assets/styles/HoldTimer.css';
+
+// Activity renews the hold at most once a minute
+const EXTEND_INTERVAL_MS = 60 * 1000;
+const ACTIVITY_EVENTS = ['click', 'keydown', 'scroll', 'touchstart'];
+
+const formatRemaining = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Countdown of the buyer's hold on their numbers. Clicking, typing or
+// scrolling on the page pushes the expiry back, until the server stops
+// allowing renewals.
+const HoldTimer = ({ raffleId, hold, onChange, onExpire }) => {
+  const [remaining, setRemaining] = useState(() => new Date(hold.expiresAt) - Date.now());
+  const [renewable, setRenewable] = useState(true);
+  const lastExtendRef = useRef(Date.now());
+  const onChangeRef = useRef(onChange);
+  const onExpireRef = useRef(onExpire);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+    onExpireRef.current = onExpire;
+  });
+
+  useEffect(() => {
+    const tick = () => {
+      const left = new Date(hold.expiresAt) - Date.now();
+      setRemaining(Math.max(0, left));
+      if (left <= 0) {
+        clearInterval(interval);
+        onExpireRef.current();
+      }
+    };
+
+    const interval = setInterval(tick, 1000);
+    tick();
+    return () => clearInterval(interval);
+  }, [hold.expiresAt]);
+
+  useEffect(() => {
+    if (!renewable) return undefined;
+
+    const handleActivity = async () => {
+      if (Date.now() - lastExtendRef.current < EXTEND_INTERVAL_MS) return;
+      lastExtendRef.current = Date.now();
+
+      try {
+        const result = await extendTicketHold(raffleId, hold.holdToken);
+        onChangeRef.current({ holdToken: result.holdToken, tickets: result.tickets, expiresAt: result.expiresAt });
+      } catch (error) {
+        console.error('Error extending ticket hold:', error);
+        const code = error.response?.data?.code;
+        if (code === 'HOLD_EXPIRED') {
+          onExpireRef.current();
+        } else if (code === 'HOLD_EXTENSION_LIMIT') {
+          setRenewable(false);
+        }
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+    };
+  }, [raffleId, hold.holdToken, renewable]);
+
+  return (
+    <div className={`hold-timer ${remaining < EXTEND_INTERVAL_MS ? 'ending' : ''}`}>
+      Your numbers are held for <strong>{formatRemaining(remaining)}</strong>
+      {!renewable && <span> and cannot be held any longer, please finish checking out</span>}
+    </div>
+  );
+};
+
+export default HoldTimer;
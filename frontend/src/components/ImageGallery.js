@@ -0,0 +1,96 @@
+import React, { useState, useRef } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import '../assets/styles/ImageGallery.css';
+
+// Horizontal swipe distance (px) that moves to the next or previous photo
+const SWIPE_THRESHOLD = 40;
+
+const ImageGallery = ({ images, cover, alt }) => {
+  const photos = images?.length ? images : [cover].filter(Boolean);
+  const [current, setCurrent] = useState(Math.max(photos.indexOf(cover), 0));
+  const touchStartX = useRef(null);
+
+  const index = Math.min(current, photos.length - 1);
+
+  const showPrevious = () => setCurrent((index - 1 + photos.length) % photos.length);
+  const showNext = () => setCurrent((index + 1) % photos.length);
+
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null) return;
+
+    const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+
+    if (deltaX > SWIPE_THRESHOLD) showPrevious();
+    if (deltaX < -SWIPE_THRESHOLD) showNext();
+  };
+
+  if (photos.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="image-gallery"
+      onTouchStart={handleTouchStart}
+      onTouchEnd={handleTouchEnd}
+    >
+      <div
+        className="image-gallery-track"
+        style={{ transform: `translateX(-${index * 100}%)` }}
+      >
+        {photos.map((photo, photoIndex) => (
+          <img
+            key={photo}
+            src={photo}
+            alt={`${alt} ${photoIndex + 1}`}
+            className="image-gallery-photo"
+            draggable={false}
+            onError={(e) => {
+              e.target.onerror = null;
+              e.target.src = '/placeholder-image.jpg';
+            }}
+          />
+        ))}
+      </div>
+
+      {photos.length > 1 && (
+        <>
+          <button
+            type="button"
+            className="image-gallery-arrow previous"
+            onClick={showPrevious}
+            aria-label="Foto anterior"
+          >
+            <ChevronLeft size={20} />
+          </button>
+          <button
+            type="button"
+            className="image-gallery-arrow next"
+            onClick={showNext}
+            aria-label="Foto siguiente"
+          >
+            <ChevronRight size={20} />
+          </button>
+          <div className="image-gallery-dots">
+            {photos.map((photo, photoIndex) => (
+              <button
+                key={photo}
+                type="button"
+                className={`image-gallery-dot ${photoIndex === index ? 'active' : ''}`}
+                onClick={() => setCurrent(photoIndex)}
+                aria-label={`Ver foto ${photoIndex + 1}`}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImageGallery;
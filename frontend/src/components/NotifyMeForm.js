@@ -0,0 +1,83 @@
+// src/components/NotifyMeForm.js
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { watchTickets } from '../services/api';
+import '../assets/styles/NotifyMeForm.css';
+
+const DEFAULT_TEXT = {
+  title: 'Notify me when it frees up',
+  email: 'Email',
+  phoneNumber: 'WhatsApp number',
+  loggedIn: 'You will also get a notice here while you are logged in.',
+  submit: 'Notify Me',
+  submitting: 'Saving...',
+  cancel: 'Close',
+  contactRequired: 'Enter an email or WhatsApp number',
+  error: 'Error saving the notification, please try again.'
+};
+
+// Contact form for a watch on one number, or on the whole raffle when
+// ticketNumber is null; `text` overrides the English copy
+const NotifyMeForm = ({ raffleId, ticketNumber = null, text = {}, onClose }) => {
+  const copy = { ...DEFAULT_TEXT, ...text };
+  const isLoggedIn = Boolean(localStorage.getItem('token'));
+  const [contact, setContact] = useState(() => {
+    const userData = JSON.parse(localStorage.getItem('userData') || '{}');
+    return { email: userData.email || '', phoneNumber: userData.phoneNumber || '' };
+  });
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isLoggedIn && !contact.email.trim() && !contact.phoneNumber.trim()) {
+      toast.error(copy.contactRequired);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const result = await watchTickets(raffleId, {
+        ticketNumber,
+        email: contact.email.trim(),
+        phoneNumber: contact.phoneNumber.trim()
+      });
+      toast.success(result.message);
+      onClose();
+    } catch (error) {
+      console.error('Error creating ticket watch:', error);
+      toast.error(error.response?.data?.message || copy.error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="notify-me-form" onSubmit={handleSubmit}>
+      <p className="notify-me-title">{copy.title}</p>
+      <input
+        type="email"
+        placeholder={copy.email}
+        value={contact.email}
+        onChange={(e) => setContact({ ...contact, email: e.target.value })}
+      />
+      <input
+        type="tel"
+        placeholder={copy.phoneNumber}
+        value={contact.phoneNumber}
+        onChange={(e) => setContact({ ...contact, phoneNumber: e.target.value })}
+      />
+      {isLoggedIn && <p className="notify-me-hint">{copy.loggedIn}</p>}
+      <div className="notify-me-actions">
+        <button type="submit" disabled={submitting}>
+          {submitting ? copy.submitting : copy.submit}
+        </button>
+        <button type="button" className="secondary" onClick={onClose}>
+          {copy.cancel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default NotifyMeForm;
@@ -0,0 +1,169 @@
+// src/components/NumberGrid.js
+import React, { useState, useEffect, useRef } from 'react';
+import { formatTicketNumber } from '../utils/ticketNumbers';
+
+// Pitch of one number button including its margins, see SelectNumbersPage.css
+const CELL_SIZE = 60;
+const CELL_SIZE_MOBILE = 46;
+// Width taken by the "select row" button in front of every row
+const ROW_HEADER_WIDTH = 56;
+const GRID_PADDING = 20;
+// Rows rendered above and below the visible ones so fast scrolling does not flash
+const OVERSCAN_ROWS = 4;
+
+const cellSizeForViewport = () => (
+  window.matchMedia('(max-width: 600px)').matches ? CELL_SIZE_MOBILE : CELL_SIZE
+);
+
+// Only the rows in view are rendered, so raffles with thousands of numbers stay fast.
+// Arrow keys, Home/End and Page Up/Down move between numbers; Shift+Enter or
+// Shift+Space selects a range like a shift-click does.
+const NumberGrid = ({
+  numbers,
+  numbering,
+  isSelected,
+  isUnavailable,
+  disabled,
+  onNumberClick,
+  onSelectRow,
+  canSelectRow
+}) => {
+  const containerRef = useRef(null);
+  const focusPending = useRef(false);
+  const [layout, setLayout] = useState({ columns: 1, cellSize: CELL_SIZE, height: 0 });
+  const [scrollTop, setScrollTop] = useState(0);
+  const [focusIndex, setFocusIndex] = useState(0);
+
+  const { columns, cellSize, height } = layout;
+  const rowCount = Math.ceil(numbers.length / columns);
+  const activeIndex = Math.min(focusIndex, numbers.length - 1);
+
+  // Columns follow the container width
+  useEffect(() => {
+    const container = containerRef.current;
+    const measure = () => {
+      const size = cellSizeForViewport();
+      const width = container.clientWidth - GRID_PADDING - ROW_HEADER_WIDTH;
+      setLayout({
+        columns: Math.max(1, Math.floor(width / size)),
+        cellSize: size,
+        height: container.clientHeight
+      });
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // A number reached with the keyboard may only be rendered after the scroll
+  useEffect(() => {
+    if (!focusPending.current) return;
+    const button = containerRef.current.querySelector(`[data-index="${activeIndex}"]`);
+    if (button) {
+      focusPending.current = false;
+      button.focus();
+    }
+  }, [activeIndex, scrollTop]);
+
+  const moveFocus = (index) => {
+    const nextIndex = Math.max(0, Math.min(numbers.length - 1, index));
+    const container = containerRef.current;
+    const rowTop = Math.floor(nextIndex / columns) * cellSize;
+
+    if (rowTop < container.scrollTop) {
+      container.scrollTop = rowTop;
+    } else if (rowTop + cellSize > container.scrollTop + container.clientHeight) {
+      container.scrollTop = rowTop + cellSize - container.clientHeight;
+    }
+
+    focusPending.current = true;
+    setFocusIndex(nextIndex);
+    setScrollTop(container.scrollTop);
+  };
+
+  const handleKeyDown = (e, index) => {
+    const rowStart = index - (index % columns);
+    const pageRows = Math.max(1, Math.floor(height / cellSize) - 1);
+    const targets = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      ArrowUp: index - columns,
+      ArrowDown: index + columns,
+      PageUp: index - columns * pageRows,
+      PageDown: index + columns * pageRows,
+      Home: e.ctrlKey ? 0 : rowStart,
+      End: e.ctrlKey ? numbers.length - 1 : rowStart + columns - 1
+    };
+
+    if (e.key in targets) {
+      e.preventDefault();
+      moveFocus(targets[e.key]);
+    } else if ((e.key === 'Enter' || e.key === ' ') && e.shiftKey) {
+      e.preventDefault();
+      if (!disabled) onNumberClick(numbers[index], { shiftKey: true });
+    }
+  };
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / cellSize) - OVERSCAN_ROWS);
+  const lastRow = Math.min(rowCount, Math.ceil((scrollTop + height) / cellSize) + OVERSCAN_ROWS);
+  const rows = [];
+
+  for (let row = firstRow; row < lastRow; row++) {
+    const rowStart = row * columns;
+    const rowNumbers = numbers.slice(rowStart, rowStart + columns);
+
+    rows.push(
+      <div key={row} className="numbers-row" role="row" style={{ top: row * cellSize, height: cellSize }}>
+        <button
+          type="button"
+          className="row-select-button"
+          tabIndex={-1}
+          onClick={() => onSelectRow(rowNumbers)}
+          disabled={disabled || !canSelectRow(rowNumbers)}
+          title="Select every available number in this row"
+        >
+          Row
+        </button>
+        {rowNumbers.map((number, column) => {
+          const index = rowStart + column;
+          return (
+            <button
+              key={number}
+              type="button"
+              role="gridcell"
+              data-index={index}
+              tabIndex={index === activeIndex ? 0 : -1}
+              className={`number-button ${isSelected(number) ? 'selected' : ''} ${isUnavailable(number) ? 'unavailable' : ''}`}
+              aria-selected={isSelected(number)}
+              aria-disabled={disabled}
+              title={isUnavailable(number) ? 'Taken: click to be notified if it frees up' : undefined}
+              onClick={(e) => !disabled && onNumberClick(number, e)}
+              onFocus={() => setFocusIndex(index)}
+              onKeyDown={(e) => handleKeyDown(e, index)}
+            >
+              {formatTicketNumber(number, numbering)}
+            </button>
+          );
+        })}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="numbers-grid"
+      ref={containerRef}
+      role="grid"
+      aria-rowcount={rowCount}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div className="numbers-grid-rows" style={{ height: rowCount * cellSize }}>
+        {rows}
+      </div>
+    </div>
+  );
+};
+
+export default NumberGrid;
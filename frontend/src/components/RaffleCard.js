@@ -1,30 +1,21 @@
 import React, { useState, useEffect, useContext, useCallback } from 'react';
-import axios from 'axios';
 import { SocketContext } from '../index';
-import { useNavigate } from 'react-router-dom'; // Import for navigation
 import { toast } from 'react-hot-toast';
+import ImageGallery from './ImageGallery';
+import NotifyMeForm from './NotifyMeForm';
+import { formatTicketNumber } from '../utils/ticketNumbers';
+import { MAX_HELD_TICKETS } from '../utils/ticketHold';
 import '../assets/styles/RaffleCard.css';
 
-const RaffleCard = ({ onBuyTickets }) => {
+const RaffleCard = ({ raffle, onBuyTickets }) => {
   const { socket } = useContext(SocketContext);
-  const navigate = useNavigate(); // Use navigate for redirection
-  
-  const [raffleItem, setRaffleItem] = useState({
-    _id: '',
-    productName: 'Loading...',
-    description: '',
-    productImage: '',
-    price: 0,
-    totalTickets: 0,
-    soldTickets: 0,
-    reservedTickets: 0,
-    ticketStats: {}
-  });
 
+  const [raffleItem, setRaffleItem] = useState(raffle);
   const [ticketsAvailable, setTicketsAvailable] = useState(0);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
+  const [quickPickQuantity, setQuickPickQuantity] = useState(1);
+  const [picking, setPicking] = useState(false);
+  const [showNotifyMe, setShowNotifyMe] = useState(false);
 
   // Calculate available tickets and update statistics
   const updateAvailableTickets = useCallback((data) => {
@@ -41,116 +32,151 @@ const RaffleCard = ({ onBuyTickets }) => {
     }).format(amount);
   };
 
-  // Fetch raffle data
-  const fetchRaffleData = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      console.log('Fetching raffle data...');
-      
-      const response = await axios.get('http://localhost:5000/api/raffle');
-      console.log('Raffle data received:', response.data);
-      
-      if (response.data) {
-        setRaffleItem(response.data);
-        updateAvailableTickets(response.data);
-        // Removed the success toast as it's not needed
-        // toast.success('Rifa cargada exitosamente');
-      } else {
-        const errorMsg = 'No hay rifas activas';
-        setError(errorMsg);
-        toast.error(errorMsg);
-      }
-    } catch (error) {
-      const errorMsg = error.response?.data?.message || 'Error al cargar la rifa';
-      console.error('Error fetching raffle:', error);
-      setError(errorMsg);
-      toast.error(errorMsg);
-    } finally {
-      setLoading(false);
-    }
-  }, [updateAvailableTickets]);
-
   useEffect(() => {
-    fetchRaffleData();
-
-    // Define event handlers
-    const handleRaffleCreated = (newRaffle) => {
-      console.log('New raffle created:', newRaffle);
-      setRaffleItem(newRaffle);
-      updateAvailableTickets(newRaffle);
-      toast.success('¡Nueva rifa creada!');
-    };
+    setRaffleItem(raffle);
+    updateAvailableTickets(raffle);
+  }, [raffle, updateAvailableTickets]);
 
+  useEffect(() => {
+    // Define event handlers; every event names the raffle it belongs to
     const handleRaffleUpdated = (updatedRaffle) => {
-      console.log('Raffle updated:', updatedRaffle);
       if (updatedRaffle._id === raffleItem._id) {
+        console.log('Raffle updated:', updatedRaffle);
         setRaffleItem(updatedRaffle);
         updateAvailableTickets(updatedRaffle);
         toast.success('Rifa actualizada');
       }
     };
 
+    const handlePrizeDrawn = (data) => {
+      if (data.raffleId === raffleItem._id) {
+        setRaffleItem(prev => ({ ...prev, prizes: data.prizes }));
+      }
+    };
+
+    const handleRaffleDrawn = (data) => {
+      if (data.raffleId === raffleItem._id) {
+        console.log('Raffle drawn:', data);
+        setRaffleItem(prev => ({
+          ...prev,
+          status: 'drawn',
+          drawResult: data.drawResult,
+          prizes: data.prizes
+        }));
+        const winnerName = data.prizes?.find(prize => prize.rank === 1)?.winnerName;
+        toast.success(data.winningNumber !== null
+          ? `¡Sorteo de ${raffleItem.productName} realizado! Número ganador: ${formatTicketNumber(data.winningNumber, raffleItem.numbering)}${winnerName ? ` (${winnerName})` : ''}`
+          : `¡Sorteo de ${raffleItem.productName} realizado! Ningún número vendido resultó ganador`);
+      }
+    };
+
+    const handleStatusChanged = (data) => {
+      if (data.raffleId === raffleItem._id) {
+        console.log('Raffle status changed:', data);
+        setRaffleItem(prev => ({ ...prev, status: data.status, drawDate: data.raffle.drawDate }));
+        if (data.status === 'closed') {
+          toast(`Venta de tickets cerrada: ${raffleItem.productName}`);
+        }
+      }
+    };
+
+    // Keep the counters in sync with purchases and confirmations
+    const handleTicketsReserved = (data) => {
+      if (data.raffleId === raffleItem._id) {
+        setRaffleItem(prev => {
+          const updated = { ...prev, reservedTickets: prev.reservedTickets + data.tickets.length };
+          updateAvailableTickets(updated);
+          return updated;
+        });
+      }
+    };
+
+    const handlePaymentConfirmed = (data) => {
+      if (data.raffleId === raffleItem._id) {
+        setRaffleItem(prev => {
+          const updated = {
+            ...prev,
+            soldTickets: prev.soldTickets + data.tickets.length,
+            reservedTickets: Math.max(0, prev.reservedTickets - data.tickets.length)
+          };
+          updateAvailableTickets(updated);
+          return updated;
+        });
+      }
+    };
+
+    // A number this user asked to watch was released
+    const handleWatchTriggered = (data) => {
+      if (data.raffleId === raffleItem._id) {
+        toast.success(data.message, { duration: 8000 });
+      }
+    };
+
     // Register events
-    socket.on('raffle_created', handleRaffleCreated);
     socket.on('raffle_updated', handleRaffleUpdated);
+    socket.on('prize_drawn', handlePrizeDrawn);
+    socket.on('raffle_drawn', handleRaffleDrawn);
+    socket.on('raffle_status_changed', handleStatusChanged);
+    socket.on('ticketsReserved', handleTicketsReserved);
+    socket.on('payment_confirmed', handlePaymentConfirmed);
+    socket.on('watch_triggered', handleWatchTriggered);
 
     // Cleanup when component unmounts
     return () => {
-      socket.off('raffle_created', handleRaffleCreated);
       socket.off('raffle_updated', handleRaffleUpdated);
+      socket.off('prize_drawn', handlePrizeDrawn);
+      socket.off('raffle_drawn', handleRaffleDrawn);
+      socket.off('raffle_status_changed', handleStatusChanged);
+      socket.off('ticketsReserved', handleTicketsReserved);
+      socket.off('payment_confirmed', handlePaymentConfirmed);
+      socket.off('watch_triggered', handleWatchTriggered);
     };
-  }, [socket, raffleItem._id, updateAvailableTickets, fetchRaffleData]);
+  }, [socket, raffleItem._id, raffleItem.productName, raffleItem.numbering, updateAvailableTickets]);
+
+  const firstPrize = raffleItem.prizes?.find(prize => prize.rank === 1);
+
+  const formatPrizeLabel = (prize) => (
+    prize.type === 'adjacent'
+      ? `Consolación (ganador ${prize.offset > 0 ? '+' : ''}${prize.offset})`
+      : `${prize.rank}° Premio`
+  );
 
   // Handle buy tickets click
   const handleBuyClick = () => {
     if (ticketsAvailable > 0) {
-      navigate('/select-numbers'); // Navigate to select-numbers page
+      onBuyTickets(raffleItem._id);
     } else {
       toast.error('No hay tickets disponibles');
     }
   };
 
+  // Random numbers, straight to checkout
+  const handleQuickPick = async () => {
+    if (quickPickQuantity < 1 || quickPickQuantity > ticketsAvailable) {
+      toast.error(`Elija entre 1 y ${Math.min(ticketsAvailable, MAX_HELD_TICKETS)} tickets`);
+      return;
+    }
+
+    setPicking(true);
+    try {
+      await onBuyTickets(raffleItem._id, quickPickQuantity);
+    } finally {
+      setPicking(false);
+    }
+  };
+
   // Calculate progress percentage
   const progress = Math.min(
     ((raffleItem.totalTickets - ticketsAvailable) / raffleItem.totalTickets) * 100,
     100
   );
 
-  if (loading) {
-    return (
-      <div className="raffle-card loading">
-        <div className="loading-spinner"></div>
-        <p>Cargando rifa...</p>
-      </div>
-    );
-  }
-
-  if (error) {
-    return (
-      <div className="raffle-card error">
-        <p className="error-message">{error}</p>
-        <button 
-          className="retry-button"
-          onClick={fetchRaffleData}
-        >
-          Intentar nuevamente
-        </button>
-      </div>
-    );
-  }
-
   return (
     <div className="raffle-card">
-      <img
-        src={raffleItem.productImage}
+      <ImageGallery
+        images={raffleItem.images}
+        cover={raffleItem.productImage}
         alt={raffleItem.productName}
-        className="raffle-image"
-        onError={(e) => {
-          e.target.onerror = null;
-          e.target.src = '/placeholder-image.jpg';
-          toast.error('Error al cargar la imagen');
-        }}
       />
 
       <h2 className="raffle-name">{raffleItem.productName}</h2>
@@ -159,7 +185,37 @@ const RaffleCard = ({ onBuyTickets }) => {
         <p className="raffle-description">{raffleItem.description}</p>
       )}
 
+      {raffleItem.prizes && raffleItem.prizes.length > 1 && (
+        <div className="raffle-prizes">
+          {raffleItem.prizes.map((prize) => (
+            <div key={prize._id || prize.rank} className="raffle-prize">
+              {prize.image && (
+                <img src={prize.image} alt={prize.name} className="raffle-prize-image" />
+              )}
+              <div className="raffle-prize-info">
+                <span className="raffle-prize-rank">{formatPrizeLabel(prize)}</span>
+                <span className="raffle-prize-name">{prize.name}</span>
+                {prize.description && (
+                  <span className="raffle-prize-description">{prize.description}</span>
+                )}
+                {prize.drawResult && !prize.drawResult.houseWins && (
+                  <span className="raffle-prize-winner">
+                    Número ganador: {formatTicketNumber(prize.drawResult.ticketNumber, raffleItem.numbering)}
+                    {prize.winnerName && ` — ${prize.winnerName}`}
+                  </span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="raffle-info">
+        {raffleItem.drawDate && raffleItem.status === 'open' && (
+          <p className="raffle-draw-date">
+            Cierre de ventas: <span>{new Date(raffleItem.drawDate).toLocaleString('es-VE')}</span>
+          </p>
+        )}
         <p className="raffle-price">
           Precio por Ticket: <span>{formatCurrency(raffleItem.price)}</span>
         </p>
@@ -198,13 +254,78 @@ const RaffleCard = ({ onBuyTickets }) => {
         </p>
       </div>
 
-      <button
-        className="buy-ticket-button"
-        onClick={handleBuyClick}
-        disabled={ticketsAvailable === 0}
-      >
-        {ticketsAvailable > 0 ? 'Comprar Tickets' : 'Agotado'}
-      </button>
+      {raffleItem.drawResult ? (
+        <p className="raffle-winner">
+          {raffleItem.drawResult.houseWins ? (
+            'Ningún número vendido resultó ganador'
+          ) : (
+            <>
+              Número ganador: <span>{formatTicketNumber(raffleItem.drawResult.ticketNumber, raffleItem.numbering)}</span>
+              {firstPrize?.winnerName && <> — {firstPrize.winnerName}</>}
+            </>
+          )}
+        </p>
+      ) : raffleItem.status !== 'open' ? (
+        <p className="raffle-closed">Venta cerrada, sorteo pendiente</p>
+      ) : (
+        <>
+          <button
+            className="buy-ticket-button"
+            onClick={handleBuyClick}
+            disabled={ticketsAvailable === 0}
+          >
+            {ticketsAvailable > 0 ? 'Elegir Números' : 'Agotado'}
+          </button>
+          {ticketsAvailable === 0 && (
+            showNotifyMe ? (
+              <NotifyMeForm
+                raffleId={raffleItem._id}
+                text={{
+                  title: 'Te avisamos si se libera algún número',
+                  email: 'Correo electrónico',
+                  phoneNumber: 'Número de WhatsApp',
+                  loggedIn: 'También verás el aviso aquí mientras tengas la sesión iniciada.',
+                  submit: 'Avísame',
+                  submitting: 'Guardando...',
+                  cancel: 'Cerrar',
+                  contactRequired: 'Ingresa un correo o número de WhatsApp',
+                  error: 'Error al guardar el aviso, intenta de nuevo.'
+                }}
+                onClose={() => setShowNotifyMe(false)}
+              />
+            ) : (
+              <button className="quick-pick-button notify-me-button" onClick={() => setShowNotifyMe(true)}>
+                Avísame si se libera
+              </button>
+            )
+          )}
+          {ticketsAvailable > 0 && (
+            <div className="quick-pick">
+              <input
+                type="number"
+                min="1"
+                max={Math.min(ticketsAvailable, MAX_HELD_TICKETS)}
+                value={quickPickQuantity}
+                onChange={(e) => setQuickPickQuantity(parseInt(e.target.value, 10) || 0)}
+                aria-label="Cantidad de tickets"
+              />
+              <button
+                className="quick-pick-button"
+                onClick={handleQuickPick}
+                disabled={picking}
+              >
+                {picking ? 'Asignando...' : 'Selección Rápida'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {raffleItem.serverSeedHash && (
+        <p className="raffle-fairness" title={raffleItem.serverSeedHash}>
+          Hash del sorteo: {raffleItem.serverSeedHash.slice(0, 16)}…
+        </p>
+      )}
 
       {lastUpdate && (
         <p className="last-updated">
@@ -179,7 +179,7 @@ const RaffleManagement = () => {
                   <h4>{raffle.productName}</h4>
                   <p>Price: ${raffle.price}</p>
                   <p>Total Tickets: {raffle.totalTickets}</p>
-                  <p>Status: {raffle.active ? 'Active' : 'Inactive'}</p>
+                  <p>Status: {raffle.status}</p>
                   <div className="raffle-stats">
                     <p>Sold: {raffle.soldTickets}</p>
                     <p>Reserved: {raffle.reservedTickets}</p>
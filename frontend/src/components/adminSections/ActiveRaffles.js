@@ -1,12 +1,50 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { toast } from 'react-hot-toast';
 import { useSocket } from '../../contexts/SocketContext';
+import {
+  commitRaffleDraw,
+  drawRaffle,
+  drawRaffleFromLottery,
+  changeRaffleStatus,
+  cancelRaffle,
+  duplicateRaffle,
+  saveRaffleAsTemplate
+} from '../../services/api';
+import RaffleImagesModal from './RaffleImagesModal';
+import { formatTicketNumber } from '../../utils/ticketNumbers';
 import '../../assets/styles/adminSections/ActiveRaffles.css';
 
+const STATUS_LABELS = {
+  draft: 'Draft',
+  scheduled: 'Scheduled',
+  open: 'Open',
+  closed: 'Sales Closed',
+  drawn: 'Drawn',
+  cancelled: 'Cancelled'
+};
+
+const THRESHOLD_DECISION_LABELS = {
+  met: 'minimum met, sales closed',
+  extend: 'sales extended',
+  'draw-sold': 'drawing among sold tickets',
+  cancel: 'raffle cancelled'
+};
+
 const ActiveRaffles = () => {
   const [raffles, setRaffles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [drawingId, setDrawingId] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [lotteryTarget, setLotteryTarget] = useState(null);
+  const [imagesTarget, setImagesTarget] = useState(null);
+  const [lotteryForm, setLotteryForm] = useState({
+    lotteryName: '',
+    results: '',
+    digits: '',
+    fallback: 'redraw'
+  });
   const socket = useSocket();
 
   useEffect(() => {
@@ -42,6 +80,9 @@ const ActiveRaffles = () => {
       setRaffles((prevRaffles) => {
         // Ensure prevRaffles is an array
         const currentRaffles = Array.isArray(prevRaffles) ? prevRaffles : [];
+        if (currentRaffles.some(raffle => raffle._id === data._id)) {
+          return currentRaffles;
+        }
         return [...currentRaffles, data];
       });
     };
@@ -57,17 +98,320 @@ const ActiveRaffles = () => {
       });
     };
 
+    const handlePrizeDrawn = (data) => {
+      console.log('Prize drawn:', data);
+      setRaffles((prevRaffles) => {
+        const currentRaffles = Array.isArray(prevRaffles) ? prevRaffles : [];
+        return currentRaffles.map(raffle =>
+          raffle._id === data.raffleId
+            ? { ...raffle, prizes: data.prizes }
+            : raffle
+        );
+      });
+    };
+
+    const handleRaffleDrawn = (data) => {
+      console.log('Raffle drawn:', data);
+      setRaffles((prevRaffles) => {
+        const currentRaffles = Array.isArray(prevRaffles) ? prevRaffles : [];
+        return currentRaffles.map(raffle =>
+          raffle._id === data.raffleId
+            ? { ...raffle, status: 'drawn', drawResult: data.drawResult, prizes: data.prizes }
+            : raffle
+        );
+      });
+    };
+
+    const handleStatusChanged = (data) => {
+      console.log('Raffle status changed:', data);
+      setRaffles((prevRaffles) => {
+        const currentRaffles = Array.isArray(prevRaffles) ? prevRaffles : [];
+        // Cancelled raffles leave this list, their refunds live in the refunds queue
+        if (data.status === 'cancelled') {
+          return currentRaffles.filter(raffle => raffle._id !== data.raffleId);
+        }
+        return currentRaffles.map(raffle =>
+          raffle._id === data.raffleId ? { ...raffle, ...data.raffle } : raffle
+        );
+      });
+    };
+
+    const handleThresholdDecision = (data) => {
+      console.log('Sales threshold decision:', data);
+      const message = `${data.productName}: ${data.soldPercent.toFixed(1)}% sold (minimum ${data.minSoldPercent}%), ${THRESHOLD_DECISION_LABELS[data.decision]}`;
+      if (data.decision === 'met') {
+        toast.success(message);
+      } else {
+        toast(message, { icon: '⚠️' });
+      }
+    };
+
     // Set up socket listeners
     socket.on('raffle_created', handleRaffleCreated);
     socket.on('raffle_updated', handleRaffleUpdated);
+    socket.on('prize_drawn', handlePrizeDrawn);
+    socket.on('raffle_drawn', handleRaffleDrawn);
+    socket.on('raffle_status_changed', handleStatusChanged);
+    socket.on('sales_threshold_decision', handleThresholdDecision);
 
     // Cleanup
     return () => {
       socket.off('raffle_created', handleRaffleCreated);
       socket.off('raffle_updated', handleRaffleUpdated);
+      socket.off('prize_drawn', handlePrizeDrawn);
+      socket.off('raffle_drawn', handleRaffleDrawn);
+      socket.off('raffle_status_changed', handleStatusChanged);
+      socket.off('sales_threshold_decision', handleThresholdDecision);
     };
   }, [socket]);
 
+  const runDraw = async (raffleId, draw) => {
+    try {
+      setDrawingId(raffleId);
+      const result = await draw();
+      setRaffles((prevRaffles) => prevRaffles.map(raffle =>
+        raffle._id === raffleId
+          ? { ...raffle, status: result.completed ? 'drawn' : raffle.status, prizes: result.prizes }
+          : raffle
+      ));
+      const numbering = raffles.find(raffle => raffle._id === raffleId)?.numbering;
+      toast.success(result.winningNumber !== null
+        ? `Prize #${result.rank} winning number: ${formatTicketNumber(result.winningNumber, numbering)}${result.winnerName ? ` (${result.winnerName})` : ''}`
+        : `Prize #${result.rank}: no sold number matched, the house wins`);
+      return true;
+    } catch (error) {
+      console.error('Error drawing raffle:', error);
+      toast.error(error.response?.data?.message || 'Error drawing raffle');
+      return false;
+    } finally {
+      setDrawingId(null);
+    }
+  };
+
+  // Fixes the sold pool before the public value that seeds the draw exists
+  const handleCommitDraw = async (raffle) => {
+    const entropySource = window.prompt(
+      'Public value that will seed the draw. It must not be known yet, e.g. "Hash of Bitcoin block 870000" or "Triple A of the next Lotería del Táchira draw":',
+      ''
+    );
+    if (!entropySource || !entropySource.trim()) return;
+
+    try {
+      setUpdatingId(raffle._id);
+      const result = await commitRaffleDraw(raffle._id, entropySource.trim());
+      setRaffles((prevRaffles) => prevRaffles.map(item =>
+        item._id === raffle._id ? { ...item, drawCommitment: result.drawCommitment } : item
+      ));
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Error committing draw:', error);
+      toast.error(error.response?.data?.message || 'Error committing draw');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleDraw = (raffle, prize) => {
+    // The first tier asks for the committed value; later tiers reuse it
+    let externalSeed;
+    if (!raffle.drawCommitment.externalSeed) {
+      externalSeed = window.prompt(`Value of: ${raffle.drawCommitment.entropySource}`, '');
+      if (!externalSeed || !externalSeed.trim()) return;
+      externalSeed = externalSeed.trim();
+    }
+
+    if (!window.confirm(`Draw the winner of "${prize.name}"? This cannot be undone.`)) {
+      return;
+    }
+
+    runDraw(raffle._id, async () => {
+      const result = await drawRaffle(raffle._id, prize.rank, externalSeed);
+      if (externalSeed) {
+        setRaffles((prevRaffles) => prevRaffles.map(item =>
+          item._id === raffle._id
+            ? { ...item, drawCommitment: { ...item.drawCommitment, externalSeed } }
+            : item
+        ));
+      }
+      return result;
+    });
+  };
+
+  // Cancelling refunds or voids every purchase, so it asks for a reason buyers will be told
+  const handleCancel = async (raffle) => {
+    const reason = window.prompt(
+      `Cancel "${raffle.productName}"? Confirmed payments will be queued for refund and unverified ones voided. This cannot be undone.\n\nReason (sent to buyers):`,
+      ''
+    );
+    if (reason === null) return;
+
+    try {
+      setUpdatingId(raffle._id);
+      const result = await cancelRaffle(raffle._id, reason.trim());
+      setRaffles((prevRaffles) => prevRaffles.filter(item => item._id !== raffle._id));
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Error cancelling raffle:', error);
+      toast.error(error.response?.data?.message || 'Error cancelling raffle');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleStatusChange = async (raffle, status) => {
+    const extra = {};
+
+    if (status === 'cancelled') {
+      handleCancel(raffle);
+      return;
+    }
+
+    // Reopening sales needs a draw date that has not passed yet
+    if (status === 'open' && raffle.status === 'closed') {
+      const drawDate = window.prompt('New draw date (YYYY-MM-DD HH:MM), leave empty for none:', '');
+      if (drawDate === null) return;
+      extra.drawDate = drawDate ? new Date(drawDate.replace(' ', 'T')).toISOString() : '';
+    }
+
+    try {
+      setUpdatingId(raffle._id);
+      const result = await changeRaffleStatus(raffle._id, status, extra);
+      setRaffles((prevRaffles) => prevRaffles.map(item =>
+        item._id === raffle._id ? { ...item, ...result.raffle } : item
+      ));
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Error changing raffle status:', error);
+      toast.error(error.response?.data?.message || 'Error changing raffle status');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleDuplicate = async (raffle) => {
+    try {
+      setUpdatingId(raffle._id);
+      const result = await duplicateRaffle(raffle._id);
+      setRaffles((prevRaffles) => (
+        prevRaffles.some(item => item._id === result.raffle._id)
+          ? prevRaffles
+          : [result.raffle, ...prevRaffles]
+      ));
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Error duplicating raffle:', error);
+      toast.error(error.response?.data?.message || 'Error duplicating raffle');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleSaveTemplate = async (raffle) => {
+    const name = window.prompt('Template name:', raffle.productName);
+    if (!name || !name.trim()) return;
+
+    try {
+      const result = await saveRaffleAsTemplate(raffle._id, name.trim());
+      toast.success(result.message);
+    } catch (error) {
+      console.error('Error saving raffle template:', error);
+      toast.error(error.response?.data?.message || 'Error saving template');
+    }
+  };
+
+  // Lifecycle moves offered for each status
+  const getStatusActions = (raffle) => {
+    const startsLater = raffle.startDate && new Date(raffle.startDate) > new Date();
+
+    switch (raffle.status) {
+      case 'draft':
+        return [
+          startsLater
+            ? { status: 'scheduled', label: 'Schedule' }
+            : { status: 'open', label: 'Publish' },
+          { status: 'cancelled', label: 'Cancel' }
+        ];
+      case 'scheduled':
+        return [
+          { status: 'open', label: 'Open Now' },
+          { status: 'draft', label: 'Back to Draft' },
+          { status: 'cancelled', label: 'Cancel' }
+        ];
+      case 'open':
+        return [
+          { status: 'closed', label: 'Close Sales' },
+          { status: 'cancelled', label: 'Cancel' }
+        ];
+      case 'closed':
+        if (raffle.prizes?.some(prize => prize.drawResult)) return [];
+        // A committed pool cannot grow any more
+        return raffle.drawCommitment
+          ? [{ status: 'cancelled', label: 'Cancel' }]
+          : [
+            { status: 'open', label: 'Reopen Sales' },
+            { status: 'cancelled', label: 'Cancel' }
+          ];
+      default:
+        return [];
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  const openLotteryModal = (raffle, prize) => {
+    setLotteryTarget({ raffle, prize });
+    setLotteryForm({
+      lotteryName: raffle.drawConfig?.lotteryName || '',
+      results: '',
+      digits: raffle.drawConfig?.digits || '',
+      fallback: raffle.drawConfig?.fallback || 'redraw'
+    });
+  };
+
+  const handleLotteryInputChange = (e) => {
+    const { name, value } = e.target;
+    setLotteryForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleLotteryDraw = async (e) => {
+    e.preventDefault();
+    const raffleId = lotteryTarget.raffle._id;
+    const drawn = await runDraw(raffleId, () => drawRaffleFromLottery(raffleId, {
+      ...lotteryForm,
+      rank: lotteryTarget.prize.rank
+    }));
+    if (drawn) {
+      setLotteryTarget(null);
+    }
+  };
+
+  // Raffles saved before prize tiers existed have a single implicit first prize
+  const getPrizes = (raffle) => (
+    raffle.prizes && raffle.prizes.length > 0
+      ? raffle.prizes
+      : [{ rank: 1, name: raffle.productName, type: 'draw', drawResult: raffle.drawResult }]
+  );
+
+  const formatPrizeLabel = (prize) => (
+    prize.type === 'adjacent'
+      ? `Consolation (${prize.offset > 0 ? '+' : ''}${prize.offset})`
+      : `Prize #${prize.rank}`
+  );
+
+  const formatWinningNumber = (drawResult, numbering) => {
+    const ticketNumber = formatTicketNumber(drawResult.ticketNumber, numbering);
+    if (!drawResult.houseWins) return ticketNumber;
+    return drawResult.method === 'adjacent' && drawResult.ticketNumber !== null
+      ? `${ticketNumber} (not sold)`
+      : 'House wins';
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -155,15 +499,221 @@ const ActiveRaffles = () => {
                   </span>
                 </div>
                 <div className="raffle-status">
-                  <span className={`status-badge ${raffle.active ? 'active' : 'inactive'}`}>
-                    {raffle.active ? 'Active' : 'Inactive'}
+                  <span className={`status-badge ${raffle.status}`}>
+                    {STATUS_LABELS[raffle.status] || raffle.status}
                   </span>
                 </div>
+                {raffle.status === 'scheduled' && raffle.startDate && (
+                  <p className="raffle-date">Opens: {formatDate(raffle.startDate)}</p>
+                )}
+                {raffle.drawDate && ['draft', 'scheduled', 'open'].includes(raffle.status) && (
+                  <p className="raffle-date">Sales close: {formatDate(raffle.drawDate)}</p>
+                )}
+                {raffle.salesThreshold?.minSoldPercent > 0 && (
+                  <p className="raffle-date">
+                    Minimum sales: {raffle.salesThreshold.minSoldPercent}%
+                    {raffle.salesThreshold.action === 'extend'
+                      ? ` (extends ${raffle.salesThreshold.extendDays} days, ${raffle.salesThreshold.extensions}/${raffle.salesThreshold.maxExtensions} used)`
+                      : ` (otherwise ${raffle.salesThreshold.action === 'cancel' ? 'cancel' : 'draw among sold'})`}
+                  </p>
+                )}
+                {raffle.thresholdLog?.length > 0 && (
+                  <p className="raffle-date">
+                    Last check: {THRESHOLD_DECISION_LABELS[raffle.thresholdLog[raffle.thresholdLog.length - 1].decision]}
+                    {' '}on {formatDate(raffle.thresholdLog[raffle.thresholdLog.length - 1].at)}
+                  </p>
+                )}
+                {getStatusActions(raffle).length > 0 && (
+                  <div className="status-actions">
+                    {getStatusActions(raffle).map(action => (
+                      <button
+                        key={action.status}
+                        className={`status-button ${action.status === 'cancelled' ? 'danger' : ''}`}
+                        onClick={() => handleStatusChange(raffle, action.status)}
+                        disabled={updatingId === raffle._id}
+                      >
+                        {action.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="status-actions">
+                  <button
+                    className="status-button"
+                    onClick={() => handleDuplicate(raffle)}
+                    disabled={updatingId === raffle._id}
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    className="status-button"
+                    onClick={() => handleSaveTemplate(raffle)}
+                  >
+                    Save as Template
+                  </button>
+                  <button
+                    className="status-button"
+                    onClick={() => setImagesTarget(raffle)}
+                  >
+                    Images ({raffle.images?.length || 1})
+                  </button>
+                </div>
+                {raffle.serverSeedHash && (
+                  <p className="seed-hash" title={raffle.serverSeedHash}>
+                    Seed hash: {raffle.serverSeedHash.slice(0, 16)}…
+                  </p>
+                )}
+                {raffle.drawCommitment && (
+                  <p className="seed-hash" title={raffle.drawCommitment.poolHash}>
+                    Pool of {raffle.drawCommitment.poolSize} committed on {formatDate(raffle.drawCommitment.committedAt)},
+                    seeded by: {raffle.drawCommitment.entropySource}
+                  </p>
+                )}
+                <div className="prize-list">
+                  {getPrizes(raffle).map((prize) => (
+                    <div key={prize._id || prize.rank} className="prize-item">
+                      {prize.image && (
+                        <img src={prize.image} alt={prize.name} className="prize-thumb" />
+                      )}
+                      <div className="prize-info">
+                        <span className="prize-rank">{formatPrizeLabel(prize)}</span>
+                        <span className="prize-name">{prize.name}</span>
+                      </div>
+                      {prize.drawResult ? (
+                        <div className="draw-result">
+                          <span className="value">{formatWinningNumber(prize.drawResult, raffle.numbering)}</span>
+                          {prize.winnerName && <span className="winner-name">{prize.winnerName}</span>}
+                        </div>
+                      ) : prize.type === 'draw' && raffle.status !== 'closed' ? (
+                        <span className="prize-pending">Close sales to draw</span>
+                      ) : prize.type === 'draw' ? (
+                        <div className="draw-actions">
+                          {raffle.drawCommitment ? (
+                            <button
+                              className="draw-button"
+                              onClick={() => handleDraw(raffle, prize)}
+                              disabled={drawingId === raffle._id}
+                            >
+                              {drawingId === raffle._id ? 'Drawing...' : 'Draw'}
+                            </button>
+                          ) : (
+                            <button
+                              className="draw-button"
+                              onClick={() => handleCommitDraw(raffle)}
+                              disabled={updatingId === raffle._id}
+                              title="Publish the sold pool before the draw"
+                            >
+                              Commit Draw
+                            </button>
+                          )}
+                          <button
+                            className="draw-button secondary"
+                            onClick={() => openLotteryModal(raffle, prize)}
+                            disabled={drawingId === raffle._id}
+                          >
+                            Lottery
+                          </button>
+                        </div>
+                      ) : (
+                        <span className="prize-pending">After prize #1</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
               </div>
             </div>
           ))
         )}
       </div>
+
+      {lotteryTarget && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <h3>Draw from Lottery Result</h3>
+            <p className="description">
+              {lotteryTarget.raffle.productName} · {formatPrizeLabel(lotteryTarget.prize)}: {lotteryTarget.prize.name}
+            </p>
+            <form onSubmit={handleLotteryDraw} className="lottery-form">
+              <label htmlFor="lotteryName">Lottery</label>
+              <input
+                type="text"
+                id="lotteryName"
+                name="lotteryName"
+                placeholder="Lotería del Táchira - Triple A"
+                value={lotteryForm.lotteryName}
+                onChange={handleLotteryInputChange}
+                required
+              />
+
+              <label htmlFor="results">Official Results</label>
+              <input
+                type="text"
+                id="results"
+                name="results"
+                placeholder="123, 456"
+                value={lotteryForm.results}
+                onChange={handleLotteryInputChange}
+                required
+              />
+              <small>Separate several results with commas; they are used in order when redrawing.</small>
+
+              <label htmlFor="digits">Last Digits</label>
+              <input
+                type="number"
+                id="digits"
+                name="digits"
+                placeholder={String(Math.max(lotteryTarget.raffle.totalTickets - 1, 1)).length}
+                value={lotteryForm.digits}
+                onChange={handleLotteryInputChange}
+                min="1"
+                max="9"
+              />
+
+              <label htmlFor="fallback">If the number is not sold</label>
+              <select
+                id="fallback"
+                name="fallback"
+                value={lotteryForm.fallback}
+                onChange={handleLotteryInputChange}
+              >
+                <option value="redraw">Redraw with the next result</option>
+                <option value="next-sold">Next sold number wins</option>
+                <option value="house">House wins</option>
+              </select>
+
+              <div className="modal-actions">
+                <button
+                  type="submit"
+                  className="draw-button"
+                  disabled={drawingId === lotteryTarget.raffle._id}
+                >
+                  {drawingId === lotteryTarget.raffle._id ? 'Drawing...' : 'Draw'}
+                </button>
+                <button
+                  type="button"
+                  className="draw-button secondary"
+                  onClick={() => setLotteryTarget(null)}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {imagesTarget && (
+        <RaffleImagesModal
+          raffle={imagesTarget}
+          onClose={() => setImagesTarget(null)}
+          onSaved={(updated) => {
+            setRaffles((prevRaffles) => prevRaffles.map(item =>
+              item._id === updated._id ? { ...item, ...updated } : item
+            ));
+            setImagesTarget(null);
+          }}
+        />
+      )}
     </div>
   );
 };
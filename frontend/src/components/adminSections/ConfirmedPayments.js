@@ -50,6 +50,15 @@ const ConfirmedPayments = () => {
     }).format(amount);
   };
 
+  // Amount in the local currency at the rate locked in at checkout
+  const formatLocalAmount = ({ amount, currency }) => {
+    const formatted = new Intl.NumberFormat('es-VE', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+    return `${formatted} ${currency === 'VES' ? 'Bs' : currency}`;
+  };
+
   const filterPayments = () => {
     let filtered = [...payments];
 
@@ -85,6 +94,8 @@ const ConfirmedPayments = () => {
       filtered = filtered.filter(payment => 
         payment.fullName.toLowerCase().includes(searchTerm.toLowerCase()) ||
         payment.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        payment.paymentReference?.reference?.includes(searchTerm.toUpperCase()) ||
+        payment.paymentReference?.collectedBy?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         payment.selectedNumbers.join(', ').includes(searchTerm)
       );
     }
@@ -121,8 +132,32 @@ const ConfirmedPayments = () => {
           <div className="detail-group">
             <label>Monto:</label>
             <p>{formatCurrency(payment.totalAmountUSD)}</p>
+            {payment.exchangeRate && (
+              <>
+                <p>{formatLocalAmount(payment.exchangeRate)}</p>
+                <p className="exchange-rate-note">
+                  Tasa {payment.exchangeRate.rate} {payment.exchangeRate.currency} ({payment.exchangeRate.source}),
+                  cotizada {formatDate(payment.exchangeRate.quotedAt)}
+                  {new Date(payment.createdAt) > new Date(payment.exchangeRate.expiresAt) && ' · vencida al enviar el pago'}
+                </p>
+              </>
+            )}
           </div>
           
+          {payment.paymentReference && (
+            <div className="detail-group">
+              <label>Referencia:</label>
+              {payment.paymentReference.reference && <p className="reference-value">{payment.paymentReference.reference}</p>}
+              {payment.paymentReference.network && <p>Red: {payment.paymentReference.network}</p>}
+              {payment.paymentReference.originBank && <p>Banco de origen: {payment.paymentReference.originBank}</p>}
+              {payment.paymentReference.senderPhone && <p>Teléfono emisor: {payment.paymentReference.senderPhone}</p>}
+              {payment.paymentReference.senderName && <p>Titular emisor: {payment.paymentReference.senderName}</p>}
+              {payment.paymentReference.senderEmail && <p>Correo emisor: {payment.paymentReference.senderEmail}</p>}
+              {payment.paymentReference.collectedBy && <p>Cobrado por: {payment.paymentReference.collectedBy}</p>}
+              <p>Fecha del pago: {new Date(payment.paymentReference.paidAt).toLocaleDateString('es-ES')}</p>
+            </div>
+          )}
+
           <div className="detail-group">
             <label>Fecha de Confirmación:</label>
             <p>{formatDate(payment.updatedAt)}</p>
@@ -132,6 +167,13 @@ const ConfirmedPayments = () => {
             <label>Números Seleccionados:</label>
             <p>{payment.selectedNumbers.join(', ')}</p>
           </div>
+
+          {payment.beneficiary && (
+            <div className="detail-group">
+              <label>Regalo Para:</label>
+              <p>{payment.beneficiary.fullName} ({payment.beneficiary.idNumber})</p>
+            </div>
+          )}
           
           <div className="detail-group">
             <label>Comprobante de Pago:</label>
@@ -143,6 +185,17 @@ const ConfirmedPayments = () => {
               />
             )}
           </div>
+
+          {payment.receipt && (
+            <div className="detail-group">
+              <label>Recibo del Comprador:</label>
+              <p>
+                <a href={`http://localhost:5000${payment.receipt.pdf}`} target="_blank" rel="noopener noreferrer">PDF</a>
+                {' · '}
+                <a href={`http://localhost:5000${payment.receipt.png}`} target="_blank" rel="noopener noreferrer">Imagen</a>
+              </p>
+            </div>
+          )}
         </div>
 
         <div className="modal-actions">
@@ -166,7 +219,7 @@ const ConfirmedPayments = () => {
         <div className="search-box">
           <input
             type="text"
-            placeholder="Buscar por nombre, email o números..."
+            placeholder="Buscar por nombre, email, referencia o números..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
           />
@@ -225,7 +278,12 @@ const ConfirmedPayments = () => {
                 <tr key={payment._id}>
                   <td>{formatDate(payment.createdAt)}</td>
                   <td>{payment.fullName}</td>
-                  <td>{formatCurrency(payment.totalAmountUSD)}</td>
+                  <td>
+                    {formatCurrency(payment.totalAmountUSD)}
+                    {payment.exchangeRate && (
+                      <div className="exchange-rate-note">{formatLocalAmount(payment.exchangeRate)}</div>
+                    )}
+                  </td>
                   <td>{payment.method}</td>
                   <td>{payment.selectedNumbers.join(', ')}</td>
                   <td>
@@ -1,25 +1,54 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { toast } from 'react-hot-toast';
 import { useSocket } from '../../contexts/SocketContext';
+import { getRaffleTemplates, deleteRaffleTemplate, getPaymentMethods } from '../../services/api';
+import { formatTicketNumber } from '../../utils/ticketNumbers';
 import '../../assets/styles/adminSections/CreateRaffle.css';
 
+// Photos per raffle, cover included
+const MAX_IMAGES = 10;
+
+const initialFormData = {
+  productName: '',
+  description: '',
+  price: '',
+  totalTickets: '1000',
+  numberingStart: '1',
+  numberingPadding: '',
+  numberingPrefix: '',
+  lotteryName: '',
+  lotteryDigits: '',
+  lotteryFallback: 'redraw',
+  status: 'open',
+  startDate: '',
+  drawDate: '',
+  minSoldPercent: '',
+  thresholdAction: 'extend',
+  thresholdExtendDays: '7',
+  thresholdMaxExtensions: '1',
+  thresholdFallback: 'cancel',
+  // Ids of the accepted methods; every enabled one unless changed
+  paymentMethods: [],
+  productImage: null // Changed to null for file upload
+};
+
 const CreateRaffle = () => {
   const socket = useSocket();
   const navigate = useNavigate();
   
-  const [formData, setFormData] = useState({
-    productName: '',
-    description: '',
-    price: '',
-    totalTickets: '1000',
-    productImage: null // Changed to null for file upload
-  });
+  const [formData, setFormData] = useState(initialFormData);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [paymentMethodOptions, setPaymentMethodOptions] = useState([]);
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [imagePreview, setImagePreview] = useState(null);
+  const [prizes, setPrizes] = useState([]);
+  const [galleryImages, setGalleryImages] = useState([]);
   
   const [validation, setValidation] = useState({
     productName: true,
@@ -35,7 +64,8 @@ const CreateRaffle = () => {
       description: formData.description.length >= 10,
       price: parseFloat(formData.price) > 0,
       totalTickets: parseInt(formData.totalTickets) >= 10,
-      productImage: formData.productImage !== null
+      // A template's image is copied when no new one is uploaded
+      productImage: formData.productImage !== null || templateId !== ''
     };
 
     setValidation(newValidation);
@@ -92,6 +122,170 @@ const CreateRaffle = () => {
     }
   };
 
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const data = await getRaffleTemplates();
+        setTemplates(Array.isArray(data) ? data : []);
+      } catch (error) {
+        console.error('Error fetching raffle templates:', error);
+      }
+    };
+
+    fetchTemplates();
+  }, []);
+
+  useEffect(() => {
+    const fetchPaymentMethods = async () => {
+      try {
+        const data = await getPaymentMethods();
+        const methods = Array.isArray(data) ? data : [];
+        setPaymentMethodOptions(methods);
+        setFormData(prev => (prev.paymentMethods.length
+          ? prev
+          : { ...prev, paymentMethods: methods.map(method => method._id) }));
+      } catch (error) {
+        console.error('Error fetching payment methods:', error);
+      }
+    };
+
+    fetchPaymentMethods();
+  }, []);
+
+  // Empty form, accepting every enabled payment method
+  const blankFormData = () => ({
+    ...initialFormData,
+    paymentMethods: paymentMethodOptions.map(method => method._id)
+  });
+
+  // Pre-fill the form from a saved template; dates are always set by hand
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    setError(null);
+
+    const template = templates.find(item => item._id === id);
+    if (!template) {
+      setFormData(blankFormData());
+      setImagePreview(null);
+      setPrizes([]);
+      return;
+    }
+
+    const drawConfig = template.drawConfig || {};
+    const numbering = template.numbering || {};
+    const salesThreshold = template.salesThreshold || {};
+    setFormData({
+      ...blankFormData(),
+      productName: template.productName,
+      description: template.description,
+      price: String(template.price),
+      totalTickets: String(template.totalTickets),
+      numberingStart: String(numbering.start ?? 1),
+      numberingPadding: numbering.padding ? String(numbering.padding) : '',
+      numberingPrefix: numbering.prefix || '',
+      lotteryName: drawConfig.lotteryName || '',
+      lotteryDigits: drawConfig.digits ? String(drawConfig.digits) : '',
+      lotteryFallback: drawConfig.fallback || 'redraw',
+      minSoldPercent: salesThreshold.minSoldPercent ? String(salesThreshold.minSoldPercent) : '',
+      thresholdAction: salesThreshold.action || 'extend',
+      thresholdExtendDays: String(salesThreshold.extendDays || 7),
+      thresholdMaxExtensions: String(salesThreshold.maxExtensions || 1),
+      thresholdFallback: salesThreshold.fallbackAction || 'cancel',
+      paymentMethods: template.paymentMethods?.length
+        ? template.paymentMethods
+        : paymentMethodOptions.map(method => method._id)
+    });
+    setImagePreview(template.productImage);
+    setPrizes(template.prizes.map(prize => ({
+      name: prize.name,
+      description: prize.description || '',
+      type: prize.type,
+      offset: prize.offset !== null ? String(prize.offset) : '',
+      image: null,
+      existingImage: prize.image
+    })));
+    setValidation(prev => Object.keys(prev).reduce((acc, key) => ({ ...acc, [key]: true }), {}));
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find(item => item._id === templateId);
+    if (!template || !window.confirm(`¿Eliminar la plantilla "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      await deleteRaffleTemplate(template._id);
+      setTemplates(prev => prev.filter(item => item._id !== template._id));
+      setTemplateId('');
+      toast.success('Plantilla eliminada');
+    } catch (error) {
+      console.error('Error deleting raffle template:', error);
+      toast.error(error.response?.data?.message || 'Error al eliminar la plantilla');
+    }
+  };
+
+  const togglePaymentMethod = (method) => {
+    setFormData(prev => ({
+      ...prev,
+      paymentMethods: prev.paymentMethods.includes(method)
+        ? prev.paymentMethods.filter(item => item !== method)
+        : [...prev.paymentMethods, method]
+    }));
+    setError(null);
+  };
+
+  // Extra photos shown after the cover in the raffle gallery
+  const handleGalleryChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    const templateImages = templates.find(item => item._id === templateId)?.images?.length || 1;
+    if (files.length + templateImages > MAX_IMAGES) {
+      setError(`Una rifa puede tener como máximo ${MAX_IMAGES} fotos`);
+      e.target.value = '';
+      return;
+    }
+    if (files.some(file => !file.type.startsWith('image/') || file.size > 5 * 1024 * 1024)) {
+      setError('Todas las fotos deben ser imágenes de menos de 5MB');
+      e.target.value = '';
+      return;
+    }
+    setGalleryImages(files);
+  };
+
+  const addPrize = (type) => {
+    setPrizes(prev => [
+      ...prev,
+      { name: '', description: '', type, offset: type === 'adjacent' ? '1' : '', image: null }
+    ]);
+  };
+
+  const updatePrize = (index, field, value) => {
+    setPrizes(prev => prev.map((prize, i) => (
+      i === index ? { ...prize, [field]: value } : prize
+    )));
+    setError(null);
+  };
+
+  const removePrize = (index) => {
+    setPrizes(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // First and last ticket as buyers will see them
+  const getNumberingPreview = () => {
+    const start = parseInt(formData.numberingStart, 10);
+    const total = parseInt(formData.totalTickets, 10);
+    if (Number.isNaN(start) || !(total > 0)) return null;
+
+    const numbering = {
+      padding: parseInt(formData.numberingPadding, 10) || 0,
+      prefix: formData.numberingPrefix.trim()
+    };
+    return {
+      first: formatTicketNumber(start, numbering),
+      last: formatTicketNumber(start + total - 1, numbering)
+    };
+  };
+  const numberingPreview = getNumberingPreview();
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -102,6 +296,32 @@ const CreateRaffle = () => {
       return;
     }
 
+    if (formData.startDate && formData.drawDate &&
+        new Date(formData.drawDate) <= new Date(formData.startDate)) {
+      setError('La fecha de cierre debe ser posterior a la fecha de inicio.');
+      return;
+    }
+
+    if (formData.paymentMethods.length === 0) {
+      setError('Seleccione al menos un método de pago.');
+      return;
+    }
+
+    if (parseFloat(formData.minSoldPercent) > 0 && !formData.drawDate) {
+      setError('El mínimo de ventas necesita una fecha de cierre de ventas.');
+      return;
+    }
+
+    if (prizes.some(prize => !prize.name.trim())) {
+      setError('Todos los premios deben tener un nombre.');
+      return;
+    }
+
+    if (prizes.length > 0 && !prizes.some(prize => prize.type === 'draw')) {
+      setError('Debe haber al menos un premio principal.');
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -113,7 +333,46 @@ const CreateRaffle = () => {
       submitFormData.append('description', formData.description);
       submitFormData.append('price', formData.price);
       submitFormData.append('totalTickets', formData.totalTickets);
-      submitFormData.append('productImage', formData.productImage);
+      submitFormData.append('numberingStart', formData.numberingStart);
+      submitFormData.append('numberingPadding', formData.numberingPadding);
+      submitFormData.append('numberingPrefix', formData.numberingPrefix);
+      submitFormData.append('lotteryName', formData.lotteryName);
+      submitFormData.append('lotteryDigits', formData.lotteryDigits);
+      submitFormData.append('lotteryFallback', formData.lotteryFallback);
+      submitFormData.append('status', formData.status);
+      submitFormData.append('minSoldPercent', formData.minSoldPercent);
+      submitFormData.append('thresholdAction', formData.thresholdAction);
+      submitFormData.append('thresholdExtendDays', formData.thresholdExtendDays);
+      submitFormData.append('thresholdMaxExtensions', formData.thresholdMaxExtensions);
+      submitFormData.append('thresholdFallback', formData.thresholdFallback);
+      submitFormData.append('paymentMethods', JSON.stringify(formData.paymentMethods));
+      // datetime-local values are local time; send them as ISO dates
+      if (formData.startDate) {
+        submitFormData.append('startDate', new Date(formData.startDate).toISOString());
+      }
+      if (formData.drawDate) {
+        submitFormData.append('drawDate', new Date(formData.drawDate).toISOString());
+      }
+      if (formData.productImage) {
+        submitFormData.append('productImage', formData.productImage);
+      } else if (templateId) {
+        submitFormData.append('templateId', templateId);
+      }
+      galleryImages.forEach(image => submitFormData.append('images', image));
+
+      // Prize tiers go as JSON; each image is matched by its position in prizeImages
+      const prizeImages = prizes.filter(prize => prize.image).map(prize => prize.image);
+      if (prizes.length > 0) {
+        submitFormData.append('prizes', JSON.stringify(prizes.map(prize => ({
+          name: prize.name,
+          description: prize.description,
+          type: prize.type,
+          offset: prize.offset,
+          imageIndex: prize.image ? prizeImages.indexOf(prize.image) : null,
+          image: prize.image ? null : prize.existingImage || null
+        }))));
+        prizeImages.forEach(image => submitFormData.append('prizeImages', image));
+      }
 
       const response = await axios.post(
         'http://localhost:5000/api/raffle/create',
@@ -129,14 +388,11 @@ const CreateRaffle = () => {
       socket.emit('raffle_created', response.data);
 
       setSuccess(true);
-      setFormData({
-        productName: '',
-        description: '',
-        price: '',
-        totalTickets: '1000',
-        productImage: null
-      });
+      setFormData(blankFormData());
+      setTemplateId('');
       setImagePreview(null);
+      setPrizes([]);
+      setGalleryImages([]);
 
       setTimeout(() => {
         navigate('/admin/active-raffles');
@@ -163,6 +419,33 @@ const CreateRaffle = () => {
 
       <div className="form-container">
         <form onSubmit={handleSubmit} className="raffle-form">
+          {templates.length > 0 && (
+            <div className="form-group template-picker">
+              <label htmlFor="template">Usar Plantilla</label>
+              <div className="template-picker-row">
+                <select
+                  id="template"
+                  value={templateId}
+                  onChange={(e) => applyTemplate(e.target.value)}
+                >
+                  <option value="">Rifa nueva (sin plantilla)</option>
+                  {templates.map(template => (
+                    <option key={template._id} value={template._id}>{template.name}</option>
+                  ))}
+                </select>
+                {templateId && (
+                  <button
+                    type="button"
+                    className="remove-prize-button"
+                    onClick={handleDeleteTemplate}
+                  >
+                    Eliminar
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="productName">Nombre del Producto</label>
             <input
@@ -235,6 +518,204 @@ const CreateRaffle = () => {
             </div>
           </div>
 
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="numberingStart">Primer Número</label>
+              <input
+                type="number"
+                id="numberingStart"
+                name="numberingStart"
+                value={formData.numberingStart}
+                onChange={handleInputChange}
+                min="0"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="numberingPadding">Cifras (relleno con ceros)</label>
+              <input
+                type="number"
+                id="numberingPadding"
+                name="numberingPadding"
+                placeholder="Sin relleno"
+                value={formData.numberingPadding}
+                onChange={handleInputChange}
+                min="0"
+                max="9"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="numberingPrefix">Prefijo de Serie (opcional)</label>
+              <input
+                type="text"
+                id="numberingPrefix"
+                name="numberingPrefix"
+                placeholder="Ej: A-"
+                value={formData.numberingPrefix}
+                onChange={handleInputChange}
+                maxLength="10"
+              />
+            </div>
+          </div>
+          {numberingPreview && (
+            <p className="field-hint">
+              Los tickets irán del {numberingPreview.first} al {numberingPreview.last}
+            </p>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="startDate">Inicio de Ventas (opcional)</label>
+              <input
+                type="datetime-local"
+                id="startDate"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleInputChange}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="drawDate">Cierre de Ventas (opcional)</label>
+              <input
+                type="datetime-local"
+                id="drawDate"
+                name="drawDate"
+                value={formData.drawDate}
+                onChange={handleInputChange}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="status">Publicación</label>
+            <select
+              id="status"
+              name="status"
+              value={formData.status}
+              onChange={handleInputChange}
+            >
+              <option value="open">Publicar ahora o en la fecha de inicio</option>
+              <option value="draft">Guardar como borrador</option>
+            </select>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="minSoldPercent">Mínimo de Ventas al Cierre (%)</label>
+              <input
+                type="number"
+                id="minSoldPercent"
+                name="minSoldPercent"
+                placeholder="0 = sin mínimo"
+                value={formData.minSoldPercent}
+                onChange={handleInputChange}
+                min="0"
+                max="100"
+                step="any"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="thresholdAction">Si no se Alcanza el Mínimo</label>
+              <select
+                id="thresholdAction"
+                name="thresholdAction"
+                value={formData.thresholdAction}
+                onChange={handleInputChange}
+                disabled={!(parseFloat(formData.minSoldPercent) > 0)}
+              >
+                <option value="extend">Extender el cierre de ventas</option>
+                <option value="draw-sold">Sortear solo entre los números vendidos</option>
+                <option value="cancel">Cancelar la rifa y reembolsar</option>
+              </select>
+            </div>
+          </div>
+
+          {parseFloat(formData.minSoldPercent) > 0 && formData.thresholdAction === 'extend' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="thresholdExtendDays">Días de Extensión</label>
+                <input
+                  type="number"
+                  id="thresholdExtendDays"
+                  name="thresholdExtendDays"
+                  value={formData.thresholdExtendDays}
+                  onChange={handleInputChange}
+                  min="1"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="thresholdMaxExtensions">Máximo de Extensiones</label>
+                <input
+                  type="number"
+                  id="thresholdMaxExtensions"
+                  name="thresholdMaxExtensions"
+                  value={formData.thresholdMaxExtensions}
+                  onChange={handleInputChange}
+                  min="1"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="thresholdFallback">Después de la Última Extensión</label>
+                <select
+                  id="thresholdFallback"
+                  name="thresholdFallback"
+                  value={formData.thresholdFallback}
+                  onChange={handleInputChange}
+                >
+                  <option value="cancel">Cancelar la rifa y reembolsar</option>
+                  <option value="draw-sold">Sortear entre los números vendidos</option>
+                </select>
+              </div>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="lotteryName">Lotería de Referencia (opcional)</label>
+            <input
+              type="text"
+              id="lotteryName"
+              name="lotteryName"
+              placeholder="Ej: Lotería del Táchira - Triple A"
+              value={formData.lotteryName}
+              onChange={handleInputChange}
+            />
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="lotteryDigits">Últimas Cifras del Resultado</label>
+              <input
+                type="number"
+                id="lotteryDigits"
+                name="lotteryDigits"
+                placeholder={formData.numberingPadding || String(Math.max(parseInt(formData.totalTickets) - 1 || 1, 1)).length}
+                value={formData.lotteryDigits}
+                onChange={handleInputChange}
+                min="1"
+                max="9"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="lotteryFallback">Si el Número no fue Vendido</label>
+              <select
+                id="lotteryFallback"
+                name="lotteryFallback"
+                value={formData.lotteryFallback}
+                onChange={handleInputChange}
+              >
+                <option value="redraw">Repetir con el siguiente resultado</option>
+                <option value="next-sold">Gana el siguiente número vendido</option>
+                <option value="house">Gana la casa</option>
+              </select>
+            </div>
+          </div>
+
           <div className="form-group">
             <label htmlFor="productImage">Imagen del Producto</label>
             <input
@@ -244,7 +725,7 @@ const CreateRaffle = () => {
               accept="image/*"
               onChange={handleImageChange}
               className={!validation.productImage ? 'invalid' : ''}
-              required
+              required={!templateId}
             />
             {!validation.productImage && (
               <span className="error-text">{errorMessages.productImage}</span>
@@ -264,6 +745,112 @@ const CreateRaffle = () => {
             </div>
           )}
 
+          <div className="form-group">
+            <label htmlFor="galleryImages">Fotos Adicionales (opcional)</label>
+            <input
+              type="file"
+              id="galleryImages"
+              name="galleryImages"
+              accept="image/*"
+              multiple
+              onChange={handleGalleryChange}
+            />
+            <p className="field-hint">
+              Hasta {MAX_IMAGES - 1} fotos más, mostradas después de la imagen principal.
+              {templateId && ' Las fotos de la plantilla se copian automáticamente.'}
+            </p>
+            {galleryImages.length > 0 && (
+              <div className="gallery-previews">
+                {galleryImages.map(image => (
+                  <img key={image.name} src={URL.createObjectURL(image)} alt={image.name} />
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Métodos de Pago Aceptados</label>
+            <div className="payment-method-options">
+              {paymentMethodOptions.map(method => (
+                <label key={method._id} className="payment-method-option">
+                  <input
+                    type="checkbox"
+                    checked={formData.paymentMethods.includes(method._id)}
+                    onChange={() => togglePaymentMethod(method._id)}
+                  />
+                  {method.name} ({method.currency})
+                </label>
+              ))}
+              {paymentMethodOptions.length === 0 && (
+                <p className="field-hint">No hay métodos de pago activos. Créalos en Métodos de Pago.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="form-group prizes-section">
+            <label>Premios</label>
+            <p className="field-hint">
+              Si no agrega premios, el producto será el único premio. Los premios de consolación
+              son para los números a cierta distancia del número ganador del 1er premio.
+            </p>
+
+            {prizes.map((prize, index) => (
+              <div key={index} className="prize-editor">
+                <div className="prize-editor-header">
+                  <span>
+                    {prize.type === 'draw'
+                      ? `${prizes.filter((p, i) => p.type === 'draw' && i <= index).length}° Premio`
+                      : 'Premio de Consolación'}
+                  </span>
+                  <button
+                    type="button"
+                    className="remove-prize-button"
+                    onClick={() => removePrize(index)}
+                  >
+                    Quitar
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  placeholder="Nombre del premio"
+                  value={prize.name}
+                  onChange={(e) => updatePrize(index, 'name', e.target.value)}
+                />
+                <input
+                  type="text"
+                  placeholder="Descripción (opcional)"
+                  value={prize.description}
+                  onChange={(e) => updatePrize(index, 'description', e.target.value)}
+                />
+                {prize.type === 'adjacent' && (
+                  <input
+                    type="number"
+                    placeholder="Distancia al número ganador (ej: -1 o 1)"
+                    value={prize.offset}
+                    onChange={(e) => updatePrize(index, 'offset', e.target.value)}
+                  />
+                )}
+                {prize.existingImage && !prize.image && (
+                  <img src={prize.existingImage} alt={prize.name} className="prize-image-preview" />
+                )}
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => updatePrize(index, 'image', e.target.files[0] || null)}
+                />
+              </div>
+            ))}
+
+            <div className="prize-buttons">
+              <button type="button" className="add-prize-button" onClick={() => addPrize('draw')}>
+                + Premio Principal
+              </button>
+              <button type="button" className="add-prize-button" onClick={() => addPrize('adjacent')}>
+                + Premio de Consolación
+              </button>
+            </div>
+          </div>
+
           <button 
             type="submit" 
             className="submit-button"
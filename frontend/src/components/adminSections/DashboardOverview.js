@@ -52,7 +52,7 @@ const DashboardOverview = () => {
 
       // Fetch active raffles
       const rafflesResponse = await axios.get('http://localhost:5000/api/raffle/all', { headers });
-      const activeRaffles = rafflesResponse.data.filter(raffle => raffle.active);
+      const activeRaffles = rafflesResponse.data.filter(raffle => raffle.status === 'open');
       console.log('Active raffles:', activeRaffles);
 
       // Calculate growth percentages
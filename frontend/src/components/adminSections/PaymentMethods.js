@@ -0,0 +1,476 @@
+// src/components/adminSections/PaymentMethods.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { Pencil, Trash2, Plus, X } from 'lucide-react';
+import {
+  getAllPaymentMethods,
+  createPaymentMethod,
+  updatePaymentMethod,
+  deletePaymentMethod
+} from '../../services/api';
+import { USDT_NETWORKS } from '../../utils/paymentReferences';
+import '../../assets/styles/adminSections/PendingPayments.css';
+import '../../assets/styles/adminSections/RefundsQueue.css';
+import '../../assets/styles/adminSections/PaymentMethods.css';
+
+// Kinds of method; the kind decides which transfer details buyers must enter
+const METHOD_TYPES = [
+  { value: 'pagomovil', label: 'Pago Móvil' },
+  { value: 'bank_transfer', label: 'Transferencia Bancaria' },
+  { value: 'zelle', label: 'Zelle' },
+  { value: 'paypal', label: 'PayPal' },
+  { value: 'binance_pay', label: 'Binance Pay' },
+  { value: 'usdt', label: 'USDT (billetera)' },
+  { value: 'cash', label: 'Efectivo con vendedor' }
+];
+
+const CURRENCIES = ['USD', 'VES', 'USDT'];
+
+const emptyForm = {
+  name: '',
+  type: 'pagomovil',
+  currency: 'VES',
+  accountFields: [{ label: '', value: '', copyable: true }],
+  // Only used by USDT and cash methods respectively
+  wallets: [],
+  sellers: [],
+  instructions: '',
+  sortOrder: 0,
+  enabled: true,
+  qrImage: null,
+  currentQrImage: null,
+  removeQrImage: false
+};
+
+const typeLabel = (type) => METHOD_TYPES.find(option => option.value === type)?.label || type;
+
+// Where buyers send their money: account details, QR codes and instructions per method
+const PaymentMethods = () => {
+  const [methods, setMethods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  // null while closed, 'new' for a new method or the method being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchMethods = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getAllPaymentMethods();
+      setMethods(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching payment methods:', error);
+      setError('Error al cargar los métodos de pago');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMethods();
+  }, [fetchMethods]);
+
+  const openForm = (method) => {
+    setEditing(method || 'new');
+    setForm(method ? {
+      ...emptyForm,
+      name: method.name,
+      type: method.type,
+      currency: method.currency,
+      accountFields: method.accountFields.length ? method.accountFields : emptyForm.accountFields,
+      wallets: method.wallets,
+      sellers: method.sellers,
+      instructions: method.instructions,
+      sortOrder: method.sortOrder,
+      enabled: method.enabled,
+      currentQrImage: method.qrImage
+    } : emptyForm);
+  };
+
+  const closeForm = () => {
+    setEditing(null);
+    setForm(emptyForm);
+  };
+
+  const updateAccountField = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      accountFields: prev.accountFields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    }));
+  };
+
+  const updateListItem = (list, index, value) => {
+    setForm(prev => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => (i === index ? value : item))
+    }));
+  };
+
+  const removeListItem = (list, index) => {
+    setForm(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('El nombre es obligatorio');
+      return;
+    }
+
+    const data = new FormData();
+    data.append('name', form.name);
+    data.append('type', form.type);
+    data.append('currency', form.currency);
+    // Rows left empty are just not saved
+    data.append('accountFields', JSON.stringify(
+      form.accountFields.filter(field => field.label.trim() && field.value.trim())
+    ));
+    data.append('wallets', JSON.stringify(
+      form.type === 'usdt' ? form.wallets.filter(wallet => wallet.address.trim()) : []
+    ));
+    data.append('sellers', JSON.stringify(
+      form.type === 'cash' ? form.sellers.filter(seller => seller.trim()) : []
+    ));
+    data.append('instructions', form.instructions);
+    data.append('sortOrder', form.sortOrder);
+    data.append('enabled', form.enabled);
+    if (form.qrImage) {
+      data.append('qrImage', form.qrImage);
+    } else if (form.removeQrImage) {
+      data.append('removeQrImage', true);
+    }
+
+    try {
+      setSubmitting(true);
+      if (editing === 'new') {
+        await createPaymentMethod(data);
+        toast.success('Método de pago creado');
+      } else {
+        await updatePaymentMethod(editing._id, data);
+        toast.success('Método de pago actualizado');
+      }
+      closeForm();
+      fetchMethods();
+    } catch (error) {
+      console.error('Error saving payment method:', error);
+      toast.error(error.response?.data?.message || 'Error al guardar el método de pago');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggle = async (method) => {
+    const data = new FormData();
+    data.append('enabled', !method.enabled);
+
+    try {
+      const { paymentMethod } = await updatePaymentMethod(method._id, data);
+      setMethods(prev => prev.map(item => (item._id === method._id ? paymentMethod : item)));
+    } catch (error) {
+      console.error('Error updating payment method:', error);
+      toast.error(error.response?.data?.message || 'Error al actualizar el método de pago');
+    }
+  };
+
+  const handleDelete = async (method) => {
+    if (!window.confirm(`¿Eliminar el método de pago "${method.name}"?`)) return;
+
+    try {
+      await deletePaymentMethod(method._id);
+      setMethods(prev => prev.filter(item => item._id !== method._id));
+      toast.success('Método de pago eliminado');
+    } catch (error) {
+      console.error('Error deleting payment method:', error);
+      toast.error(error.response?.status === 409
+        ? 'Hay rifas o plantillas que ofrecen este método; desactívalo en su lugar'
+        : 'Error al eliminar el método de pago');
+    }
+  };
+
+  return (
+    <div className="pending-payments payment-methods-admin">
+      <div className="payment-methods-header">
+        <div>
+          <h2 className="page-title">Métodos de Pago</h2>
+          <p className="page-description">Cuentas a las que pagan los compradores; cada rifa elige cuáles ofrece</p>
+        </div>
+        <button className="confirm-button" onClick={() => openForm(null)}>
+          <Plus size={16} /> Nuevo Método
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Cargando métodos de pago...</div>
+      ) : methods.length === 0 ? (
+        <div className="no-payments">
+          <p>Todavía no hay métodos de pago</p>
+        </div>
+      ) : (
+        <div className="payments-table-container">
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Nombre</th>
+                <th>Tipo</th>
+                <th>Moneda</th>
+                <th>Datos de la Cuenta</th>
+                <th>Activo</th>
+                <th>Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {methods.map((method) => (
+                <tr key={method._id} className={method.enabled ? '' : 'disabled-method'}>
+                  <td>{method.name}</td>
+                  <td>{typeLabel(method.type)}</td>
+                  <td>{method.currency}</td>
+                  <td>
+                    {method.accountFields.map(field => (
+                      <div key={field.label}>{field.label}: {field.value}</div>
+                    ))}
+                    {method.wallets.map(wallet => (
+                      <div key={wallet.network}>{wallet.network}: {wallet.address}</div>
+                    ))}
+                    {method.sellers.length > 0 && <div>Vendedores: {method.sellers.join(', ')}</div>}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={method.enabled}
+                      onChange={() => handleToggle(method)}
+                      title={method.enabled ? 'Desactivar' : 'Activar'}
+                    />
+                  </td>
+                  <td className="action-buttons">
+                    <button className="view-button" onClick={() => openForm(method)} title="Editar">
+                      <Pencil size={16} />
+                    </button>
+                    <button className="view-button" onClick={() => handleDelete(method)} title="Eliminar">
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editing && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <h3>{editing === 'new' ? 'Nuevo Método de Pago' : `Editar ${editing.name}`}</h3>
+
+            <form className="refund-form" onSubmit={handleSubmit}>
+              <label>
+                Nombre
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Ej. Pago Móvil Banesco"
+                />
+              </label>
+
+              <div className="payment-method-row">
+                <label>
+                  Tipo
+                  <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                    {METHOD_TYPES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Moneda
+                  <select value={form.currency} onChange={(e) => setForm({ ...form, currency: e.target.value })}>
+                    {CURRENCIES.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Orden
+                  <input
+                    type="number"
+                    value={form.sortOrder}
+                    onChange={(e) => setForm({ ...form, sortOrder: e.target.value })}
+                  />
+                </label>
+              </div>
+
+              <fieldset className="account-fields">
+                <legend>Datos de la Cuenta</legend>
+                {form.accountFields.map((field, index) => (
+                  <div className="account-field" key={index}>
+                    <input
+                      type="text"
+                      value={field.label}
+                      onChange={(e) => updateAccountField(index, { label: e.target.value })}
+                      placeholder="Etiqueta (Ej. Teléfono)"
+                    />
+                    <input
+                      type="text"
+                      value={field.value}
+                      onChange={(e) => updateAccountField(index, { value: e.target.value })}
+                      placeholder="Valor"
+                    />
+                    <label className="inline-check" title="Mostrar botón para copiar">
+                      <input
+                        type="checkbox"
+                        checked={field.copyable}
+                        onChange={(e) => updateAccountField(index, { copyable: e.target.checked })}
+                      />
+                      Copiable
+                    </label>
+                    <button
+                      type="button"
+                      className="view-button"
+                      onClick={() => setForm(prev => ({
+                        ...prev,
+                        accountFields: prev.accountFields.filter((_, i) => i !== index)
+                      }))}
+                      title="Quitar"
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="cancel-button"
+                  onClick={() => setForm(prev => ({
+                    ...prev,
+                    accountFields: [...prev.accountFields, { label: '', value: '', copyable: true }]
+                  }))}
+                >
+                  Agregar dato
+                </button>
+              </fieldset>
+
+              {form.type === 'usdt' && (
+                <fieldset className="account-fields">
+                  <legend>Billeteras USDT</legend>
+                  {form.wallets.map((wallet, index) => (
+                    <div className="account-field wallet-field" key={index}>
+                      <select
+                        value={wallet.network}
+                        onChange={(e) => updateListItem('wallets', index, { ...wallet, network: e.target.value })}
+                      >
+                        {USDT_NETWORKS.map(network => (
+                          <option key={network} value={network}>{network}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={wallet.address}
+                        onChange={(e) => updateListItem('wallets', index, { ...wallet, address: e.target.value })}
+                        placeholder="Dirección de la billetera"
+                      />
+                      <button type="button" className="view-button" onClick={() => removeListItem('wallets', index)} title="Quitar">
+                        <X size={16} />
+                      </button>
+                    </div>
+                  ))}
+                  {form.wallets.length < USDT_NETWORKS.length && (
+                    <button
+                      type="button"
+                      className="cancel-button"
+                      onClick={() => setForm(prev => ({
+                        ...prev,
+                        wallets: [
+                          ...prev.wallets,
+                          { network: USDT_NETWORKS.find(network => !prev.wallets.some(wallet => wallet.network === network)), address: '' }
+                        ]
+                      }))}
+                    >
+                      Agregar billetera
+                    </button>
+                  )}
+                  <p className="fieldset-hint">El código QR de cada billetera se genera a partir de su dirección</p>
+                </fieldset>
+              )}
+
+              {form.type === 'cash' && (
+                <fieldset className="account-fields">
+                  <legend>Vendedores que cobran</legend>
+                  {form.sellers.map((seller, index) => (
+                    <div className="account-field seller-field" key={index}>
+                      <input
+                        type="text"
+                        value={seller}
+                        onChange={(e) => updateListItem('sellers', index, e.target.value)}
+                        placeholder="Nombre del vendedor"
+                      />
+                      <button type="button" className="view-button" onClick={() => removeListItem('sellers', index)} title="Quitar">
+                        <X size={16} />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    className="cancel-button"
+                    onClick={() => setForm(prev => ({ ...prev, sellers: [...prev.sellers, ''] }))}
+                  >
+                    Agregar vendedor
+                  </button>
+                </fieldset>
+              )}
+
+              <label>
+                Instrucciones para el comprador
+                <textarea
+                  rows="3"
+                  value={form.instructions}
+                  onChange={(e) => setForm({ ...form, instructions: e.target.value })}
+                />
+              </label>
+
+              <label>
+                Código QR (opcional)
+                {form.currentQrImage && !form.removeQrImage && !form.qrImage && (
+                  <span className="qr-preview">
+                    <img src={form.currentQrImage} alt={`QR de ${form.name}`} />
+                    <button type="button" className="cancel-button" onClick={() => setForm({ ...form, removeQrImage: true })}>
+                      Quitar QR
+                    </button>
+                  </span>
+                )}
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => setForm({ ...form, qrImage: e.target.files[0] || null })}
+                />
+              </label>
+
+              <label className="inline-check">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                />
+                Activo
+              </label>
+
+              <div className="modal-actions">
+                <button type="submit" className="confirm-button" disabled={submitting}>
+                  {submitting ? 'Guardando...' : 'Guardar'}
+                </button>
+                <button type="button" className="cancel-button" onClick={closeForm} disabled={submitting}>
+                  Cancelar
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentMethods;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { useSocket } from '../../contexts/SocketContext'; // Updated to use the correct context
 import { Eye } from 'lucide-react';
+import { formatTicketNumbers } from '../../utils/ticketNumbers';
 import '../../assets/styles/adminSections/PendingPayments.css';
 
 const PendingPayments = () => {
@@ -104,6 +105,15 @@ const PendingPayments = () => {
     }).format(amount);
   };
 
+  // Amount in the local currency at the rate locked in at checkout
+  const formatLocalAmount = ({ amount, currency }) => {
+    const formatted = new Intl.NumberFormat('es-VE', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+    return `${formatted} ${currency === 'VES' ? 'Bs' : currency}`;
+  };
+
   // Payment details modal
   const PaymentDetailsModal = ({ payment, onClose }) => (
     <div className="modal-overlay">
@@ -111,6 +121,13 @@ const PendingPayments = () => {
         <h3>Detalles del Pago</h3>
 
         <div className="payment-details">
+          {payment.raffle?.productName && (
+            <div className="detail-group">
+              <label>Rifa:</label>
+              <p>{payment.raffle.productName}</p>
+            </div>
+          )}
+
           <div className="detail-group">
             <label>Cliente:</label>
             <p>{payment.fullName}</p>
@@ -134,13 +151,70 @@ const PendingPayments = () => {
           <div className="detail-group">
             <label>Monto:</label>
             <p>{formatCurrency(payment.totalAmountUSD)}</p>
+            {payment.exchangeRate && (
+              <>
+                <p>{formatLocalAmount(payment.exchangeRate)}</p>
+                <p className="exchange-rate-note">
+                  Tasa {payment.exchangeRate.rate} {payment.exchangeRate.currency} ({payment.exchangeRate.source}),
+                  cotizada {formatDate(payment.exchangeRate.quotedAt)}
+                  {new Date(payment.createdAt) > new Date(payment.exchangeRate.expiresAt) && ' · vencida al enviar el pago'}
+                </p>
+              </>
+            )}
           </div>
 
+          {payment.paymentReference && (
+            <div className="detail-group">
+              <label>Referencia:</label>
+              {payment.paymentReference.reference && <p className="reference-value">{payment.paymentReference.reference}</p>}
+              {payment.paymentReference.network && <p>Red: {payment.paymentReference.network}</p>}
+              {payment.paymentReference.originBank && <p>Banco de origen: {payment.paymentReference.originBank}</p>}
+              {payment.paymentReference.senderPhone && <p>Teléfono emisor: {payment.paymentReference.senderPhone}</p>}
+              {payment.paymentReference.senderName && <p>Titular emisor: {payment.paymentReference.senderName}</p>}
+              {payment.paymentReference.senderEmail && <p>Correo emisor: {payment.paymentReference.senderEmail}</p>}
+              {payment.paymentReference.collectedBy && <p>Cobrado por: {payment.paymentReference.collectedBy}</p>}
+              <p>Fecha del pago: {new Date(payment.paymentReference.paidAt).toLocaleDateString('es-ES')}</p>
+            </div>
+          )}
+
+          {payment.duplicateReferenceOf?.length > 0 && (
+            <div className="detail-group duplicate-reference-warning">
+              <label>Referencia ya usada en:</label>
+              {payment.duplicateReferenceOf.map((other) => (
+                <p key={other._id}>
+                  {other.fullName} ({other.email}) · {formatDate(other.createdAt)} · {other.status}
+                </p>
+              ))}
+            </div>
+          )}
+
           <div className="detail-group">
             <label>Números Seleccionados:</label>
-            <p>{payment.selectedNumbers.join(', ')}</p>
+            <p>{formatTicketNumbers(payment.selectedNumbers, payment.raffle?.numbering)}</p>
           </div>
 
+          {payment.beneficiary && (
+            <div className="detail-group">
+              <label>Regalo Para:</label>
+              <p>{payment.beneficiary.fullName} ({payment.beneficiary.idNumber})</p>
+            </div>
+          )}
+
+          {payment.similarProofs?.some((match) => match.payment) && (
+            <div className="detail-group duplicate-reference-warning">
+              <label>Comprobante parecido a pagos anteriores:</label>
+              {payment.similarProofs.filter((match) => match.payment).map(({ payment: other, distance }) => (
+                <p key={other._id}>
+                  <a href={`http://localhost:5000${other.proofOfPayment}`} target="_blank" rel="noopener noreferrer">
+                    {other.fullName} ({other.email})
+                  </a>
+                  {' · '}{formatDate(other.createdAt)} · {other.status}
+                  {' · '}{distance === 0 ? 'idéntico' : `${Math.round((1 - distance / 64) * 100)}% similar`}
+                </p>
+              ))}
+            </div>
+          )}
+
           <div className="detail-group">
             <label>Comprobante de Pago:</label>
             {payment.proofOfPayment && (
@@ -218,10 +292,27 @@ const PendingPayments = () => {
               {payments.map((payment) => (
                 <tr key={payment._id}>
                   <td>{payment.fullName}</td>
-                  <td>{formatCurrency(payment.totalAmountUSD)}</td>
+                  <td>
+                    {formatCurrency(payment.totalAmountUSD)}
+                    {payment.exchangeRate && (
+                      <div className="exchange-rate-note">{formatLocalAmount(payment.exchangeRate)}</div>
+                    )}
+                  </td>
                   <td>{formatDate(payment.createdAt)}</td>
-                  <td>{payment.selectedNumbers.join(', ')}</td>
-                  <td>{payment.method}</td>
+                  <td>{formatTicketNumbers(payment.selectedNumbers, payment.raffle?.numbering)}</td>
+                  <td>
+                    {payment.method}
+                    {payment.duplicateReferenceOf?.length > 0 && (
+                      <span className="duplicate-reference-badge" title="La referencia ya se usó en otro pago">
+                        Ref. repetida
+                      </span>
+                    )}
+                    {payment.similarProofs?.some((match) => match.payment) && (
+                      <span className="duplicate-reference-badge" title="El comprobante se parece al de otro pago">
+                        Comprobante repetido
+                      </span>
+                    )}
+                  </td>
                   <td className="action-buttons">
                     <button
                       className="view-button"
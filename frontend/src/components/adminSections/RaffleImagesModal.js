@@ -0,0 +1,130 @@
+// src/components/adminSections/RaffleImagesModal.js
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { ArrowLeft, ArrowRight, Star, Trash2 } from 'lucide-react';
+import { updateRaffleImages } from '../../services/api';
+
+const MAX_IMAGES = 10;
+
+// Manage a raffle's photo gallery: order, cover, removals and new uploads
+const RaffleImagesModal = ({ raffle, onClose, onSaved }) => {
+  const [images, setImages] = useState(
+    raffle.images?.length ? raffle.images : [raffle.productImage]
+  );
+  const [cover, setCover] = useState(raffle.productImage);
+  const [removed, setRemoved] = useState([]);
+  const [newFiles, setNewFiles] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const moveImage = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= images.length) return;
+
+    setImages(prev => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeImage = (image) => {
+    const remaining = images.filter(item => item !== image);
+    if (remaining.length + newFiles.length === 0) {
+      toast.error('A raffle needs at least one image');
+      return;
+    }
+
+    setImages(remaining);
+    setRemoved(prev => [...prev, image]);
+    if (cover === image) {
+      setCover(remaining[0] || null);
+    }
+  };
+
+  const handleFilesChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (images.length + files.length > MAX_IMAGES) {
+      toast.error(`A raffle can have at most ${MAX_IMAGES} images`);
+      e.target.value = '';
+      return;
+    }
+    setNewFiles(files);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const data = new FormData();
+      data.append('imageOrder', JSON.stringify(images));
+      if (removed.length > 0) {
+        data.append('removeImages', JSON.stringify(removed));
+      }
+      if (cover) {
+        data.append('coverImage', cover);
+      }
+      newFiles.forEach(file => data.append('images', file));
+
+      const result = await updateRaffleImages(raffle._id, data);
+      toast.success('Images updated');
+      onSaved(result.raffle);
+    } catch (error) {
+      console.error('Error updating raffle images:', error);
+      toast.error(error.response?.data?.message || 'Error updating images');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content images-modal">
+        <h3>Images</h3>
+        <p className="description">{raffle.productName}</p>
+
+        <div className="images-grid">
+          {images.map((image, index) => (
+            <div key={image} className={`image-tile ${image === cover ? 'cover' : ''}`}>
+              <img src={image} alt={`${raffle.productName} ${index + 1}`} />
+              {image === cover && <span className="cover-label">Cover</span>}
+              <div className="image-tile-actions">
+                <button type="button" onClick={() => moveImage(index, -1)} disabled={index === 0} title="Move left">
+                  <ArrowLeft size={14} />
+                </button>
+                <button type="button" onClick={() => setCover(image)} disabled={image === cover} title="Make cover">
+                  <Star size={14} />
+                </button>
+                <button type="button" onClick={() => removeImage(image)} title="Remove">
+                  <Trash2 size={14} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, 1)}
+                  disabled={index === images.length - 1}
+                  title="Move right"
+                >
+                  <ArrowRight size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <label className="images-upload">
+          Add photos (added after the current ones)
+          <input type="file" accept="image/*" multiple onChange={handleFilesChange} />
+        </label>
+
+        <div className="modal-actions">
+          <button className="draw-button" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button className="draw-button secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RaffleImagesModal;
@@ -0,0 +1,334 @@
+// src/components/adminSections/RefundsQueue.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { useSocket } from '../../contexts/SocketContext';
+import { getRefunds, completeRefund } from '../../services/api';
+import { Eye } from 'lucide-react';
+import { formatTicketNumbers } from '../../utils/ticketNumbers';
+import '../../assets/styles/adminSections/PendingPayments.css';
+import '../../assets/styles/adminSections/RefundsQueue.css';
+
+const emptyRefundForm = { proofOfRefund: null, reference: '', note: '' };
+
+const RefundsQueue = () => {
+  const socket = useSocket();
+  const [payments, setPayments] = useState([]);
+  const [filter, setFilter] = useState('RefundPending');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedPayment, setSelectedPayment] = useState(null);
+  const [refundForm, setRefundForm] = useState(emptyRefundForm);
+
+  const fetchRefunds = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getRefunds(filter);
+      setPayments(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching refunds:', error);
+      setError('Error al cargar los reembolsos');
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchRefunds();
+  }, [fetchRefunds]);
+
+  useEffect(() => {
+    // A cancelled raffle adds a batch of refunds to the queue
+    const handleRefundsQueued = (data) => {
+      toast(`${data.count} reembolso(s) nuevos en la cola`);
+      if (filter === 'RefundPending') fetchRefunds();
+    };
+
+    const handlePaymentRefunded = (data) => {
+      if (filter === 'RefundPending') {
+        setPayments(prev => prev.filter(payment => payment._id !== data.paymentId));
+      } else {
+        fetchRefunds();
+      }
+    };
+
+    socket.on('refunds_queued', handleRefundsQueued);
+    socket.on('payment_refunded', handlePaymentRefunded);
+
+    return () => {
+      socket.off('refunds_queued', handleRefundsQueued);
+      socket.off('payment_refunded', handlePaymentRefunded);
+    };
+  }, [socket, filter, fetchRefunds]);
+
+  const openPayment = (payment) => {
+    setSelectedPayment(payment);
+    setRefundForm(emptyRefundForm);
+  };
+
+  const closeModal = () => {
+    setSelectedPayment(null);
+    setRefundForm(emptyRefundForm);
+  };
+
+  const handleCompleteRefund = async (e) => {
+    e.preventDefault();
+
+    if (!refundForm.proofOfRefund) {
+      toast.error('Adjunta el comprobante del reembolso');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const data = new FormData();
+      data.append('proofOfRefund', refundForm.proofOfRefund);
+      data.append('reference', refundForm.reference);
+      data.append('note', refundForm.note);
+
+      await completeRefund(selectedPayment._id, data);
+      setPayments(prev => prev.filter(payment => payment._id !== selectedPayment._id));
+      toast.success('Reembolso registrado exitosamente');
+      closeModal();
+    } catch (error) {
+      console.error('Error completing refund:', error);
+      toast.error(error.response?.data?.message || 'Error al registrar el reembolso');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('es-ES', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+    }).format(amount);
+  };
+
+  const isProofImage = (url) => !url.toLowerCase().endsWith('.pdf');
+
+  return (
+    <div className="pending-payments refunds-queue">
+      <h2 className="page-title">Reembolsos</h2>
+      <p className="page-description">Pagos de rifas canceladas que deben devolverse a los compradores</p>
+
+      <div className="refund-filters">
+        <button
+          className={filter === 'RefundPending' ? 'active' : ''}
+          onClick={() => setFilter('RefundPending')}
+        >
+          Pendientes
+        </button>
+        <button
+          className={filter === 'Refunded' ? 'active' : ''}
+          onClick={() => setFilter('Refunded')}
+        >
+          Reembolsados
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Cargando reembolsos...</div>
+      ) : payments.length === 0 ? (
+        <div className="no-payments">
+          <p>
+            {filter === 'RefundPending'
+              ? 'No hay reembolsos pendientes en este momento'
+              : 'Todavía no se ha realizado ningún reembolso'}
+          </p>
+        </div>
+      ) : (
+        <div className="payments-table-container">
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Rifa</th>
+                <th>Cliente</th>
+                <th>Monto</th>
+                <th>Método</th>
+                <th>{filter === 'RefundPending' ? 'Solicitado' : 'Reembolsado'}</th>
+                <th>Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map((payment) => (
+                <tr key={payment._id}>
+                  <td>{payment.raffle?.productName}</td>
+                  <td>{payment.fullName}</td>
+                  <td>{formatCurrency(payment.totalAmountUSD)}</td>
+                  <td>{payment.method}</td>
+                  <td>
+                    {formatDate(filter === 'RefundPending'
+                      ? payment.refund?.requestedAt
+                      : payment.refund?.refundedAt)}
+                  </td>
+                  <td className="action-buttons">
+                    <button
+                      className="view-button"
+                      onClick={() => openPayment(payment)}
+                      title="Ver detalles"
+                    >
+                      <Eye size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedPayment && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <h3>Detalles del Reembolso</h3>
+
+            <div className="payment-details">
+              <div className="detail-group">
+                <label>Rifa:</label>
+                <p>{selectedPayment.raffle?.productName}</p>
+              </div>
+
+              <div className="detail-group">
+                <label>Cliente:</label>
+                <p>{selectedPayment.fullName}</p>
+              </div>
+
+              <div className="detail-group">
+                <label>Email:</label>
+                <p>{selectedPayment.email}</p>
+              </div>
+
+              <div className="detail-group">
+                <label>Teléfono:</label>
+                <p>{selectedPayment.phoneNumber}</p>
+              </div>
+
+              <div className="detail-group">
+                <label>Método de Pago:</label>
+                <p>{selectedPayment.method}</p>
+              </div>
+
+              <div className="detail-group">
+                <label>Monto a Reembolsar:</label>
+                <p>{formatCurrency(selectedPayment.totalAmountUSD)}</p>
+              </div>
+
+              <div className="detail-group">
+                <label>Números Anulados:</label>
+                <p>{formatTicketNumbers(selectedPayment.selectedNumbers, selectedPayment.raffle?.numbering)}</p>
+              </div>
+
+              {selectedPayment.refund?.reason && (
+                <div className="detail-group">
+                  <label>Motivo de la Cancelación:</label>
+                  <p>{selectedPayment.refund.reason}</p>
+                </div>
+              )}
+
+              {selectedPayment.status === 'Refunded' && (
+                <>
+                  {selectedPayment.refund.reference && (
+                    <div className="detail-group">
+                      <label>Referencia:</label>
+                      <p>{selectedPayment.refund.reference}</p>
+                    </div>
+                  )}
+
+                  {selectedPayment.refund.note && (
+                    <div className="detail-group">
+                      <label>Nota:</label>
+                      <p>{selectedPayment.refund.note}</p>
+                    </div>
+                  )}
+
+                  <div className="detail-group">
+                    <label>Comprobante de Reembolso:</label>
+                    {isProofImage(selectedPayment.refund.proofOfRefund) ? (
+                      <img
+                        src={`http://localhost:5000${selectedPayment.refund.proofOfRefund}`}
+                        alt="Comprobante de reembolso"
+                        className="proof-image"
+                      />
+                    ) : (
+                      <a
+                        href={`http://localhost:5000${selectedPayment.refund.proofOfRefund}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        Ver comprobante (PDF)
+                      </a>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {selectedPayment.status === 'RefundPending' ? (
+              <form className="refund-form" onSubmit={handleCompleteRefund}>
+                <label>
+                  Comprobante del reembolso:
+                  <input
+                    type="file"
+                    accept="image/*,application/pdf"
+                    onChange={(e) => setRefundForm({ ...refundForm, proofOfRefund: e.target.files[0] || null })}
+                    required
+                  />
+                </label>
+
+                <label>
+                  Referencia:
+                  <input
+                    type="text"
+                    value={refundForm.reference}
+                    onChange={(e) => setRefundForm({ ...refundForm, reference: e.target.value })}
+                    placeholder="Número de referencia de la transferencia"
+                  />
+                </label>
+
+                <label>
+                  Nota:
+                  <textarea
+                    value={refundForm.note}
+                    onChange={(e) => setRefundForm({ ...refundForm, note: e.target.value })}
+                    rows={3}
+                  />
+                </label>
+
+                <div className="modal-actions">
+                  <button type="submit" className="confirm-button" disabled={submitting}>
+                    {submitting ? 'Procesando...' : 'Marcar como Reembolsado'}
+                  </button>
+                  <button type="button" className="cancel-button" onClick={closeModal} disabled={submitting}>
+                    Cerrar
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="modal-actions">
+                <button className="cancel-button" onClick={closeModal}>
+                  Cerrar
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefundsQueue;
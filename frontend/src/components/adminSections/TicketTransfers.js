@@ -0,0 +1,130 @@
+// src/components/adminSections/TicketTransfers.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSocket } from '../../contexts/SocketContext';
+import { getTransfers } from '../../services/api';
+import { formatTicketNumbers } from '../../utils/ticketNumbers';
+import '../../assets/styles/adminSections/PendingPayments.css';
+import '../../assets/styles/adminSections/RefundsQueue.css';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'Todas' },
+  { value: 'pending', label: 'Pendientes' },
+  { value: 'accepted', label: 'Aceptadas' },
+  { value: 'declined', label: 'Rechazadas' },
+  { value: 'cancelled', label: 'Canceladas' }
+];
+
+const STATUS_LABELS = {
+  pending: 'Pendiente',
+  accepted: 'Aceptada',
+  declined: 'Rechazada',
+  cancelled: 'Cancelada'
+};
+
+// Read-only log of tickets changing hands between buyers
+const TicketTransfers = () => {
+  const socket = useSocket();
+  const [transfers, setTransfers] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchTransfers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getTransfers(filter);
+      setTransfers(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+      setError('Error al cargar las transferencias');
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers]);
+
+  useEffect(() => {
+    socket.on('transfer_updated', fetchTransfers);
+
+    return () => {
+      socket.off('transfer_updated', fetchTransfers);
+    };
+  }, [socket, fetchTransfers]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('es-ES', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const formatUser = (user) => (user ? `${user.fullName} (${user.idNumber})` : '—');
+
+  return (
+    <div className="pending-payments refunds-queue">
+      <h2 className="page-title">Transferencias de Tickets</h2>
+      <p className="page-description">Tickets pagados que los compradores han cedido o regalado a otras personas</p>
+
+      <div className="refund-filters">
+        {STATUS_FILTERS.map(({ value, label }) => (
+          <button
+            key={value || 'all'}
+            className={filter === value ? 'active' : ''}
+            onClick={() => setFilter(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading-spinner">Cargando transferencias...</div>
+      ) : transfers.length === 0 ? (
+        <div className="no-payments">
+          <p>No hay transferencias que mostrar</p>
+        </div>
+      ) : (
+        <div className="payments-table-container">
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Rifa</th>
+                <th>Números</th>
+                <th>De</th>
+                <th>Para</th>
+                <th>Estado</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transfers.map((transfer) => (
+                <tr key={transfer._id}>
+                  <td>{formatDate(transfer.createdAt)}</td>
+                  <td>{transfer.raffle?.productName}</td>
+                  <td>{formatTicketNumbers(transfer.ticketNumbers, transfer.raffle?.numbering)}</td>
+                  <td>{formatUser(transfer.from)}</td>
+                  <td>{formatUser(transfer.to)}</td>
+                  <td>
+                    {STATUS_LABELS[transfer.status]}
+                    {transfer.respondedAt && <div className="page-description">{formatDate(transfer.respondedAt)}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TicketTransfers;
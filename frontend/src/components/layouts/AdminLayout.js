@@ -6,6 +6,9 @@ import {
   DollarSign, 
   Plus,
   Calendar,
+  RotateCcw,
+  Gift,
+  CreditCard,
   LogOut
 } from 'lucide-react';
 import '../../assets/styles/adminSections/AdminLayout.css';
@@ -28,6 +31,21 @@ const AdminLayout = ({ onLogout }) => {
       icon: <DollarSign size={20} />, 
       label: 'Pagos Pendientes' 
     },
+    { 
+      path: '/admin/refunds', 
+      icon: <RotateCcw size={20} />, 
+      label: 'Reembolsos' 
+    },
+    { 
+      path: '/admin/transfers', 
+      icon: <Gift size={20} />, 
+      label: 'Transferencias' 
+    },
+    { 
+      path: '/admin/payment-methods', 
+      icon: <CreditCard size={20} />, 
+      label: 'Métodos de Pago' 
+    },
     { 
       path: '/admin/create-raffle', 
       icon: <Plus size={20} />, 
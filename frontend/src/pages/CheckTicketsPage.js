@@ -0,0 +1,158 @@
+// src/pages/CheckTicketsPage.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { lookupTickets } from '../services/api';
+import Header from '../components/Header';
+import { formatTicketNumber, formatTicketNumbers } from '../utils/ticketNumbers';
+import '../assets/styles/CheckTicketsPage.css';
+
+const PAYMENT_STATUS_LABELS = {
+  Pending: 'Pending verification',
+  Confirmed: 'Confirmed',
+  Rejected: 'Rejected',
+  RefundPending: 'Refund in progress',
+  Refunded: 'Refunded'
+};
+
+// Lets buyers who lost their login see which numbers they own
+const CheckTicketsPage = () => {
+  const [formData, setFormData] = useState({ idNumber: '', contact: '' });
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!formData.idNumber.trim() || !formData.contact.trim()) {
+      setError('Enter your ID number plus the phone number or email you used to buy.');
+      return;
+    }
+
+    // The same box takes either the phone number or the email
+    const contact = formData.contact.trim();
+    const lookup = contact.includes('@')
+      ? { idNumber: formData.idNumber, email: contact }
+      : { idNumber: formData.idNumber, phoneNumber: contact };
+
+    setLoading(true);
+    try {
+      const data = await lookupTickets(lookup);
+      setResults(data.raffles);
+    } catch (error) {
+      console.error('Error looking up tickets:', error);
+      setError(error.response?.data?.message || 'Error looking up your tickets, please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+
+  return (
+    <main className="check-tickets-page">
+      <Header />
+
+      <div className="check-tickets-container">
+        <h2>Check My Tickets</h2>
+        <p className="check-tickets-intro">
+          Enter the ID number (cédula) and the phone number or email you used when buying.
+        </p>
+
+        <form className="check-tickets-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            name="idNumber"
+            placeholder="ID Number"
+            value={formData.idNumber}
+            onChange={handleInputChange}
+          />
+          <input
+            type="text"
+            name="contact"
+            placeholder="Phone Number or Email"
+            value={formData.contact}
+            onChange={handleInputChange}
+          />
+          <button type="submit" disabled={loading}>
+            {loading ? 'Searching...' : 'Find My Tickets'}
+          </button>
+        </form>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {results && results.length === 0 && (
+          <p className="check-tickets-empty">
+            No tickets were found for those details. Check that they match the ones used at checkout.
+          </p>
+        )}
+
+        {results && results.map(({ raffle, payments, tickets, winningNumbers }) => (
+          <section key={raffle._id} className="check-tickets-raffle">
+            <h3>{raffle.productName}</h3>
+            {raffle.drawDate && raffle.status === 'open' && (
+              <p className="check-tickets-meta">Draw date: {formatDate(raffle.drawDate)}</p>
+            )}
+            {raffle.status === 'cancelled' && (
+              <p className="check-tickets-meta">This raffle was cancelled; paid tickets are refunded.</p>
+            )}
+
+            {winningNumbers.map(win => (
+              <p key={win.rank} className="check-tickets-win">
+                You won {win.name} with number {formatTicketNumber(win.ticketNumber, raffle.numbering)}
+                {win.giftFor ? ` (a gift for ${win.giftFor})` : ''}!
+              </p>
+            ))}
+
+            {/* Numbers change hands through transfers, so these can differ from the ones paid for */}
+            <p className="check-tickets-meta">
+              {tickets.length > 0
+                ? `Numbers you hold now: ${formatTicketNumbers(tickets.map(ticket => ticket.ticketNumber), raffle.numbering)}`
+                : 'You no longer hold numbers in this raffle.'}
+            </p>
+
+            {payments.length > 0 && (
+              <table>
+                <thead>
+                  <tr>
+                    <th>Numbers</th>
+                    <th>Amount</th>
+                    <th>Method</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {payments.map(payment => (
+                    <tr key={payment._id}>
+                      <td>{formatTicketNumbers(payment.selectedNumbers, raffle.numbering)}</td>
+                      <td>${payment.totalAmountUSD.toFixed(2)}</td>
+                      <td>{payment.method}</td>
+                      <td>{formatDate(payment.createdAt)}</td>
+                      <td>
+                        <span className={`payment-status ${payment.status.toLowerCase()}`}>
+                          {PAYMENT_STATUS_LABELS[payment.status] || payment.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        ))}
+
+        <Link to="/" className="check-tickets-back">Back to raffles</Link>
+      </div>
+    </main>
+  );
+};
+
+export default CheckTicketsPage;
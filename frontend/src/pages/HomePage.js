@@ -1,14 +1,112 @@
-import React from 'react';
+import React, { useState, useEffect, useContext, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { SocketContext } from '../index';
+import { getOpenRaffles, getRaffle, quickPickTickets, releaseTicketHold } from '../services/api';
+import { loadHold, saveHold } from '../utils/ticketHold';
 import RaffleCard from '../components/RaffleCard';
 import Header from '../components/Header'; // Import the Header component
 import '../assets/styles/HomePage.css'; // Import the updated CSS
 
 const HomePage = () => {
   const navigate = useNavigate();
+  const { socket } = useContext(SocketContext);
 
-  const handleBuyTickets = (quantity) => {
-    navigate('/select-numbers');
+  const [raffles, setRaffles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch every raffle on sale
+  const fetchRaffles = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getOpenRaffles();
+      setRaffles(Array.isArray(data) ? data : []);
+    } catch (error) {
+      const errorMsg = error.response?.data?.message || 'Error al cargar las rifas';
+      console.error('Error fetching raffles:', error);
+      setError(errorMsg);
+      toast.error(errorMsg);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRaffles();
+  }, [fetchRaffles]);
+
+  useEffect(() => {
+    // Add a raffle to the list once it is on sale (with fresh ticket stats)
+    const addRaffle = async (raffleId) => {
+      try {
+        const raffle = await getRaffle(raffleId);
+        setRaffles(prev => (
+          prev.some(item => item._id === raffle._id) ? prev : [raffle, ...prev]
+        ));
+        toast.success(`¡Nueva rifa disponible: ${raffle.productName}!`);
+      } catch (error) {
+        console.error('Error fetching new raffle:', error);
+      }
+    };
+
+    const handleRaffleCreated = (raffle) => {
+      // Drafts and scheduled raffles are not public yet
+      if (raffle.status === 'open') {
+        addRaffle(raffle._id);
+      }
+    };
+
+    const handleStatusChanged = (data) => {
+      if (data.status === 'open') {
+        addRaffle(data.raffleId);
+      } else if (data.status === 'cancelled' || data.status === 'draft') {
+        setRaffles(prev => prev.filter(raffle => raffle._id !== data.raffleId));
+      }
+    };
+
+    socket.on('raffle_created', handleRaffleCreated);
+    socket.on('raffle_status_changed', handleStatusChanged);
+
+    return () => {
+      socket.off('raffle_created', handleRaffleCreated);
+      socket.off('raffle_status_changed', handleStatusChanged);
+    };
+  }, [socket]);
+
+  // Without a quantity the buyer picks numbers on the grid; with one the
+  // server picks them at random and checkout starts right away
+  const handleBuyTickets = async (raffleId, quantity) => {
+    if (!quantity) {
+      navigate(`/raffles/${raffleId}/select-numbers`);
+      return;
+    }
+
+    try {
+      // A quick pick replaces whatever the buyer was holding
+      const previousHold = loadHold(raffleId);
+      if (previousHold) {
+        await releaseTicketHold(raffleId, previousHold.holdToken).catch(() => {});
+      }
+
+      const result = await quickPickTickets(raffleId, quantity);
+      const hold = { holdToken: result.holdToken, tickets: result.tickets, expiresAt: result.expiresAt };
+      saveHold(raffleId, hold);
+
+      const raffle = raffles.find(item => item._id === raffleId);
+      navigate(`/raffles/${raffleId}/payment-method`, {
+        state: {
+          selectedNumbers: result.tickets,
+          ticketPrice: raffle.price,
+          numbering: raffle.numbering,
+          hold
+        }
+      });
+    } catch (error) {
+      console.error('Error picking tickets:', error);
+      toast.error(error.response?.data?.message || 'Error al asignar los números');
+    }
   };
 
   return (
@@ -16,9 +114,32 @@ const HomePage = () => {
       {/* Use the Header component */}
       <Header />
 
-      {/* Raffle Card Section */}
+      {/* Raffle Cards Section */}
       <div className="home-container">
-        <RaffleCard onBuyTickets={handleBuyTickets} />
+        {loading ? (
+          <div className="raffle-card loading">
+            <div className="loading-spinner"></div>
+            <p>Cargando rifas...</p>
+          </div>
+        ) : error ? (
+          <div className="raffle-card error">
+            <p className="error-message">{error}</p>
+            <button
+              className="retry-button"
+              onClick={fetchRaffles}
+            >
+              Intentar nuevamente
+            </button>
+          </div>
+        ) : raffles.length === 0 ? (
+          <div className="raffle-card">
+            <p>No hay rifas activas</p>
+          </div>
+        ) : (
+          raffles.map(raffle => (
+            <RaffleCard key={raffle._id} raffle={raffle} onBuyTickets={handleBuyTickets} />
+          ))
+        )}
       </div>
 
       {/* Footer Section */}
@@ -1,19 +1,32 @@
 // frontend/src/pages/PaymentDetailsPage.js
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
-import { getExchangeRate } from '../services/api'; // Updated to use the correct exchange rate fetching function
+import { useNavigate, useLocation, useParams } from 'react-router-dom';
+import { getRateQuote } from '../services/api';
 import axios from 'axios';
+import { formatTicketNumbers } from '../utils/ticketNumbers';
+import HoldTimer from '../components/HoldTimer';
+import { saveHold, clearHold } from '../utils/ticketHold';
+import { REFERENCE_FIELDS, PROOFLESS_TYPES, normalizeReferenceField } from '../utils/paymentReferences';
 import '../assets/styles/PaymentDetailsPage.css';
 
 const PaymentDetailsPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { selectedNumbers, method } = location.state || {
+  const { raffleId } = useParams();
+  const { selectedNumbers, ticketPrice, numbering, paymentMethod } = location.state || {
     selectedNumbers: [],
-    method: '',
+    ticketPrice: 0,
+    numbering: null,
+    paymentMethod: null,
   };
 
-  const [exchangeRate, setExchangeRate] = useState(null);
+  const [hold, setHold] = useState(location.state?.hold || null);
+  const referenceFields = REFERENCE_FIELDS[paymentMethod?.type] || [];
+  const paysInBolivars = paymentMethod?.currency === 'VES';
+  const proofRequired = !PROOFLESS_TYPES.includes(paymentMethod?.type);
+  // Server-signed rate; the payment keeps it, and the Bs amount, as shown here
+  const [rateQuote, setRateQuote] = useState(null);
+  const exchangeRate = rateQuote?.rate ?? null;
   const [exchangeRateLoading, setExchangeRateLoading] = useState(false); // Loading state for exchange rate
   const [exchangeRateError, setExchangeRateError] = useState(null); // Error state for exchange rate
   const [loading, setLoading] = useState(false); // Loading state for form submission
@@ -26,6 +39,18 @@ const PaymentDetailsPage = () => {
     password: '',
     confirmPassword: '',
     proofOfPayment: null,
+    isGift: false,
+    beneficiaryName: '',
+    beneficiaryIdNumber: '',
+    reference: '',
+    originBank: '',
+    senderPhone: '',
+    senderName: '',
+    senderEmail: '',
+    // Preselected when the method only takes one network
+    network: paymentMethod?.wallets?.length === 1 ? paymentMethod.wallets[0].network : '',
+    collectedBy: '',
+    paidAt: new Date().toISOString().slice(0, 10),
   });
 
   // Form validation state
@@ -37,48 +62,61 @@ const PaymentDetailsPage = () => {
     password: true,
     confirmPassword: true,
     proofOfPayment: true,
+    beneficiaryName: true,
+    beneficiaryIdNumber: true,
+    reference: true,
+    originBank: true,
+    senderPhone: true,
+    senderName: true,
+    senderEmail: true,
+    network: true,
+    collectedBy: true,
+    paidAt: true,
   });
 
-  const ticketPrice = 10;
   const totalAmountUSD = selectedNumbers.length * ticketPrice;
 
-  // Fetch exchange rate function
+  // Fetch a rate quote; it holds until it expires, so the Bs amount does not move while paying
   const fetchExchangeRate = async () => {
     setExchangeRateLoading(true);
     setExchangeRateError(null);
     try {
-      const result = await getExchangeRate();
-      if (result.success && result.rate) {
-        setExchangeRate(result.rate);
-      } else {
-        setExchangeRateError(result.error || 'Error fetching exchange rate.');
-        setExchangeRate(35.0); // Default fallback rate
-      }
+      setRateQuote(await getRateQuote());
     } catch (error) {
       console.error('Error fetching exchange rate:', error);
-      setExchangeRate(35.0); // Default fallback rate
-      setExchangeRateError('Error fetching exchange rate. Using default rate.');
+      setExchangeRateError(error.response?.data?.message || 'Error fetching exchange rate.');
     } finally {
       setExchangeRateLoading(false);
     }
   };
 
   useEffect(() => {
-    // Redirect if no numbers selected
-    if (!selectedNumbers.length) {
-      navigate('/select-numbers');
+    // Redirect if no numbers or payment method selected
+    if (!selectedNumbers.length || !paymentMethod) {
+      navigate(`/raffles/${raffleId}/select-numbers`);
       return;
     }
 
     fetchExchangeRate();
+  }, [selectedNumbers, paymentMethod, navigate, raffleId]);
+
+  // Ask for a new quote once the current one expires
+  useEffect(() => {
+    if (!rateQuote) return undefined;
 
-    // Fetch exchange rate every 5 minutes
-    const exchangeRateInterval = setInterval(fetchExchangeRate, 5 * 60 * 1000);
+    const quoteTimeout = setTimeout(fetchExchangeRate, new Date(rateQuote.expiresAt) - new Date());
+    return () => clearTimeout(quoteTimeout);
+  }, [rateQuote]);
 
-    return () => {
-      clearInterval(exchangeRateInterval);
-    };
-  }, [selectedNumbers, navigate]);
+  const handleHoldChange = (nextHold) => {
+    saveHold(raffleId, nextHold);
+    setHold(nextHold);
+  };
+
+  const handleHoldExpired = () => {
+    clearHold(raffleId);
+    navigate(`/raffles/${raffleId}/select-numbers`, { state: { holdExpired: true } });
+  };
 
   const validateForm = () => {
     const newValidation = {
@@ -88,8 +126,18 @@ const PaymentDetailsPage = () => {
       email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email),
       password: formData.password.length >= 6,
       confirmPassword: formData.password === formData.confirmPassword,
-      proofOfPayment: formData.proofOfPayment !== null,
+      proofOfPayment: !proofRequired || formData.proofOfPayment !== null,
+      // Only a gift needs the beneficiary's details
+      beneficiaryName: !formData.isGift || formData.beneficiaryName.trim().length >= 3,
+      beneficiaryIdNumber: !formData.isGift || formData.beneficiaryIdNumber.trim().length >= 5,
+      paidAt: Boolean(formData.paidAt) && new Date(formData.paidAt) <= new Date(),
     };
+    // Only the transfer details of the chosen method are checked
+    referenceFields.forEach(({ name, pattern, choices }) => {
+      newValidation[name] = choices
+        ? choices(paymentMethod).includes(formData[name])
+        : pattern.test(normalizeReferenceField(name, formData[name]));
+    });
 
     setValidation(newValidation);
     return Object.values(newValidation).every(Boolean);
@@ -109,8 +157,9 @@ const PaymentDetailsPage = () => {
 
     try {
       // First, verify ticket availability
-      const checkResponse = await axios.post('http://localhost:5000/api/tickets/check-reserved', {
-        tickets: selectedNumbers
+      const checkResponse = await axios.post(`http://localhost:5000/api/raffle/${raffleId}/tickets/check-reserved`, {
+        tickets: selectedNumbers,
+        holdToken: hold?.holdToken
       });
 
       if (!checkResponse.data.success) {
@@ -122,22 +171,31 @@ const PaymentDetailsPage = () => {
       // Prepare form data
       const data = new FormData();
       Object.keys(formData).forEach(key => {
-        if (key !== 'confirmPassword') {
+        // A cash payment may come without a proof
+        if (key !== 'confirmPassword' && formData[key] !== null) {
           data.append(key, formData[key]);
         }
       });
       data.append('selectedNumbers', JSON.stringify(selectedNumbers));
-      data.append('method', method);
-      data.append('totalAmountUSD', totalAmountUSD);
+      data.append('paymentMethodId', paymentMethod._id);
+      if (hold) {
+        data.append('holdToken', hold.holdToken);
+      }
+      if (rateQuote) {
+        data.append('rateQuote', rateQuote.token);
+      }
 
       // Submit payment and create user
-      const response = await axios.post('http://localhost:5000/api/payments/create-and-pay', data, {
+      const response = await axios.post(`http://localhost:5000/api/raffle/${raffleId}/payments/create-and-pay`, data, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
       });
 
       if (response.data.success) {
+        // The held numbers are now reserved under the payment
+        clearHold(raffleId);
+
         // Store authentication data
         localStorage.setItem('token', response.data.token);
         localStorage.setItem('isAdmin', response.data.isAdmin);
@@ -153,6 +211,7 @@ const PaymentDetailsPage = () => {
         navigate('/payment-verification', {
           state: {
             paymentId: response.data.paymentId,
+            raffleId,
             selectedNumbers,
           }
         });
@@ -161,6 +220,14 @@ const PaymentDetailsPage = () => {
       }
     } catch (error) {
       console.error('Error in handleConfirmPayment:', error);
+      // The quote ran out while the buyer was paying; show the new amount before they confirm again
+      if (error.response?.data?.code === 'RATE_QUOTE_EXPIRED') {
+        if (error.response.data.rateQuote) {
+          setRateQuote(error.response.data.rateQuote);
+        } else {
+          fetchExchangeRate();
+        }
+      }
       setError(error.response?.data?.message || 'Error processing payment. Please try again.');
     } finally {
       setLoading(false);
@@ -171,26 +238,6 @@ const PaymentDetailsPage = () => {
     ? (totalAmountUSD * exchangeRate).toFixed(2)
     : 'Loading...';
 
-  const getPaymentInstructions = () => {
-    const paymentDetails = {
-      'Binance Pay': {
-        details: 'Binance Pay ID: 35018921',
-        qrCode: '/binancepayQR.png',
-        amount: totalAmountUSD,
-      },
-      'Pagomovil': {
-        details: 'Phone Number: 04122986051\nCedula: 19993150\nBanco: Banesco',
-        amount: totalAmountBS,
-      },
-      'Zelle': {
-        details: 'Email: payments@example.com',
-        amount: totalAmountUSD,
-      },
-    };
-
-    return paymentDetails[method] || null;
-  };
-
   const handleCopyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     alert('Copied to clipboard!');
@@ -199,14 +246,22 @@ const PaymentDetailsPage = () => {
   return (
     <div className="payment-details-page">
       <h2>Payment Details</h2>
+      {hold && (
+        <HoldTimer raffleId={raffleId} hold={hold} onChange={handleHoldChange} onExpire={handleHoldExpired} />
+      )}
       
       {/* Payment Method Information */}
       <div className="payment-method-info">
-        <h3>Selected Payment Method: {method}</h3>
-        {getPaymentInstructions() && (
+        <h3>Selected Payment Method: {paymentMethod?.name}</h3>
+        {paymentMethod && (
           <div className="payment-instructions">
-            <p>Amount to Pay: {method === 'Pagomovil' ? `${totalAmountBS} BS` : `$${totalAmountUSD}`}</p>
+            <p>Amount to Pay: {paysInBolivars ? `${totalAmountBS} BS` : paymentMethod.currency === 'USD' ? `$${totalAmountUSD}` : `${totalAmountUSD} ${paymentMethod.currency}`}</p>
             <p>{`$1 = ${exchangeRateLoading ? 'Loading...' : exchangeRate ? `${exchangeRate} BS` : 'Error fetching rate'}`}</p> {/* Display exchange rate */}
+            {rateQuote && (
+              <p className="exchange-rate-expiry">
+                Rate locked until {new Date(rateQuote.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </p>
+            )}
             
             {/* Display exchange rate loading indicator */}
             {exchangeRateLoading && (
@@ -222,38 +277,45 @@ const PaymentDetailsPage = () => {
               </div>
             )}
 
+            {/* Account details, as set up by the admin for this method */}
             <div className="payment-details">
-              {method === 'Binance Pay' && (
-                <>
-                  <p>{getPaymentInstructions().details}</p>
-                  <img 
-                    src={getPaymentInstructions().qrCode} 
-                    alt="Binance Pay QR Code" 
+              {paymentMethod.accountFields.length > 0 && <p>Please transfer to:</p>}
+              {paymentMethod.accountFields.map(field => (
+                <div key={field.label} className="account-field">
+                  <span>{field.label}: {field.value}</span>
+                  {field.copyable && (
+                    <button type="button" onClick={() => handleCopyToClipboard(field.value)}>
+                      Copy
+                    </button>
+                  )}
+                </div>
+              ))}
+              {paymentMethod.wallets?.map(wallet => (
+                <div key={wallet.network} className="wallet">
+                  <p>USDT on {wallet.network}:</p>
+                  <div className="account-field">
+                    <span className="wallet-address">{wallet.address}</span>
+                    <button type="button" onClick={() => handleCopyToClipboard(wallet.address)}>
+                      Copy
+                    </button>
+                  </div>
+                  <img
+                    src={`http://localhost:5000/api/payment-methods/${paymentMethod._id}/wallets/${wallet.network}/qr`}
+                    alt={`USDT ${wallet.network} wallet QR Code`}
                     className="qr-code"
                   />
-                </>
-              )}
-              
-              {method === 'Pagomovil' && (
-                <div className="pagomovil-details">
-                  <p>Please transfer to:</p>
-                  <button onClick={() => handleCopyToClipboard('04122986051')}>
-                    📱 Copy Phone Number
-                  </button>
-                  <button onClick={() => handleCopyToClipboard('19993150')}>
-                    🆔 Copy Cedula
-                  </button>
-                  <p>Bank: Banesco</p>
+                  <p className="wallet-note">Only send USDT on the {wallet.network} network to this address.</p>
                 </div>
+              ))}
+              {paymentMethod.qrImage && (
+                <img
+                  src={paymentMethod.qrImage}
+                  alt={`${paymentMethod.name} QR Code`}
+                  className="qr-code"
+                />
               )}
-
-              {method === 'Zelle' && (
-                <div className="zelle-details">
-                  <p>{getPaymentInstructions().details}</p>
-                  <button onClick={() => handleCopyToClipboard('payments@example.com')}>
-                    📧 Copy Email
-                  </button>
-                </div>
+              {paymentMethod.instructions && (
+                <p className="payment-method-instructions">{paymentMethod.instructions}</p>
               )}
             </div>
           </div>
@@ -349,14 +411,103 @@ const PaymentDetailsPage = () => {
           )}
         </div>
 
+        <div className="form-group gift-option">
+          <label>
+            <input
+              type="checkbox"
+              checked={formData.isGift}
+              onChange={(e) => setFormData({ ...formData, isGift: e.target.checked })}
+            />
+            Buy as a gift for someone else
+          </label>
+        </div>
+
+        {formData.isGift && (
+          <>
+            <div className="form-group">
+              <input
+                type="text"
+                name="beneficiaryName"
+                placeholder="Gift Recipient's Full Name"
+                value={formData.beneficiaryName}
+                onChange={(e) => setFormData({ ...formData, beneficiaryName: e.target.value })}
+              />
+              {!validation.beneficiaryName && (
+                <span className="validation-message">Enter the full name of the person the gift is for</span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <input
+                type="text"
+                name="beneficiaryIdNumber"
+                placeholder="Gift Recipient's ID Number"
+                value={formData.beneficiaryIdNumber}
+                onChange={(e) => setFormData({ ...formData, beneficiaryIdNumber: e.target.value })}
+              />
+              {!validation.beneficiaryIdNumber && (
+                <span className="validation-message">Please enter a valid ID number</span>
+              )}
+              <span className="field-hint">If one of these numbers wins, the prize is announced for this person.</span>
+            </div>
+          </>
+        )}
+
+        {referenceFields.map(({ name, placeholder, message, type, choices }) => (
+          <div className="form-group" key={name}>
+            {choices ? (
+              <select
+                name={name}
+                value={formData[name]}
+                onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+                required
+              >
+                <option value="">{placeholder}</option>
+                {choices(paymentMethod).map(choice => (
+                  <option key={choice} value={choice}>{choice}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={type || 'text'}
+                name={name}
+                placeholder={placeholder}
+                value={formData[name]}
+                onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+                required
+              />
+            )}
+            {!validation[name] && (
+              <span className="validation-message">{message}</span>
+            )}
+          </div>
+        ))}
+
+        <div className="form-group">
+          <label className="file-input-label">
+            Payment Date:
+            <input
+              type="date"
+              name="paidAt"
+              value={formData.paidAt}
+              max={new Date().toISOString().slice(0, 10)}
+              onChange={(e) => setFormData({ ...formData, paidAt: e.target.value })}
+              required
+            />
+          </label>
+          {!validation.paidAt && (
+            <span className="validation-message">Enter the date you made the payment</span>
+          )}
+        </div>
+
         <div className="form-group">
           <label className="file-input-label">
-            Proof of Payment:
+            {proofRequired ? 'Proof of Payment:' : 'Proof of Payment (optional):'}
             <input
               type="file"
               accept="image/*"
-              onChange={(e) => setFormData({ ...formData, proofOfPayment: e.target.files[0] })}
-              required
+              onChange={(e) => setFormData({ ...formData, proofOfPayment: e.target.files[0] || null })}
+              required={proofRequired}
               className="file-input"
             />
           </label>
@@ -377,9 +528,9 @@ const PaymentDetailsPage = () => {
       {/* Selected Numbers Summary */}
       <div className="selected-numbers-summary">
         <h4>Selected Numbers:</h4>
-        <p>{selectedNumbers.join(', ')}</p>
+        <p>{formatTicketNumbers(selectedNumbers, numbering)}</p>
         <p>Total Amount: ${totalAmountUSD}</p>
-        {method === 'Pagomovil' && <p>Total in BS: {totalAmountBS} BS</p>}
+        {paysInBolivars && <p>Total in BS: {totalAmountBS} BS</p>}
       </div>
     </div>
   );
@@ -1,33 +1,67 @@
 // src/pages/PaymentMethodPage.js
-import React from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation, useParams } from 'react-router-dom';
+import { getPaymentMethods } from '../services/api';
+import HoldTimer from '../components/HoldTimer';
+import { saveHold, clearHold } from '../utils/ticketHold';
 import '../assets/styles/PaymentMethodPage.css';
 
 const PaymentMethodPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { selectedNumbers } = location.state || { selectedNumbers: [] };
+  const { raffleId } = useParams();
+  const { selectedNumbers, ticketPrice, numbering } = location.state || { selectedNumbers: [] };
+  const [methods, setMethods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hold, setHold] = useState(location.state?.hold || null);
 
-  const handlePaymentMethodSelect = (method) => {
-    navigate('/payment-details', {
-      state: { selectedNumbers, method },
+  // Each raffle accepts its own subset of payment methods
+  useEffect(() => {
+    const fetchMethods = async () => {
+      try {
+        setMethods(await getPaymentMethods(raffleId));
+      } catch (error) {
+        console.error('Error fetching raffle payment methods:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMethods();
+  }, [raffleId]);
+
+  const handleHoldChange = (nextHold) => {
+    saveHold(raffleId, nextHold);
+    setHold(nextHold);
+  };
+
+  const handleHoldExpired = () => {
+    clearHold(raffleId);
+    navigate(`/raffles/${raffleId}/select-numbers`, { state: { holdExpired: true } });
+  };
+
+  const handlePaymentMethodSelect = (paymentMethod) => {
+    navigate(`/raffles/${raffleId}/payment-details`, {
+      state: { selectedNumbers, ticketPrice, numbering, paymentMethod, hold },
     });
   };
 
   return (
     <div className="payment-method-page">
       <h2>Select Payment Method</h2>
+      {hold && (
+        <HoldTimer raffleId={raffleId} hold={hold} onChange={handleHoldChange} onExpire={handleHoldExpired} />
+      )}
       <div className="payment-methods">
-        <button onClick={() => handlePaymentMethodSelect('Binance Pay')}>
-          Binance Pay
-        </button>
-        <button onClick={() => handlePaymentMethodSelect('Pagomovil')}>
-          Pagomovil
-        </button>
-        <button onClick={() => handlePaymentMethodSelect('Zelle')}>
-          Zelle
-        </button>
+        {methods.map(method => (
+          <button key={method._id} onClick={() => handlePaymentMethodSelect(method)}>
+            {method.name}
+          </button>
+        ))}
       </div>
+      {!loading && methods.length === 0 && (
+        <p>No payment methods are available for this raffle right now.</p>
+      )}
     </div>
   );
 };
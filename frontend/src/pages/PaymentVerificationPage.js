@@ -1,8 +1,90 @@
 // src/pages/PaymentVerificationPage.js
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { getPaymentStatus } from '../services/api';
+import { formatTicketNumbers } from '../utils/ticketNumbers';
 import '../assets/styles/PaymentVerificationPage.css';
 
+const POLL_INTERVAL_MS = 15000;
+
 const PaymentVerificationPage = () => {
+  const location = useLocation();
+  const paymentId = location.state?.paymentId;
+  const [payment, setPayment] = useState(null);
+
+  // Check back until the payment is decided and, if confirmed, its receipt is ready
+  useEffect(() => {
+    if (!paymentId) return undefined;
+
+    let timer = null;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const status = await getPaymentStatus(paymentId);
+        if (cancelled) return;
+        setPayment(status);
+        if (status.status === 'Pending' || (status.status === 'Confirmed' && !status.receipt)) {
+          timer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        console.error('Error fetching payment status:', error);
+        if (!cancelled) {
+          timer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      }
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [paymentId]);
+
+  if (payment?.status === 'Confirmed') {
+    const numbers = formatTicketNumbers(payment.selectedNumbers, payment.raffle?.numbering);
+
+    return (
+      <div className="payment-verification-page">
+        <h2>Payment Confirmed</h2>
+        <p>
+          Your numbers for {payment.raffle?.productName}: <strong>{numbers}</strong>
+        </p>
+        {payment.receipt ? (
+          <div className="receipt-downloads">
+            <a href={`http://localhost:5000${payment.receipt.pdf}`} target="_blank" rel="noopener noreferrer" download>
+              Download receipt (PDF)
+            </a>
+            <a href={`http://localhost:5000${payment.receipt.png}`} target="_blank" rel="noopener noreferrer" download>
+              Download receipt (image)
+            </a>
+            <a
+              href={`https://wa.me/?text=${encodeURIComponent(`My numbers for ${payment.raffle?.productName}: ${numbers}`)}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              Share on WhatsApp
+            </a>
+          </div>
+        ) : (
+          <p>Your receipt is being prepared.</p>
+        )}
+      </div>
+    );
+  }
+
+  if (payment?.status === 'Rejected') {
+    return (
+      <div className="payment-verification-page">
+        <h2>Payment Rejected</h2>
+        <p>We could not verify your payment and your numbers were released.</p>
+        <Link to="/">Back to raffles</Link>
+      </div>
+    );
+  }
+
   return (
     <div className="payment-verification-page">
       <h2>Payment is Pending Verification</h2>
@@ -10,6 +92,7 @@ const PaymentVerificationPage = () => {
         <div className="spinner"></div>
       </div>
       <p>Thank you for your purchase. We are verifying your payment.</p>
+      {paymentId && <p>This page updates by itself once your payment is confirmed.</p>}
     </div>
   );
 };
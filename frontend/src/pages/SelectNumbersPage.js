@@ -1,22 +1,56 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import axios from 'axios';
 import socket from '../services/socket';
+import { holdTickets, releaseTicketHold, searchTickets } from '../services/api';
+import { toast } from 'react-hot-toast';
+import HoldTimer from '../components/HoldTimer';
+import NotifyMeForm from '../components/NotifyMeForm';
+import NumberGrid from '../components/NumberGrid';
+import { formatTicketNumber, formatTicketNumbers } from '../utils/ticketNumbers';
+import { unpackUnavailable, unpackMatching } from '../utils/ticketAvailability';
+import { loadHold, saveHold, clearHold, MAX_HELD_TICKETS } from '../utils/ticketHold';
 import '../assets/styles/SelectNumbersPage.css';
 
+const initialSearch = { mode: 'contains', digits: '', min: '', max: '', status: 'available' };
+
 const SelectNumbersPage = () => {
-  const [tickets, setTickets] = useState([]);
-  const [selectedNumbers, setSelectedNumbers] = useState([]);
-  const [error, setError] = useState(null); // Error state to handle warnings and issues
+  const { raffleId } = useParams();
+  const location = useLocation();
+  const [raffle, setRaffle] = useState(null);
+  const [numbers, setNumbers] = useState([]);
+  // Reserved and sold numbers; every other number can be picked
+  const [unavailable, setUnavailable] = useState(new Set());
+  // Selected numbers are held on the server while the buyer checks out
+  const [hold, setHold] = useState(() => loadHold(raffleId));
+  const [selectedNumbers, setSelectedNumbers] = useState(() => hold?.tickets || []);
+  const [pendingNumber, setPendingNumber] = useState(null);
+  // Last number picked on its own; a shift-click selects everything from it
+  const rangeAnchor = useRef(null);
+  // Taken number the buyer wants to hear about if it is released
+  const [watchNumber, setWatchNumber] = useState(null);
+  // Number search; `matching` is null while the whole grid is shown
+  const [search, setSearch] = useState(initialSearch);
+  const [matching, setMatching] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(location.state?.holdExpired
+    ? 'Your hold on the selected numbers expired, please pick them again.'
+    : null); // Error state to handle warnings and issues
   const navigate = useNavigate();
-  const ticketPrice = 10; // Price per ticket
+  const ticketPrice = raffle ? raffle.price : 0; // Price per ticket
 
   useEffect(() => {
-    // Fetch initial ticket data
+    // Fetch the raffle and which of its numbers are still available
     const fetchTickets = async () => {
       try {
-        const response = await axios.get('http://localhost:5000/api/tickets');
-        setTickets(response.data);
+        const [raffleResponse, availabilityResponse] = await Promise.all([
+          axios.get(`http://localhost:5000/api/raffle/${raffleId}`),
+          axios.get(`http://localhost:5000/api/raffle/${raffleId}/tickets/availability`)
+        ]);
+        const { start, totalTickets } = availabilityResponse.data;
+        setRaffle(raffleResponse.data);
+        setNumbers(Array.from({ length: totalTickets }, (_, index) => start + index));
+        setUnavailable(unpackUnavailable(availabilityResponse.data));
       } catch (error) {
         console.error('Error fetching tickets:', error);
         setError('Error fetching tickets, please try again later.');
@@ -25,31 +59,172 @@ const SelectNumbersPage = () => {
 
     fetchTickets();
 
-    // Set up Socket.io listeners for real-time updates
-    socket.on('ticketsReserved', (data) => {
-      setTickets((prevTickets) =>
-        prevTickets.map((ticket) =>
-          data.tickets.includes(ticket.ticketNumber)
-            ? { ...ticket, status: 'reserved' }
-            : ticket
-        )
-      );
-    });
+    // Set up Socket.io listeners for real-time updates of this raffle only
+    const updateTicketStatus = (data, isAvailable) => {
+      if (data.raffleId !== raffleId) return;
+      setUnavailable((prevUnavailable) => {
+        const nextUnavailable = new Set(prevUnavailable);
+        data.tickets.forEach((ticketNumber) => (
+          isAvailable ? nextUnavailable.delete(ticketNumber) : nextUnavailable.add(ticketNumber)
+        ));
+        return nextUnavailable;
+      });
+    };
+
+    const handleTicketsReserved = (data) => updateTicketStatus(data, false);
+    const handleTicketsReleased = (data) => updateTicketStatus(data, true);
+    const handleWatchTriggered = (data) => {
+      if (data.raffleId === raffleId) toast.success(data.message, { duration: 8000 });
+    };
+
+    socket.on('ticketsReserved', handleTicketsReserved);
+    socket.on('ticketsReleased', handleTicketsReleased);
+    socket.on('watch_triggered', handleWatchTriggered);
 
     // Cleanup on unmount
     return () => {
-      socket.off('ticketsReserved');
+      socket.off('ticketsReserved', handleTicketsReserved);
+      socket.off('ticketsReleased', handleTicketsReleased);
+      socket.off('watch_triggered', handleWatchTriggered);
     };
-  }, []); // UseEffect now runs only once after the component mounts
+  }, [raffleId]);
+
+  const applyHold = (result) => {
+    // Track our own numbers as taken without waiting for the socket broadcast
+    setUnavailable((prevUnavailable) => {
+      const nextUnavailable = new Set(prevUnavailable);
+      selectedNumbers.forEach(ticketNumber => nextUnavailable.delete(ticketNumber));
+      result.tickets.forEach(ticketNumber => nextUnavailable.add(ticketNumber));
+      return nextUnavailable;
+    });
 
-  const handleNumberClick = (number) => {
+    if (result.tickets.length === 0) {
+      clearHold(raffleId);
+      setHold(null);
+      setSelectedNumbers([]);
+      return;
+    }
+
+    const nextHold = { holdToken: result.holdToken, tickets: result.tickets, expiresAt: result.expiresAt };
+    saveHold(raffleId, nextHold);
+    setHold(nextHold);
+    setSelectedNumbers(result.tickets);
+  };
+
+  const handleHoldExpired = () => {
+    clearHold(raffleId);
+    setHold(null);
+    setSelectedNumbers([]);
+    setError('Your hold on the selected numbers expired, please pick them again.');
+  };
+
+  // Hold every number of `candidates` that is still free and not selected yet
+  const holdNumbers = async (candidates, tooManyHint) => {
     setError(null);
 
-    if (selectedNumbers.includes(number)) {
-      // Remove from selected tickets
-      setSelectedNumbers(selectedNumbers.filter((n) => n !== number));
-    } else {
-      setSelectedNumbers([...selectedNumbers, number]);
+    const toHold = candidates.filter(number => !isUnavailable(number) && !selectedNumbers.includes(number));
+    if (toHold.length === 0) return;
+    if (selectedNumbers.length + toHold.length > MAX_HELD_TICKETS) {
+      setError(`You can hold up to ${MAX_HELD_TICKETS} tickets at a time. ${tooManyHint}`);
+      return;
+    }
+
+    setPendingNumber(toHold[0]);
+    try {
+      applyHold(await holdTickets(raffleId, toHold, hold?.holdToken));
+    } catch (error) {
+      console.error('Error holding tickets:', error);
+      setError(error.response?.data?.message || 'Error holding the tickets, please try again.');
+    } finally {
+      setPendingNumber(null);
+    }
+  };
+
+  const handleNumberClick = async (number, event) => {
+    setError(null);
+
+    // Someone else has it; offer to watch it instead
+    if (isUnavailable(number)) {
+      if (salesOpen) setWatchNumber(number);
+      return;
+    }
+
+    // Shift-click picks every free number between the last pick and this one
+    const anchorIndex = visibleNumbers.indexOf(rangeAnchor.current);
+    if (event?.shiftKey && anchorIndex !== -1 && !selectedNumbers.includes(number)) {
+      const numberIndex = visibleNumbers.indexOf(number);
+      const range = visibleNumbers.slice(Math.min(anchorIndex, numberIndex), Math.max(anchorIndex, numberIndex) + 1);
+      rangeAnchor.current = number;
+      await holdNumbers(range, 'Pick a shorter range.');
+      return;
+    }
+
+    rangeAnchor.current = number;
+    setPendingNumber(number);
+
+    try {
+      if (selectedNumbers.includes(number)) {
+        // Remove from selected tickets and give the number back
+        applyHold(await releaseTicketHold(raffleId, hold.holdToken, [number]));
+      } else {
+        applyHold(await holdTickets(raffleId, [number], hold?.holdToken));
+      }
+    } catch (error) {
+      console.error('Error updating ticket hold:', error);
+      setError(error.response?.data?.message || 'Error holding the ticket, please try again.');
+    } finally {
+      setPendingNumber(null);
+    }
+  };
+
+  const handleSearchChange = (e) => {
+    const { name, value } = e.target;
+    setSearch(prev => ({ ...prev, [name]: name === 'digits' ? value.replace(/\D/g, '') : value }));
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSearching(true);
+
+    try {
+      const result = await searchTickets(raffleId, {
+        [search.mode]: search.digits || undefined,
+        min: search.min || undefined,
+        max: search.max || undefined,
+        status: search.status
+      });
+      setMatching(unpackMatching(result));
+    } catch (error) {
+      console.error('Error searching tickets:', error);
+      setError(error.response?.data?.message || 'Error searching tickets, please try again.');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const clearSearch = () => {
+    setSearch(initialSearch);
+    setMatching(null);
+  };
+
+  const handleSelectAllMatching = () => holdNumbers(visibleNumbers, 'Narrow the search to select them all.');
+
+  const handleSelectRow = (rowNumbers) => holdNumbers(rowNumbers, 'Remove some numbers to select this row.');
+
+  // Give back every held number at once
+  const handleRemoveAll = async () => {
+    setError(null);
+    setPendingNumber(selectedNumbers[0]);
+
+    try {
+      applyHold(await releaseTicketHold(raffleId, hold.holdToken));
+      rangeAnchor.current = null;
+    } catch (error) {
+      console.error('Error releasing ticket hold:', error);
+      setError(error.response?.data?.message || 'Error removing the tickets, please try again.');
+    } finally {
+      setPendingNumber(null);
     }
   };
 
@@ -63,39 +238,160 @@ const SelectNumbersPage = () => {
 
     try {
       // Proceed to payment method page without reserving tickets
-      navigate('/payment-method', { state: { selectedNumbers } });
+      navigate(`/raffles/${raffleId}/payment-method`, {
+        state: { selectedNumbers, ticketPrice, numbering: raffle?.numbering, hold }
+      });
     } catch (error) {
       console.error('Error proceeding to payment:', error);
       setError('Error proceeding to payment, please try again later.');
     }
   };
 
+  // The buyer's own held numbers are taken for everyone else
+  const isUnavailable = (number) => unavailable.has(number) && !selectedNumbers.includes(number);
+
+  const visibleNumbers = matching ? numbers.filter(number => matching.has(number)) : numbers;
+  const isSelectable = (number) => !isUnavailable(number) && !selectedNumbers.includes(number);
+  const selectableMatches = matching ? visibleNumbers.filter(isSelectable).length : 0;
+  const salesOpen = raffle?.status === 'open';
+
   return (
     <div className="select-numbers-page">
+      {raffle && <h2 className="raffle-title">{raffle.productName}</h2>}
       {error && <div className="error-message">{error}</div>} {/* Display error message if any */}
+      {raffle && raffle.status !== 'open' && (
+        <div className="error-message">Ticket sales are closed for this raffle.</div>
+      )}
+      {hold && (
+        <HoldTimer raffleId={raffleId} hold={hold} onChange={applyHold} onExpire={handleHoldExpired} />
+      )}
       
-      <div className="numbers-grid">
-        {tickets.map((ticket) => (
+      <form className="number-search" onSubmit={handleSearch}>
+        <select name="mode" value={search.mode} onChange={handleSearchChange} aria-label="Match">
+          <option value="contains">Contains</option>
+          <option value="prefix">Starts with</option>
+          <option value="suffix">Ends with</option>
+        </select>
+        <input
+          type="text"
+          name="digits"
+          inputMode="numeric"
+          placeholder="Digits, e.g. 7"
+          value={search.digits}
+          onChange={handleSearchChange}
+          maxLength="9"
+        />
+        <input
+          type="number"
+          name="min"
+          placeholder="From"
+          value={search.min}
+          onChange={handleSearchChange}
+        />
+        <input
+          type="number"
+          name="max"
+          placeholder="To"
+          value={search.max}
+          onChange={handleSearchChange}
+        />
+        <select name="status" value={search.status} onChange={handleSearchChange} aria-label="Status">
+          <option value="available">Available only</option>
+          <option value="any">All numbers</option>
+        </select>
+        <button type="submit" disabled={searching}>{searching ? 'Searching...' : 'Search'}</button>
+        {matching && (
+          <button type="button" className="secondary" onClick={clearSearch}>Clear</button>
+        )}
+      </form>
+
+      {matching && (
+        <div className="search-summary">
+          <span>{matching.size} matching numbers</span>
+          <button
+            type="button"
+            onClick={handleSelectAllMatching}
+            disabled={selectableMatches === 0 || pendingNumber !== null || !salesOpen}
+          >
+            Select all matching available ({selectableMatches})
+          </button>
+        </div>
+      )}
+
+      {watchNumber !== null && (
+        <NotifyMeForm
+          key={watchNumber}
+          raffleId={raffleId}
+          ticketNumber={watchNumber}
+          text={{ title: `Number ${formatTicketNumber(watchNumber, raffle?.numbering)} is taken. Notify me if it frees up` }}
+          onClose={() => setWatchNumber(null)}
+        />
+      )}
+
+      <p className="picker-hint">
+        Shift-click to select a range. Use the arrow keys to move around the grid and Shift+Enter to select up to the focused number.
+      </p>
+
+      <div className="picker-layout">
+        <NumberGrid
+          numbers={visibleNumbers}
+          numbering={raffle?.numbering}
+          isSelected={(number) => selectedNumbers.includes(number)}
+          isUnavailable={isUnavailable}
+          disabled={pendingNumber !== null}
+          onNumberClick={handleNumberClick}
+          onSelectRow={handleSelectRow}
+          canSelectRow={(rowNumbers) => salesOpen && rowNumbers.some(isSelectable)}
+        />
+
+        {/* Selection with live availability: a number whose hold lapsed is free for anyone again */}
+        <aside className="selection-panel">
+          <h3>Your selection ({selectedNumbers.length}/{MAX_HELD_TICKETS})</h3>
+          <p className="selection-availability">
+            {numbers.length - unavailable.size} of {numbers.length} numbers still available
+          </p>
+          {selectedNumbers.length === 0 ? (
+            <p className="selection-empty">No numbers selected yet.</p>
+          ) : (
+            <ul className="selection-list">
+              {selectedNumbers.map((number) => {
+                const stillHeld = unavailable.has(number);
+                return (
+                  <li key={number} className={stillHeld ? '' : 'lapsed'}>
+                    <span>{formatTicketNumber(number, raffle?.numbering)}</span>
+                    <span className="selection-status">{stillHeld ? 'Held for you' : 'No longer held'}</span>
+                    <button
+                      type="button"
+                      onClick={() => handleNumberClick(number)}
+                      disabled={pendingNumber !== null}
+                      aria-label={`Remove ${formatTicketNumber(number, raffle?.numbering)}`}
+                    >
+                      ×
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
           <button
-            key={ticket.ticketNumber}
-            className={`number-button ${
-              selectedNumbers.includes(ticket.ticketNumber) ? 'selected' : ''
-            } ${
-              ticket.status === 'reserved' || ticket.status === 'sold' ? 'unavailable' : ''
-            }`}
-            onClick={() => handleNumberClick(ticket.ticketNumber)}
-            disabled={ticket.status === 'reserved' || ticket.status === 'sold'}
+            type="button"
+            className="remove-all-button"
+            onClick={handleRemoveAll}
+            disabled={selectedNumbers.length === 0 || pendingNumber !== null}
           >
-            {ticket.ticketNumber}
+            Remove all
           </button>
-        ))}
+        </aside>
       </div>
 
       {/* Sticky Summary */}
       <div className="sticky-summary">
         <p>Total Amount: ${selectedNumbers.length * ticketPrice}</p>
-        <p>Selected Numbers: {selectedNumbers.join(', ') || 'None'}</p>
-        <button onClick={handleContinue} disabled={selectedNumbers.length === 0}>
+        <p>Selected Numbers: {formatTicketNumbers(selectedNumbers, raffle?.numbering) || 'None'}</p>
+        <button
+          onClick={handleContinue}
+          disabled={selectedNumbers.length === 0 || !raffle || raffle.status !== 'open'}
+        >
           Continue to Payment
         </button>
       </div>
@@ -0,0 +1,238 @@
+// src/pages/TransfersPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { getMyTickets, getMyTransfers, createTransfer, updateTransfer } from '../services/api';
+import Header from '../components/Header';
+import { formatTicketNumber, formatTicketNumbers } from '../utils/ticketNumbers';
+import '../assets/styles/TransfersPage.css';
+
+const TRANSFER_STATUS_LABELS = {
+  pending: 'Waiting for an answer',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  cancelled: 'Cancelled'
+};
+
+const emptyTransferForm = { recipient: '', message: '' };
+
+// Lets a logged-in buyer hand paid tickets to someone else and answer the
+// transfers they were offered
+const TransfersPage = () => {
+  const [raffles, setRaffles] = useState([]);
+  const [transfers, setTransfers] = useState({ incoming: [], outgoing: [] });
+  const [selected, setSelected] = useState({ raffleId: null, numbers: [] });
+  const [transferForm, setTransferForm] = useState(emptyTransferForm);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setError(null);
+      const [ticketData, transferData] = await Promise.all([getMyTickets(), getMyTransfers()]);
+      setRaffles(ticketData.raffles);
+      setTransfers(transferData);
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+      setError(error.response?.data?.message || 'Error loading your tickets, please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Numbers can only be sent together when they belong to the same raffle
+  const toggleNumber = (raffleId, ticketNumber) => {
+    setSelected(prev => {
+      const numbers = prev.raffleId === raffleId ? prev.numbers : [];
+      return {
+        raffleId,
+        numbers: numbers.includes(ticketNumber)
+          ? numbers.filter(number => number !== ticketNumber)
+          : [...numbers, ticketNumber]
+      };
+    });
+  };
+
+  const handleSendTransfer = async (e) => {
+    e.preventDefault();
+
+    if (!selected.numbers.length) {
+      toast.error('Select the tickets you want to transfer');
+      return;
+    }
+    if (!transferForm.recipient.trim()) {
+      toast.error('Enter the email or ID number of the person receiving them');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const result = await createTransfer({
+        raffleId: selected.raffleId,
+        ticketNumbers: selected.numbers,
+        recipient: transferForm.recipient.trim(),
+        message: transferForm.message.trim()
+      });
+      toast.success(result.message);
+      setSelected({ raffleId: null, numbers: [] });
+      setTransferForm(emptyTransferForm);
+      fetchData();
+    } catch (error) {
+      console.error('Error creating transfer:', error);
+      toast.error(error.response?.data?.message || 'Error sending the transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleTransferAction = async (transfer, action) => {
+    if (action !== 'accept' && !window.confirm(`${action === 'cancel' ? 'Cancel' : 'Decline'} this transfer?`)) {
+      return;
+    }
+
+    try {
+      const result = await updateTransfer(transfer._id, action);
+      toast.success(result.message);
+      fetchData();
+    } catch (error) {
+      console.error(`Error trying to ${action} transfer:`, error);
+      toast.error(error.response?.data?.message || 'Error updating the transfer');
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+
+  const pendingIncoming = transfers.incoming.filter(transfer => transfer.status === 'pending');
+
+  return (
+    <main className="transfers-page">
+      <Header />
+
+      <div className="transfers-container">
+        <h2>My Tickets and Transfers</h2>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p className="transfers-empty">Loading your tickets...</p>}
+
+        {pendingIncoming.length > 0 && (
+          <section className="transfers-section">
+            <h3>Tickets Offered to You</h3>
+            {pendingIncoming.map(transfer => (
+              <div key={transfer._id} className="transfer-offer">
+                <p>
+                  <strong>{transfer.from?.fullName}</strong> wants to give you{' '}
+                  <strong>{formatTicketNumbers(transfer.ticketNumbers, transfer.raffle?.numbering)}</strong>{' '}
+                  of {transfer.raffle?.productName}.
+                </p>
+                {transfer.message && <p className="transfer-message">"{transfer.message}"</p>}
+                <div className="transfer-actions">
+                  <button onClick={() => handleTransferAction(transfer, 'accept')}>Accept</button>
+                  <button className="secondary" onClick={() => handleTransferAction(transfer, 'decline')}>Decline</button>
+                </div>
+              </div>
+            ))}
+          </section>
+        )}
+
+        {!loading && raffles.length === 0 && (
+          <p className="transfers-empty">You have no paid tickets yet.</p>
+        )}
+
+        {raffles.map(({ raffle, transferable, tickets }) => (
+          <section key={raffle._id} className="transfers-section">
+            <h3>{raffle.productName}</h3>
+            {!transferable && (
+              <p className="transfers-meta">Tickets of this raffle can no longer be transferred.</p>
+            )}
+
+            <div className="transfer-tickets">
+              {tickets.map(ticket => (
+                <label
+                  key={ticket.ticketNumber}
+                  className={`transfer-ticket ${ticket.pendingTransfer ? 'pending' : ''}`}
+                  title={ticket.beneficiary ? `Gift for ${ticket.beneficiary.fullName}` : undefined}
+                >
+                  <input
+                    type="checkbox"
+                    disabled={!transferable || ticket.pendingTransfer}
+                    checked={selected.raffleId === raffle._id && selected.numbers.includes(ticket.ticketNumber)}
+                    onChange={() => toggleNumber(raffle._id, ticket.ticketNumber)}
+                  />
+                  {formatTicketNumber(ticket.ticketNumber, raffle.numbering)}
+                  {ticket.beneficiary && <span className="transfer-gift">🎁</span>}
+                </label>
+              ))}
+            </div>
+
+            {selected.raffleId === raffle._id && selected.numbers.length > 0 && (
+              <form className="transfer-form" onSubmit={handleSendTransfer}>
+                <input
+                  type="text"
+                  placeholder="Recipient's email or ID number"
+                  value={transferForm.recipient}
+                  onChange={(e) => setTransferForm({ ...transferForm, recipient: e.target.value })}
+                />
+                <input
+                  type="text"
+                  placeholder="Message (optional)"
+                  value={transferForm.message}
+                  onChange={(e) => setTransferForm({ ...transferForm, message: e.target.value })}
+                />
+                <button type="submit" disabled={submitting}>
+                  {submitting ? 'Sending...' : `Transfer ${selected.numbers.length} ticket(s)`}
+                </button>
+                <p className="transfers-meta">
+                  The recipient needs an account. The tickets are theirs once they accept.
+                </p>
+              </form>
+            )}
+          </section>
+        ))}
+
+        {transfers.outgoing.length > 0 && (
+          <section className="transfers-section">
+            <h3>Transfers You Sent</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Raffle</th>
+                  <th>Numbers</th>
+                  <th>To</th>
+                  <th>Date</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transfers.outgoing.map(transfer => (
+                  <tr key={transfer._id}>
+                    <td>{transfer.raffle?.productName}</td>
+                    <td>{formatTicketNumbers(transfer.ticketNumbers, transfer.raffle?.numbering)}</td>
+                    <td>{transfer.to?.fullName}</td>
+                    <td>{formatDate(transfer.createdAt)}</td>
+                    <td>
+                      {TRANSFER_STATUS_LABELS[transfer.status]}
+                      {transfer.status === 'pending' && (
+                        <button className="link-button" onClick={() => handleTransferAction(transfer, 'cancel')}>
+                          Cancel
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        <Link to="/" className="transfers-back">Back to raffles</Link>
+      </div>
+    </main>
+  );
+};
+
+export default TransfersPage;
@@ -0,0 +1,104 @@
+// src/pages/VerifyTicketPage.js
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { verifyTicket } from '../services/api';
+import Header from '../components/Header';
+import { formatTicketNumber } from '../utils/ticketNumbers';
+import '../assets/styles/VerifyTicketPage.css';
+
+const TICKET_STATUS_LABELS = {
+  sold: 'Sold to this buyer',
+  reserved: 'Reserved, payment being verified',
+  transferred: 'Transferred by this buyer to someone else',
+  released: 'Released, no longer belongs to this buyer'
+};
+
+// Where a receipt's QR code leads; tells anyone whether the receipt is genuine
+const VerifyTicketPage = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const number = searchParams.get('number') ?? undefined;
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const verify = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setResult(await verifyTicket(token, number));
+      } catch (error) {
+        console.error('Error verifying ticket:', error);
+        setResult(null);
+        setError(error.response?.data?.message || 'Error verifying this receipt, please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [token, number]);
+
+  return (
+    <main className="verify-ticket-page">
+      <Header />
+
+      <div className="verify-ticket-container">
+        <h2>Ticket Verification</h2>
+
+        {loading && <p className="verify-ticket-intro">Checking receipt...</p>}
+
+        {!loading && error && (
+          <div className="verify-ticket-verdict invalid">{error}</div>
+        )}
+
+        {!loading && result && (
+          <>
+            {result.tickets.every(ticket => ['released', 'transferred'].includes(ticket.status)) ? (
+              <div className="verify-ticket-verdict invalid">
+                Genuine receipt, but its numbers no longer belong to this buyer
+              </div>
+            ) : (
+              <div className="verify-ticket-verdict valid">
+                Genuine receipt issued on {new Date(result.issuedAt).toLocaleDateString()}
+              </div>
+            )}
+
+            <dl className="verify-ticket-details">
+              <dt>Raffle</dt>
+              <dd>{result.raffle.productName}</dd>
+              <dt>Buyer</dt>
+              <dd>{result.buyer.fullName} ({result.buyer.idNumber})</dd>
+            </dl>
+
+            <table>
+              <thead>
+                <tr>
+                  <th>Number</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.tickets.map(ticket => (
+                  <tr key={ticket.ticketNumber}>
+                    <td>{formatTicketNumber(ticket.ticketNumber, result.raffle.numbering)}</td>
+                    <td>
+                      <span className={`ticket-status ${ticket.status}`}>
+                        {TICKET_STATUS_LABELS[ticket.status]}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <Link to="/" className="verify-ticket-back">Back to raffles</Link>
+      </div>
+    </main>
+  );
+};
+
+export default VerifyTicketPage;
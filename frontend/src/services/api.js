@@ -66,40 +66,11 @@ api.interceptors.response.use(
 
 //// EXCHANGE RATE APIs ////
 
-// Get current exchange rate directly from pydolarve.org
-export const getExchangeRate = async () => {
-  try {
-    const response = await externalApi.get('https://pydolarve.org/api/v1/dollar?monitor=enparalelovzla', {
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    // Log the response for debugging
-    console.log('Exchange rate API response:', response.data);
-
-    // Extract the price from the response object
-    if (response.data && response.data.price) {
-      return {
-        success: true,
-        rate: parseFloat(response.data.price), // Use the 'price' from the response
-        source: 'pydolarve.org',
-        timestamp: new Date().toISOString(),
-      };
-    } else {
-      throw new Error('Invalid response format from exchange rate API');
-    }
-  } catch (error) {
-    console.error('Error fetching exchange rate:', error);
-    return {
-      success: false,
-      rate: 35.0, // Default fallback rate
-      error: error.message,
-      source: 'fallback',
-      timestamp: new Date().toISOString(),
-    };
-  }
+// Get the current exchange rate, quoted by the server. Send `token` with the
+// payment so it records the rate and Bs amount the buyer was shown
+export const getRateQuote = async () => {
+  const response = await api.get('/exchange-rates/quote');
+  return response.data;
 };
 
 //// AUTHENTICATION APIs ////
@@ -124,35 +95,88 @@ export const verifyLoginCode = async (email, code) => {
 
 //// TICKETS APIs ////
 
-// Get all tickets
-export const getTickets = async () => {
-  const response = await api.get('/tickets');
+// Get the reserved and sold tickets of a raffle
+export const getTickets = async (raffleId) => {
+  const response = await api.get(`/raffle/${raffleId}/tickets`);
+  return response.data;
+};
+
+// Hold numbers while the buyer checks out; pass the holdToken to add to an existing hold
+export const holdTickets = async (raffleId, tickets, holdToken) => {
+  const response = await api.post(`/raffle/${raffleId}/tickets/hold`, { tickets, holdToken });
+  return response.data;
+};
+
+// Hold `quantity` random available numbers
+export const quickPickTickets = async (raffleId, quantity) => {
+  const response = await api.post(`/raffle/${raffleId}/tickets/quick-pick`, { quantity });
+  return response.data;
+};
+
+// Push back the expiry of a hold
+export const extendTicketHold = async (raffleId, holdToken) => {
+  const response = await api.post(`/raffle/${raffleId}/tickets/hold/extend`, { holdToken });
+  return response.data;
+};
+
+// Give back some held numbers, or the whole hold when no tickets are given
+export const releaseTicketHold = async (raffleId, holdToken, tickets) => {
+  const response = await api.post(`/raffle/${raffleId}/tickets/hold/release`, { holdToken, tickets });
+  return response.data;
+};
+
+// Get the numbers matching a search (prefix, suffix, contains, min, max, status) as a packed bitset
+export const searchTickets = async (raffleId, filters) => {
+  const response = await api.get(`/raffle/${raffleId}/tickets/availability`, { params: filters });
+  return response.data;
+};
+
+// Get notified when a taken number (or, without ticketNumber, any number of the raffle) is released
+export const watchTickets = async (raffleId, { ticketNumber, email, phoneNumber }) => {
+  const token = localStorage.getItem('token');
+  const response = await api.post(`/raffle/${raffleId}/tickets/watch`, { ticketNumber, email, phoneNumber }, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  return response.data;
+};
+
+// Stop a watch before it fires
+export const cancelTicketWatch = async (raffleId, watchId) => {
+  const response = await api.delete(`/raffle/${raffleId}/tickets/watch/${watchId}`);
   return response.data;
 };
 
-// Reserve tickets
-export const reserveTickets = async (userId, tickets) => {
-  const response = await api.post('/tickets/reserve', { userId, tickets });
+// Release a reserved ticket
+export const releaseTicket = async (raffleId, ticketNumber) => {
+  const response = await api.post(`/raffle/${raffleId}/tickets/release`, { ticketNumber });
   return response.data;
 };
 
 // Check if tickets are available
-export const checkTicketsAvailability = async (tickets) => {
-  const response = await api.post('/tickets/check-reserved', { tickets });
+export const checkTicketsAvailability = async (raffleId, tickets) => {
+  const response = await api.post(`/raffle/${raffleId}/tickets/check-reserved`, { tickets });
   return response.data;
 };
 
-// Confirm tickets
-export const confirmTickets = async (userId, tickets) => {
-  const response = await api.post('/tickets/confirm', { userId, tickets });
+// Find a buyer's payments and numbers by cédula plus phone or email
+export const lookupTickets = async (lookup) => {
+  const response = await api.post('/tickets/lookup', lookup);
+  return response.data;
+};
+
+// Check a receipt's verification token, optionally for a single number
+export const verifyTicket = async (token, number) => {
+  const response = await api.get(`/tickets/verify/${encodeURIComponent(token)}`, {
+    params: number !== undefined ? { number } : {}
+  });
   return response.data;
 };
 
 //// PAYMENTS APIs ////
 
 // Create payment and user account
-export const createPaymentAndUser = async (formData) => {
-  const response = await api.post('/payments/create-and-pay', formData, {
+export const createPaymentAndUser = async (raffleId, formData) => {
+  const response = await api.post(`/raffle/${raffleId}/payments/create-and-pay`, formData, {
     headers: {
       'Content-Type': 'multipart/form-data',
     },
@@ -160,9 +184,13 @@ export const createPaymentAndUser = async (formData) => {
   return response.data;
 };
 
-// Get payment status
+// Get payment status, with the receipt once it is confirmed
 export const getPaymentStatus = async (paymentId) => {
-  const response = await api.get(`/payments/${paymentId}/status`);
+  const response = await api.get(`/payments/${paymentId}/status`, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
   return response.data;
 };
 
@@ -194,14 +222,95 @@ export const getConfirmedPayments = async () => {
   return response.data;
 };
 
+// Get the refunds queue ('RefundPending') or the refunds already made ('Refunded')
+export const getRefunds = async (status = 'RefundPending') => {
+  const response = await api.get('/payments/refunds', {
+    params: { status },
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Record a refund with its proof, reference and note (admin only)
+export const completeRefund = async (paymentId, formData) => {
+  const response = await api.post(`/payments/${paymentId}/refund`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+//// TRANSFER APIs ////
+
+// The logged-in user's paid tickets, per raffle
+export const getMyTickets = async () => {
+  const response = await api.get('/transfers/my-tickets', {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Transfers the logged-in user sent ('outgoing') and received ('incoming')
+export const getMyTransfers = async () => {
+  const response = await api.get('/transfers/mine', {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Offer tickets to another user, given by email or cédula
+export const createTransfer = async (transfer) => {
+  const response = await api.post('/transfers', transfer, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// 'accept' or 'decline' a received transfer, or 'cancel' a sent one
+export const updateTransfer = async (transferId, action) => {
+  const response = await api.post(`/transfers/${transferId}/${action}`, {}, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Every transfer, optionally filtered by status (admin only)
+export const getTransfers = async (status) => {
+  const response = await api.get('/transfers', {
+    params: status ? { status } : {},
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
 //// RAFFLE APIs ////
 
-// Get active raffle
-export const getActiveRaffle = async () => {
+// Get every raffle on sale or waiting for its draw
+export const getOpenRaffles = async () => {
   const response = await api.get('/raffle');
   return response.data;
 };
 
+// Get a single public raffle
+export const getRaffle = async (raffleId) => {
+  const response = await api.get(`/raffle/${raffleId}`);
+  return response.data;
+};
+
 // Get all raffles (admin only)
 export const getAllRaffles = async () => {
   const response = await api.get('/raffle/all');
@@ -220,12 +329,169 @@ export const updateRaffle = async (raffleId, updates) => {
   return response.data;
 };
 
+// Add, remove and reorder a raffle's photos or pick its cover (admin only)
+export const updateRaffleImages = async (raffleId, formData) => {
+  const response = await api.put(`/raffle/${raffleId}`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
 // Delete raffle (admin only)
 export const deleteRaffle = async (raffleId) => {
   const response = await api.delete(`/raffle/${raffleId}`);
   return response.data;
 };
 
+// Commit to the sold tickets and name the public value that will seed the draw (admin only)
+export const commitRaffleDraw = async (raffleId, entropySource) => {
+  const response = await api.post(`/raffle/${raffleId}/draw/commit`, { entropySource }, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Draw a raffle prize tier; the next pending tier when no rank is given. The first
+// draw needs the committed public value as externalSeed (admin only)
+export const drawRaffle = async (raffleId, rank, externalSeed) => {
+  const response = await api.post(`/raffle/${raffleId}/draw`, { rank, externalSeed }, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Draw a raffle prize tier from an official lottery result (admin only)
+export const drawRaffleFromLottery = async (raffleId, lotteryData) => {
+  const response = await api.post(`/raffle/${raffleId}/draw/lottery`, lotteryData, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Move a raffle to another lifecycle status (admin only)
+export const changeRaffleStatus = async (raffleId, status, extra = {}) => {
+  const response = await api.post(`/raffle/${raffleId}/status`, { status, ...extra }, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Cancel a raffle, queueing confirmed payments for refund and voiding pending ones (admin only)
+export const cancelRaffle = async (raffleId, reason) => {
+  const response = await api.post(`/raffle/${raffleId}/cancel`, { reason }, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Copy a raffle into a new draft (admin only)
+export const duplicateRaffle = async (raffleId) => {
+  const response = await api.post(`/raffle/${raffleId}/duplicate`, {}, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Get draw commitment and verification data
+export const getRaffleFairness = async (raffleId) => {
+  const response = await api.get(`/raffle/${raffleId}/fairness`);
+  return response.data;
+};
+
+//// RAFFLE TEMPLATE APIs ////
+
+// Get the saved raffle templates (admin only)
+export const getRaffleTemplates = async () => {
+  const response = await api.get('/raffle-templates', {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Save a raffle's setup as a named template (admin only)
+export const saveRaffleAsTemplate = async (raffleId, name) => {
+  const response = await api.post('/raffle-templates', { raffleId, name }, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+export const deleteRaffleTemplate = async (templateId) => {
+  const response = await api.delete(`/raffle-templates/${templateId}`, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+//// PAYMENT METHOD APIs ////
+
+// Enabled payment methods; pass a raffleId for the ones that raffle offers
+export const getPaymentMethods = async (raffleId) => {
+  const response = await api.get('/payment-methods', { params: { raffleId } });
+  return response.data;
+};
+
+// Every payment method, disabled ones included (admin only)
+export const getAllPaymentMethods = async () => {
+  const response = await api.get('/payment-methods/all', {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+// Create a payment method from a FormData with an optional qrImage (admin only)
+export const createPaymentMethod = async (formData) => {
+  const response = await api.post('/payment-methods', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+export const updatePaymentMethod = async (methodId, formData) => {
+  const response = await api.put(`/payment-methods/${methodId}`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
+export const deletePaymentMethod = async (methodId) => {
+  const response = await api.delete(`/payment-methods/${methodId}`, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  return response.data;
+};
+
 //// Error Handling Helper ////
 export const handleApiError = (error) => {
   if (error.response) {
@@ -93,6 +93,16 @@ class SocketService {
       this.emit('eventReceived', { type: 'raffle_updated', data });
     });
 
+    this.socket.on('raffle_status_changed', (data) => {
+      console.log('Raffle status changed:', data);
+      this.emit('eventReceived', { type: 'raffle_status_changed', data });
+    });
+
+    this.socket.on('raffle_drawn', (data) => {
+      console.log('Raffle drawn:', data);
+      this.emit('eventReceived', { type: 'raffle_drawn', data });
+    });
+
     this.socket.on('payment_confirmed', (data) => {
       console.log('Payment confirmed:', data);
       this.emit('eventReceived', { type: 'payment_confirmed', data });
@@ -103,6 +113,18 @@ class SocketService {
       this.emit('eventReceived', { type: 'payment_rejected', data });
     });
 
+    this.socket.on('refund_pending', (data) => {
+      console.log('Refund pending:', data);
+      toast?.error(`La rifa "${data.productName}" fue cancelada. Te reembolsaremos $${data.amount}.`);
+      this.emit('eventReceived', { type: 'refund_pending', data });
+    });
+
+    this.socket.on('refund_completed', (data) => {
+      console.log('Refund completed:', data);
+      toast?.success(`Reembolso de $${data.amount} realizado por "${data.productName}"`);
+      this.emit('eventReceived', { type: 'refund_completed', data });
+    });
+
     this.socket.on('tickets_reserved', (data) => {
       console.log('Tickets reserved:', data);
       this.emit('eventReceived', { type: 'tickets_reserved', data });
@@ -0,0 +1,48 @@
+// src/utils/paymentReferences.js
+
+// Transfer details asked for each kind of payment method; the server checks the same
+// rules (backend/utils/paymentReferences.js) and rejects reused references.
+// Fields with `choices` are picked from the values the payment method offers.
+export const REFERENCE_FIELDS = {
+  pagomovil: [
+    { name: 'reference', placeholder: 'Pagomovil Reference Number', pattern: /^\d{4,20}$/, message: 'Enter the reference number shown by your bank' },
+    { name: 'originBank', placeholder: 'Bank You Paid From', pattern: /^.{3,60}$/, message: 'Enter the name of your bank' },
+    { name: 'senderPhone', placeholder: 'Phone Number You Paid From', pattern: /^0?4\d{9}$/, message: 'Enter a mobile number like 04121234567', type: 'tel' }
+  ],
+  bank_transfer: [
+    { name: 'reference', placeholder: 'Transfer Reference Number', pattern: /^[A-Z0-9]{4,30}$/, message: 'Enter the reference shown by your bank' },
+    { name: 'originBank', placeholder: 'Bank You Paid From', pattern: /^.{3,60}$/, message: 'Enter the name of your bank' },
+    { name: 'senderName', placeholder: 'Name on the Sending Account', pattern: /^.{3,80}$/, message: 'Enter the name the transfer was sent from' }
+  ],
+  zelle: [
+    { name: 'reference', placeholder: 'Zelle Confirmation Number', pattern: /^[A-Z0-9]{6,30}$/, message: 'Enter the confirmation code from your bank' },
+    { name: 'senderName', placeholder: 'Name on the Sending Account', pattern: /^.{3,80}$/, message: 'Enter the name the payment was sent from' }
+  ],
+  paypal: [
+    { name: 'reference', placeholder: 'PayPal Transaction ID', pattern: /^[A-Z0-9]{17}$/, message: 'Enter the 17-character transaction ID from your PayPal activity' },
+    { name: 'senderEmail', placeholder: 'PayPal Email You Paid From', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Enter the email of your PayPal account', type: 'email' }
+  ],
+  binance_pay: [
+    { name: 'reference', placeholder: 'Binance Pay Order ID', pattern: /^\d{8,30}$/, message: 'Enter the order ID from your Binance Pay history' }
+  ],
+  usdt: [
+    { name: 'network', placeholder: 'Network You Sent On', choices: method => method.wallets.map(wallet => wallet.network), message: 'Choose the network you sent the USDT on' },
+    { name: 'reference', placeholder: 'Transaction Hash (TxID)', pattern: /^(0X)?[0-9A-F]{64}$/, message: 'Enter the 64-character transaction hash' }
+  ],
+  cash: [
+    { name: 'collectedBy', placeholder: 'Seller You Paid', choices: method => method.sellers, message: 'Choose the seller you handed the money to' }
+  ]
+};
+
+// Networks a USDT wallet can be on; the server checks the address format
+export const USDT_NETWORKS = ['TRC20', 'BEP20'];
+
+// Kinds paid in person, with no proof to upload
+export const PROOFLESS_TYPES = ['cash'];
+
+// Same cleanup the server does before comparing
+export const normalizeReferenceField = (name, value) => {
+  if (name === 'reference') return value.toUpperCase().replace(/[\s-]/g, '');
+  if (name === 'senderPhone') return value.replace(/\D/g, '');
+  return value.trim();
+};
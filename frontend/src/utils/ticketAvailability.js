@@ -0,0 +1,24 @@
+// src/utils/ticketAvailability.js
+
+// Numbers whose bit is set in a packed bitset returned by
+// GET /raffle/:raffleId/tickets/availability: one bit per ticket from the
+// first number, most significant bit first
+const unpackBits = ({ bitset, start, totalTickets }, bitValue) => {
+  const bytes = atob(bitset);
+  const numbers = new Set();
+
+  for (let index = 0; index < totalTickets; index++) {
+    const isSet = (bytes.charCodeAt(index >> 3) & (0x80 >> (index & 7))) !== 0;
+    if (isSet === bitValue) {
+      numbers.add(start + index);
+    }
+  }
+
+  return numbers;
+};
+
+// Held, reserved and sold numbers from the plain availability bitset (1 = available)
+export const unpackUnavailable = (availability) => unpackBits(availability, false);
+
+// Numbers matching a filtered availability request
+export const unpackMatching = (availability) => unpackBits(availability, true);
@@ -0,0 +1,29 @@
+// src/utils/ticketHold.js
+
+// A buyer's hold on their numbers survives page reloads and going back to
+// change the selection, until it expires or the payment is sent
+// Most numbers one hold can have, as enforced by the server
+export const MAX_HELD_TICKETS = 100;
+
+const storageKey = (raffleId) => `ticketHold:${raffleId}`;
+
+export const loadHold = (raffleId) => {
+  try {
+    const hold = JSON.parse(sessionStorage.getItem(storageKey(raffleId)));
+    if (hold && new Date(hold.expiresAt) > new Date()) {
+      return hold;
+    }
+  } catch (error) {
+    // Unreadable entries are dropped below
+  }
+  sessionStorage.removeItem(storageKey(raffleId));
+  return null;
+};
+
+export const saveHold = (raffleId, hold) => {
+  sessionStorage.setItem(storageKey(raffleId), JSON.stringify(hold));
+};
+
+export const clearHold = (raffleId) => {
+  sessionStorage.removeItem(storageKey(raffleId));
+};
@@ -0,0 +1,13 @@
+// src/utils/ticketNumbers.js
+
+// Display form of a ticket number under a raffle's numbering scheme
+// (optional series prefix, zero-padded), e.g. 7 -> "A-0007"
+export const formatTicketNumber = (number, numbering) => {
+  if (number === null || number === undefined) return number;
+  return `${numbering?.prefix || ''}${String(number).padStart(numbering?.padding || 0, '0')}`;
+};
+
+// Comma-separated display of several ticket numbers
+export const formatTicketNumbers = (numbers, numbering) => (
+  numbers.map(number => formatTicketNumber(number, numbering)).join(', ')
+);